@@ -0,0 +1,78 @@
+/**
+ * Minimal animated PNG (APNG) encoder (DOM-free)
+ * Every frame covers the full canvas and replaces the previous one;
+ * compression is delegated to a zlib deflate function supplied by the caller
+ * (sync like node:zlib deflateSync, or async like a CompressionStream wrapper)
+ */
+
+import { PNG_SIGNATURE, pngChunk, pngHeader, pngScanlines, concatBytes } from './png.js';
+
+/**
+ * acTL payload: frame count and play count (0 = loop forever)
+ */
+function animationControl(numFrames, numPlays) {
+  const data = new Uint8Array(8);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, numFrames);
+  view.setUint32(4, numPlays);
+  return data;
+}
+
+/**
+ * fcTL payload for a full-canvas frame shown for delayMs milliseconds
+ */
+function frameControl(sequence, width, height, delayMs) {
+  const data = new Uint8Array(26);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, sequence);
+  view.setUint32(4, width);
+  view.setUint32(8, height);
+  view.setUint32(12, 0);                   // x offset
+  view.setUint32(16, 0);                   // y offset
+  view.setUint16(20, Math.round(delayMs)); // delay numerator
+  view.setUint16(22, 1000);                // delay denominator (ms)
+  data[24] = 0;                            // dispose: none
+  data[25] = 0;                            // blend: source
+  return data;
+}
+
+/**
+ * Encode a sequence of equally sized RGBA frames as an APNG file
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Array<Uint8Array|Uint8ClampedArray>} frames - Pixel data (width*height*4 each)
+ * @param {number} delayMs - Display time per frame in milliseconds
+ * @param {function(Uint8Array): (Uint8Array|Promise<Uint8Array>)} deflate - zlib-format compressor
+ * @returns {Promise<Uint8Array>} APNG file bytes
+ */
+export async function encodeAPNG(width, height, frames, delayMs, deflate) {
+  if (frames.length === 0) {
+    throw new Error('No frames to encode');
+  }
+
+  const parts = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', pngHeader(width, height)),
+    pngChunk('acTL', animationControl(frames.length, 0))
+  ];
+
+  // fcTL and fdAT chunks share one sequence counter
+  let sequence = 0;
+  for (let i = 0; i < frames.length; i++) {
+    parts.push(pngChunk('fcTL', frameControl(sequence++, width, height, delayMs)));
+
+    const compressed = await deflate(pngScanlines(width, height, frames[i]));
+    if (i === 0) {
+      // The first frame doubles as the static image for non-APNG viewers
+      parts.push(pngChunk('IDAT', compressed));
+    } else {
+      const data = new Uint8Array(4 + compressed.length);
+      new DataView(data.buffer).setUint32(0, sequence++);
+      data.set(compressed, 4);
+      parts.push(pngChunk('fdAT', data));
+    }
+  }
+
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return concatBytes(parts);
+}
@@ -0,0 +1,111 @@
+/**
+ * Parameter automation: keyframes and LFO modulation (DOM-free)
+ *
+ * Automation is a pure function of the simulation clock, so it is applied
+ * inside the stepping loop (see SimulationHost.step) and reproduces exactly
+ * after a history seek, a checkpoint restore or a session replay.
+ *
+ * Spec (settings key `automation`):
+ *   { clock: 'time' | 'steps', tracks: [track, ...] }   at most one track per parameter
+ * Tracks:
+ *   { param, mode: 'keys', interpolation: 'linear' | 'smooth', keys: [{ t, value }, ...] }
+ *     Values hold before the first and after the last key
+ *   { param, mode: 'sine' | 'triangle' | 'walk', center, amplitude, period, phase, seed }
+ *     Oscillates within center ± amplitude; 'walk' wanders through random
+ *     values drawn every period (from seed), smoothly interpolated
+ */
+
+import { createRandom } from './seeds.js';
+
+export const AUTOMATION_MODES = Object.freeze(['keys', 'sine', 'triangle', 'walk']);
+export const AUTOMATION_CLOCKS = Object.freeze(['time', 'steps']);
+
+const smoothstep = (f) => f * f * (3 - 2 * f);
+
+/**
+ * Value of a keyframe track at clock value t
+ * @param {Object} track - Track with keys sorted by t
+ */
+function evaluateKeys(track, t) {
+  const { keys } = track;
+  if (t <= keys[0].t) return keys[0].value;
+  const last = keys[keys.length - 1];
+  if (t >= last.t) return last.value;
+
+  let i = 1;
+  while (keys[i].t < t) i++;
+  const a = keys[i - 1];
+  const b = keys[i];
+  let f = (t - a.t) / (b.t - a.t);
+  if (track.interpolation === 'smooth') f = smoothstep(f);
+  return a.value + (b.value - a.value) * f;
+}
+
+/**
+ * Random value in [-1, 1] for an integer index (stateless, so any t can be evaluated)
+ */
+function walkTarget(seed, index) {
+  return createRandom((seed ^ Math.imul(index, 0x9e3779b1)) >>> 0)() * 2 - 1;
+}
+
+/**
+ * Normalized LFO waveform in [-1, 1]
+ */
+function waveform(track, t) {
+  const x = t / track.period + (track.phase || 0);
+  switch (track.mode) {
+    case 'sine':
+      return Math.sin(2 * Math.PI * x);
+    case 'triangle':
+      return 1 - 4 * Math.abs(x + 0.25 - Math.floor(x + 0.25) - 0.5);
+    case 'walk': {
+      const n = Math.floor(x);
+      const seed = track.seed | 0;
+      const a = walkTarget(seed, n);
+      return a + (walkTarget(seed, n + 1) - a) * smoothstep(x - n);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Value of one track at clock value t
+ */
+export function evaluateTrack(track, t) {
+  if (track.mode === 'keys') return evaluateKeys(track, t);
+  return track.center + track.amplitude * waveform(track, t);
+}
+
+/**
+ * Clock value that drives the automation
+ * @param {Object} automation - Automation spec
+ * @param {number} step - Completed steps
+ * @param {number} time - Simulated time
+ */
+export function automationClock(automation, step, time) {
+  return automation.clock === 'steps' ? step : time;
+}
+
+/**
+ * Parameter values of all tracks at clock value t
+ * @returns {Object} Patch of automated parameters (empty without tracks)
+ */
+export function evaluateAutomation(automation, t) {
+  const values = {};
+  for (const track of automation.tracks) {
+    values[track.param] = evaluateTrack(track, t);
+  }
+  return values;
+}
+
+/**
+ * Copy of a spec with keyframes sorted by time (evaluateKeys relies on the order)
+ */
+export function normalizeAutomation(automation) {
+  return {
+    clock: automation.clock,
+    tracks: automation.tracks.map(track => track.mode === 'keys'
+      ? { ...track, keys: [...track.keys].sort((a, b) => a.t - b.t) }
+      : { ...track })
+  };
+}
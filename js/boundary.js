@@ -0,0 +1,63 @@
+/**
+ * Boundary condition helpers
+ * Builds neighbor lookup tables and resolves out-of-range coordinates per edge
+ *
+ * Modes (see BOUNDARY_MODES):
+ * - periodic: edge wraps to the opposite edge, which must be periodic as well
+ *   (settings validation and the UI keep the pair together; a one-way wrap
+ *   would not conserve mass)
+ * - neumann: zero-flux, the ghost cell mirrors the edge cell
+ * - dirichlet: ghost cell holds a fixed value (table entry is -1)
+ */
+
+import { BOUNDARY_MODES } from './config.js';
+
+/**
+ * Build minus/plus neighbor index tables along one axis
+ * @param {number} n - Axis length
+ * @param {string} lowMode - Boundary mode at index 0 (left/top)
+ * @param {string} highMode - Boundary mode at index n-1 (right/bottom)
+ * @returns {{minus: Int32Array, plus: Int32Array}} Neighbor indices, -1 for Dirichlet ghosts
+ */
+export function buildNeighborTables(n, lowMode, highMode) {
+  const minus = new Int32Array(n);
+  const plus = new Int32Array(n);
+
+  for (let i = 0; i < n; i++) {
+    minus[i] = i - 1;
+    plus[i] = i + 1;
+  }
+
+  minus[0] = ghostIndex(lowMode, 0, n - 1);
+  plus[n - 1] = ghostIndex(highMode, n - 1, 0);
+
+  return { minus, plus };
+}
+
+/**
+ * Neighbor index for the ghost cell beyond an edge
+ */
+function ghostIndex(mode, edge, opposite) {
+  if (mode === BOUNDARY_MODES.NEUMANN) return edge;
+  if (mode === BOUNDARY_MODES.DIRICHLET) return -1;
+  return opposite;
+}
+
+/**
+ * Resolve a possibly out-of-range coordinate (used by brush painting)
+ * Periodic edges wrap; other edges clip
+ * @param {number} c - Coordinate
+ * @param {number} n - Axis length
+ * @param {string} lowMode - Boundary mode below 0
+ * @param {string} highMode - Boundary mode above n-1
+ * @returns {number} Resolved coordinate, or -1 if outside a non-periodic edge
+ */
+export function resolveCoordinate(c, n, lowMode, highMode) {
+  if (c < 0) {
+    return lowMode === BOUNDARY_MODES.PERIODIC ? ((c % n) + n) % n : -1;
+  }
+  if (c >= n) {
+    return highMode === BOUNDARY_MODES.PERIODIC ? c % n : -1;
+  }
+  return c;
+}
@@ -0,0 +1,174 @@
+/**
+ * Brush painting on the simulation state (DOM-free)
+ * Periodic edges wrap the brush, other boundary modes clip it
+ *
+ * A dab covers a circle, square or line (rotated by brushAngle) of size
+ * brushRadius. brushFalloff softens the edge, brushStrength scales how far
+ * each cell moves toward the brush value, and brushBlend 'add' adds the value
+ * instead of mixing toward it. Strokes are interpolated between pointer
+ * samples so fast movements leave no gaps.
+ *
+ * Brush values follow the species ranges of the selected model (see
+ * models.js); for Gray-Scott both are [0, 1] with the rest state U=1, V=0.
+ */
+
+import { resolveCoordinate } from './boundary.js';
+import { getModel } from './models.js';
+
+// Target (U, V) per brush mode; null leaves that field untouched
+const MODE_VALUES = {
+  erase: (params, model) => model.rest(params),
+  V: (params, { range: [[loU], [, hiV]] }) => [loU, hiV],
+  U: (params, { range: [[, hiU]] }) => [hiU, null],
+  UV: (params, { range: [[loU, hiU], [loV, hiV]] }) => [(loU + hiU) / 2, (loV + hiV) / 2],
+  custom: (params) => [params.brushU, params.brushV]
+};
+
+/**
+ * Normalized distance of an offset from the brush center for a shape
+ * (≤ 1 inside the brush)
+ */
+function shapeDistance(dx, dy, r, params) {
+  if (params.brushShape === 'square') {
+    return Math.max(Math.abs(dx), Math.abs(dy)) / r;
+  }
+  if (params.brushShape === 'line') {
+    const a = (params.brushAngle * Math.PI) / 180;
+    const along = dx * Math.cos(a) + dy * Math.sin(a);
+    const across = -dx * Math.sin(a) + dy * Math.cos(a);
+    const halfWidth = Math.max(0.5, r / 8);
+    return Math.max(Math.abs(along) / r, Math.abs(across) / halfWidth);
+  }
+  return Math.sqrt(dx * dx + dy * dy) / r;
+}
+
+/**
+ * Brush weight in [0, 1] for a normalized distance
+ * Hard inside 1 - falloff, smoothstep down to 0 at the edge
+ */
+function falloffWeight(d, falloff) {
+  if (d > 1) return 0;
+  if (falloff <= 0) return 1;
+  const t = (d - (1 - falloff)) / falloff;
+  if (t <= 0) return 1;
+  return 1 - t * t * (3 - 2 * t);
+}
+
+/**
+ * Move a value toward (mix) or by (add) a target, clamped to [lo, hi]
+ */
+function blend(current, target, amount, additive, lo, hi) {
+  const v = additive ? current + target * amount : current + (target - current) * amount;
+  return v < lo ? lo : v > hi ? hi : v;
+}
+
+/**
+ * Paint a single brush dab at grid coordinates
+ * @param {SimulationState} state - State whose U0/V0 are modified
+ * @param {Object} params - Simulation parameters (brush* settings and boundary modes)
+ * @param {number} gx - Brush center x (grid cells)
+ * @param {number} gy - Brush center y (grid cells)
+ * @param {string} mode - One of: 'erase', 'V', 'U', 'UV', 'custom', 'param', 'stamp'
+ *   ('custom' paints params.brushU/brushV, 'param' writes params.paintParamValue
+ *   into the existing params.paintParam map, 'stamp' pastes the stamp)
+ * @param {Object|null} stamp - Region copied by captureStamp (required for 'stamp')
+ */
+export function paintBrush(state, params, gx, gy, mode, stamp = null) {
+  if (mode === 'stamp' && !stamp) return;
+
+  const r = mode === 'stamp' ? stamp.radius : params.brushRadius;
+  const { U0, V0, W, H } = state;
+  const paramMap = mode === 'param' ? state.paramMaps[params.paintParam] : null;
+  const model = getModel(params);
+  const [[loU, hiU], [loV, hiV]] = model.range;
+  const values = MODE_VALUES[mode] ? MODE_VALUES[mode](params, model) : null;
+  const { boundaryLeft, boundaryRight, boundaryTop, boundaryBottom } = params;
+  // Erasing always mixes toward the rest state, even with additive blending
+  const additive = params.brushBlend === 'add' && mode !== 'erase';
+
+  const cx = Math.round(gx);
+  const cy = Math.round(gy);
+  const reach = Math.ceil(r) + 1;
+
+  for (let yy = cy - reach; yy <= cy + reach; yy++) {
+    for (let xx = cx - reach; xx <= cx + reach; xx++) {
+      const weight = falloffWeight(shapeDistance(xx - gx, yy - gy, r, params), params.brushFalloff);
+      if (weight <= 0) continue;
+
+      const x = resolveCoordinate(xx, W, boundaryLeft, boundaryRight);
+      const y = resolveCoordinate(yy, H, boundaryTop, boundaryBottom);
+      if (x < 0 || y < 0) continue;
+      const i = state.idx(x, y);
+      const amount = weight * params.brushStrength;
+
+      if (values) {
+        const [u, v] = values;
+        if (u !== null) U0[i] = blend(U0[i], u, amount, additive, loU, hiU);
+        if (v !== null) V0[i] = blend(V0[i], v, amount, additive, loV, hiV);
+      } else if (mode === 'stamp') {
+        const sx = xx - cx + stamp.radius;
+        const sy = yy - cy + stamp.radius;
+        if (sx < 0 || sx >= stamp.size || sy < 0 || sy >= stamp.size) continue;
+        const s = sx + sy * stamp.size;
+        U0[i] = blend(U0[i], stamp.U[s], amount, additive, loU, hiU);
+        V0[i] = blend(V0[i], stamp.V[s], amount, additive, loV, hiV);
+      } else if (paramMap) {
+        // Parameter values are not confined to the species range
+        paramMap[i] += (params.paintParamValue - paramMap[i]) * amount;
+      }
+    }
+  }
+}
+
+/**
+ * Paint dabs evenly spaced along a segment
+ * @param {{x: number, y: number}} from - Segment start (already painted)
+ * @param {{x: number, y: number}} to - Segment end
+ * @param {number} offset - Distance along the segment of the first dab
+ * @returns {number} Offset of the first dab on the next segment
+ */
+export function paintSegment(state, params, from, to, mode, stamp, offset) {
+  const spacing = brushSpacing(params, mode, stamp);
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+
+  let t = offset;
+  for (; t <= length; t += spacing) {
+    const f = length > 0 ? t / length : 0;
+    paintBrush(state, params, from.x + dx * f, from.y + dy * f, mode, stamp);
+  }
+  return t - length;
+}
+
+/**
+ * Distance between interpolated dabs (a quarter of the brush radius)
+ */
+export function brushSpacing(params, mode, stamp) {
+  const r = mode === 'stamp' && stamp ? stamp.radius : params.brushRadius;
+  return Math.max(1, r / 4);
+}
+
+/**
+ * Copy the square region around a point as a stamp
+ * Cells outside a non-periodic edge read as the rest state of the model
+ * @returns {{radius: number, size: number, U: Float32Array, V: Float32Array}}
+ */
+export function captureStamp(state, params, gx, gy, radius) {
+  const size = 2 * radius + 1;
+  const [restU, restV] = getModel(params).rest(params);
+  const U = new Float32Array(size * size).fill(restU);
+  const V = new Float32Array(size * size).fill(restV);
+
+  for (let sy = 0; sy < size; sy++) {
+    for (let sx = 0; sx < size; sx++) {
+      const x = resolveCoordinate(gx - radius + sx, state.W, params.boundaryLeft, params.boundaryRight);
+      const y = resolveCoordinate(gy - radius + sy, state.H, params.boundaryTop, params.boundaryBottom);
+      if (x < 0 || y < 0) continue;
+      U[sx + sy * size] = state.U0[state.idx(x, y)];
+      V[sx + sy * size] = state.V0[state.idx(x, y)];
+    }
+  }
+
+  return { radius, size, U, V };
+}
@@ -0,0 +1,142 @@
+/**
+ * Binary checkpoint format (DOM-free)
+ * Stores every SimulationState buffer, the grid size, step count,
+ * simulated time and the full parameter set so a run resumes bit for bit.
+ *
+ * Layout (version 1, little-endian):
+ *   char[4]  magic "GSCK"
+ *   uint16   format version
+ *   uint16   reserved (0)
+ *   uint32   W
+ *   uint32   H
+ *   float64  step count
+ *   float64  simulated time
+ *   uint32   params JSON byte length, followed by UTF-8 JSON (padded to 4 bytes)
+ *   uint32   field count
+ *   per field:
+ *     uint16  name byte length, followed by ASCII name (padded to 4 bytes)
+ *     float32[W*H] raw field data
+ */
+
+export const CHECKPOINT_MAGIC = 'GSCK';
+export const CHECKPOINT_VERSION = 1;
+
+// SimulationState buffers written to every checkpoint
+export const CHECKPOINT_FIELDS = Object.freeze([
+  'U0', 'V0', 'U1', 'V1', 'Eraw', 'Eema', 'dtMap', 'dU', 'dV'
+]);
+
+const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const pad4 = (n) => (n + 3) & ~3;
+
+/**
+ * Encode a checkpoint
+ * @param {Object} checkpoint - { W, H, step, time, params, fields: {name: Float32Array} }
+ * @returns {ArrayBuffer}
+ */
+export function encodeCheckpoint({ W, H, step, time, params, fields }) {
+  if (!IS_LITTLE_ENDIAN) {
+    throw new Error('Checkpoints require a little-endian platform');
+  }
+
+  const N = W * H;
+  const paramsBytes = new TextEncoder().encode(JSON.stringify(params));
+  const names = Object.keys(fields);
+
+  let size = 4 + 2 + 2 + 4 + 4 + 8 + 8 + 4 + pad4(paramsBytes.length) + 4;
+  for (const name of names) {
+    size += pad4(2 + name.length) + N * 4;
+  }
+
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  for (let i = 0; i < 4; i++) bytes[offset++] = CHECKPOINT_MAGIC.charCodeAt(i);
+  view.setUint16(offset, CHECKPOINT_VERSION, true); offset += 2;
+  view.setUint16(offset, 0, true); offset += 2;
+  view.setUint32(offset, W, true); offset += 4;
+  view.setUint32(offset, H, true); offset += 4;
+  view.setFloat64(offset, step, true); offset += 8;
+  view.setFloat64(offset, time, true); offset += 8;
+
+  view.setUint32(offset, paramsBytes.length, true); offset += 4;
+  bytes.set(paramsBytes, offset);
+  offset += pad4(paramsBytes.length);
+
+  view.setUint32(offset, names.length, true); offset += 4;
+  for (const name of names) {
+    const data = fields[name];
+    if (data.length !== N) {
+      throw new Error(`Field ${name} has ${data.length} values, expected ${N}`);
+    }
+
+    view.setUint16(offset, name.length, true);
+    for (let i = 0; i < name.length; i++) bytes[offset + 2 + i] = name.charCodeAt(i);
+    offset += pad4(2 + name.length);
+
+    // Raw byte copy keeps every bit (including NaN payloads)
+    bytes.set(new Uint8Array(data.buffer, data.byteOffset, data.byteLength), offset);
+    offset += N * 4;
+  }
+
+  return buffer;
+}
+
+/**
+ * Decode a checkpoint
+ * @param {ArrayBuffer} buffer - Checkpoint file contents
+ * @returns {{W, H, step, time, params, fields: Object<string, Float32Array>}}
+ * @throws {Error} If the data is not a valid checkpoint
+ */
+export function decodeCheckpoint(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  const need = (n) => {
+    if (offset + n > buffer.byteLength) throw new Error('Checkpoint file is truncated');
+  };
+
+  need(32);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== CHECKPOINT_MAGIC) throw new Error('Not a Gray-Scott checkpoint file');
+  offset = 4;
+
+  const version = view.getUint16(offset, true); offset += 4;
+  if (version > CHECKPOINT_VERSION) {
+    throw new Error(`Checkpoint version ${version} is newer than supported (${CHECKPOINT_VERSION})`);
+  }
+
+  const W = view.getUint32(offset, true); offset += 4;
+  const H = view.getUint32(offset, true); offset += 4;
+  const step = view.getFloat64(offset, true); offset += 8;
+  const time = view.getFloat64(offset, true); offset += 8;
+  const N = W * H;
+
+  need(4);
+  const paramsLength = view.getUint32(offset, true); offset += 4;
+  need(paramsLength);
+  const params = JSON.parse(new TextDecoder().decode(bytes.subarray(offset, offset + paramsLength)));
+  offset += pad4(paramsLength);
+
+  need(4);
+  const count = view.getUint32(offset, true); offset += 4;
+  const fields = {};
+  for (let f = 0; f < count; f++) {
+    need(2);
+    const nameLength = view.getUint16(offset, true);
+    need(2 + nameLength);
+    const name = String.fromCharCode(...bytes.subarray(offset + 2, offset + 2 + nameLength));
+    offset += pad4(2 + nameLength);
+
+    need(N * 4);
+    // Copy so the field owns an aligned buffer
+    fields[name] = new Float32Array(buffer.slice(offset, offset + N * 4));
+    offset += N * 4;
+  }
+
+  return { W, H, step, time, params, fields };
+}
@@ -0,0 +1,299 @@
+/**
+ * Field colorization (DOM-free)
+ * Maps a view of the simulation state to RGBA pixels through a colormap and
+ * a normalization strategy; shared by the canvas Renderer and the headless runner
+ *
+ * Normalization modes:
+ * - auto: natural range for U/V ([0,1], or the model's frame.speciesRange),
+ *   [dtMin, dtMax] for dt (frame.dtRange), a running (smoothed) min/max for E
+ *   and per-frame min/max for parameter maps
+ * - frame: per-frame min/max
+ * - manual: locked range [normMin, normMax]
+ * - percentile: running (smoothed) low/high percentiles, no flicker
+ * - histeq: histogram equalization (legend shows value quantiles)
+ */
+
+import { PARAM_MAP_KEYS } from './param-maps.js';
+
+// Colormap anchor colors, interpolated linearly into 256-entry tables
+const COLORMAP_STOPS = {
+  grayscale: ['#000000', '#ffffff'],
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  inferno: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4'],
+  diverging: ['#3b4cc0', '#6f92f3', '#aac7fd', '#dddddd', '#f7b89c', '#e7745b', '#b40426'],
+  cyclic: ['#e2d9e2', '#9ebbc9', '#6a85c3', '#5e43a5', '#2f1436', '#6b1e4b', '#b04c4c', '#d29d83', '#e2d9e2']
+};
+
+export const COLORMAPS = Object.freeze(Object.keys(COLORMAP_STOPS));
+export const NORMALIZATION_MODES = Object.freeze(['auto', 'frame', 'manual', 'percentile', 'histeq']);
+
+// Smoothing factor for running ranges (per rendered frame)
+const RANGE_SMOOTHING = 0.1;
+// Maximum number of values sampled for percentile estimation
+const PERCENTILE_SAMPLES = 8192;
+const HIST_BINS = 256;
+
+/**
+ * Build a 256-entry RGB lookup table for a colormap
+ * @param {string} name - Colormap name (falls back to grayscale)
+ * @returns {Uint8Array} 768 bytes, RGB triplets
+ */
+export function buildColormapLUT(name) {
+  const stops = (COLORMAP_STOPS[name] || COLORMAP_STOPS.grayscale).map(hex => [
+    parseInt(hex.slice(1, 3), 16),
+    parseInt(hex.slice(3, 5), 16),
+    parseInt(hex.slice(5, 7), 16)
+  ]);
+
+  const lut = new Uint8Array(256 * 3);
+  const segments = stops.length - 1;
+  for (let i = 0; i < 256; i++) {
+    const t = (i / 255) * segments;
+    const s = Math.min(Math.floor(t), segments - 1);
+    const f = t - s;
+    for (let c = 0; c < 3; c++) {
+      lut[i * 3 + c] = Math.round(stops[s][c] + (stops[s + 1][c] - stops[s][c]) * f);
+    }
+  }
+  return lut;
+}
+
+/**
+ * Select the field shown by a view mode
+ * Parameter views (PARAM_MAP_KEYS) show the per-cell map, or the uniform
+ * scalar (frame.paramScalars) when the parameter has no map
+ */
+function viewField(state, viewMode) {
+  if (viewMode === 'U') return state.U0;
+  if (viewMode === 'dt') return state.dtMap;
+  if (viewMode === 'E') return state.Eema;
+
+  if (PARAM_MAP_KEYS.includes(viewMode)) {
+    const map = state.paramMaps && state.paramMaps[viewMode];
+    if (map) return map;
+    const scalar = state.paramScalars ? state.paramScalars[viewMode] : 0;
+    return new Float32Array(state.W * state.H).fill(scalar);
+  }
+
+  return state.V0;
+}
+
+/**
+ * Min/max of finite values (NaN/Inf are ignored)
+ */
+function finiteRange(field, N) {
+  let vMin = Infinity;
+  let vMax = -Infinity;
+  for (let i = 0; i < N; i++) {
+    const val = field[i];
+    if (!(val > -Infinity && val < Infinity)) continue;  // skips NaN and ±Inf
+    if (val < vMin) vMin = val;
+    if (val > vMax) vMax = val;
+  }
+  if (!(vMax > vMin)) return { vMin: 0, vMax: 1 };
+  return { vMin, vMax };
+}
+
+/**
+ * Low/high percentiles from a strided sample of finite values
+ */
+function percentileRange(field, N, percent) {
+  const stride = Math.max(1, Math.floor(N / PERCENTILE_SAMPLES));
+  const sample = [];
+  for (let i = 0; i < N; i += stride) {
+    if (isFinite(field[i])) sample.push(field[i]);
+  }
+  if (sample.length === 0) return { vMin: 0, vMax: 1 };
+
+  sample.sort((a, b) => a - b);
+  const q = Math.min(Math.max(percent, 0), 49) / 100;
+  const last = sample.length - 1;
+  return {
+    vMin: sample[Math.floor(q * last)],
+    vMax: sample[Math.ceil((1 - q) * last)]
+  };
+}
+
+export class FieldColorizer {
+  /**
+   * @param {Object} options - { colormap, normMode, normMin, normMax, normPercentile }
+   */
+  constructor(options = {}) {
+    this.colormap = null;
+    this.normMode = 'auto';
+    this.normMin = 0;
+    this.normMax = 1;
+    this.normPercentile = 2;
+
+    // Running range of 'percentile' and of E in 'auto' (reset when the view or mode changes)
+    this.running = null;
+    this.runningView = null;
+
+    // Histogram equalization CDF (reused between frames)
+    this.cdf = new Float64Array(HIST_BINS);
+
+    this.setOptions({ colormap: 'grayscale', ...options });
+  }
+
+  /**
+   * Update colormap and normalization options (undefined keys are ignored)
+   */
+  setOptions({ colormap, normMode, normMin, normMax, normPercentile }) {
+    if (colormap !== undefined && colormap !== this.colormap) {
+      this.colormap = colormap;
+      this.lut = buildColormapLUT(colormap);
+    }
+    if (normMode !== undefined && normMode !== this.normMode) {
+      this.normMode = normMode;
+      this.running = null;
+    }
+    if (normMin !== undefined) this.normMin = normMin;
+    if (normMax !== undefined) this.normMax = normMax;
+    if (normPercentile !== undefined) this.normPercentile = normPercentile;
+  }
+
+  /**
+   * Move the running range towards a target (restarts when the view changes)
+   */
+  smoothRange(target, viewMode) {
+    if (!this.running || this.runningView !== viewMode) {
+      this.running = target;
+      this.runningView = viewMode;
+    } else {
+      const a = RANGE_SMOOTHING;
+      this.running = {
+        vMin: this.running.vMin + a * (target.vMin - this.running.vMin),
+        vMax: this.running.vMax + a * (target.vMax - this.running.vMax)
+      };
+    }
+    return this.running;
+  }
+
+  /**
+   * Determine the linear value range for the current mode
+   * @param {Object} natural - { species: [[min, max] of U, [min, max] of V], dt: [dtMin, dtMax] or undefined }
+   *   used by 'auto'
+   */
+  computeRange(field, N, viewMode, natural) {
+    const mode = this.normMode;
+
+    if (mode === 'manual') {
+      return { vMin: this.normMin, vMax: this.normMax };
+    }
+
+    if (mode === 'percentile') {
+      return this.smoothRange(percentileRange(field, N, this.normPercentile), viewMode);
+    }
+
+    if (mode === 'auto') {
+      if (viewMode === 'V' || viewMode === 'U') {
+        const [lo, hi] = natural.species[viewMode === 'U' ? 0 : 1];
+        return { vMin: lo, vMax: hi };
+      }
+      if (viewMode === 'dt' && natural.dt && natural.dt[1] > natural.dt[0]) {
+        return { vMin: natural.dt[0], vMax: natural.dt[1] };
+      }
+      if (viewMode === 'E') {
+        return this.smoothRange(finiteRange(field, N), viewMode);
+      }
+    }
+
+    // 'frame', 'histeq' and 'auto' for parameter maps: per-frame min/max
+    return finiteRange(field, N);
+  }
+
+  /**
+   * Build the histogram CDF over [vMin, vMax]
+   */
+  buildCDF(field, N, vMin, vMax) {
+    const cdf = this.cdf;
+    cdf.fill(0);
+    const scale = HIST_BINS / (vMax - vMin);
+    let count = 0;
+
+    for (let i = 0; i < N; i++) {
+      const val = field[i];
+      if (!isFinite(val)) continue;
+      let b = Math.floor((val - vMin) * scale);
+      if (b < 0) b = 0;
+      if (b >= HIST_BINS) b = HIST_BINS - 1;
+      cdf[b]++;
+      count++;
+    }
+
+    let acc = 0;
+    for (let b = 0; b < HIST_BINS; b++) {
+      acc += cdf[b];
+      cdf[b] = count > 0 ? acc / count : b / (HIST_BINS - 1);
+    }
+  }
+
+  /**
+   * Fill an RGBA pixel buffer from the selected view of a state/frame
+   * @param {Object} state - Frame snapshot (or SimulationState) with W, H, U0, V0, dtMap, Eema
+   *   (and optionally speciesRange and dtRange)
+   * @param {string} viewMode - One of: 'V', 'U', 'dt', 'E' or a parameter map (PARAM_MAP_KEYS)
+   * @param {Uint8ClampedArray|Uint8Array} pix - Output buffer of length W*H*4
+   * @returns {{vMin: number, vMax: number, valueAt: function(number): number}}
+   *   Legend information: valueAt maps a colormap position in [0,1] to a data value
+   */
+  colorize(state, viewMode, pix) {
+    const N = state.W * state.H;
+    const field = viewField(state, viewMode);
+    const natural = { species: state.speciesRange || [[0, 1], [0, 1]], dt: state.dtRange };
+    const { vMin, vMax } = this.computeRange(field, N, viewMode, natural);
+    const range = vMax - vMin;
+    const lut = this.lut;
+    const histEq = this.normMode === 'histeq' && range > 1e-10;
+
+    if (histEq) this.buildCDF(field, N, vMin, vMax);
+    const cdf = this.cdf;
+
+    for (let i = 0; i < N; i++) {
+      const val = field[i];
+      let v;
+
+      if (histEq) {
+        let b = Math.floor(((val - vMin) / range) * HIST_BINS);
+        if (b < 0) b = 0;
+        if (b >= HIST_BINS) b = HIST_BINS - 1;
+        v = cdf[b];
+      } else {
+        v = range > 1e-10 ? (val - vMin) / range : 0;
+      }
+
+      // NaN maps to the low end of the colormap
+      v = v > 0 ? (v > 1 ? 1 : v) : 0;
+
+      const c = Math.floor(v * 255) * 3;
+      const p = i * 4;
+      pix[p] = lut[c];
+      pix[p + 1] = lut[c + 1];
+      pix[p + 2] = lut[c + 2];
+      pix[p + 3] = 255;
+    }
+
+    const valueAt = histEq
+      ? (pos) => {
+        // Inverse CDF: first bin reaching the requested quantile
+        let b = 0;
+        while (b < HIST_BINS - 1 && cdf[b] < pos) b++;
+        return vMin + ((b + 0.5) / HIST_BINS) * range;
+      }
+      : (pos) => vMin + pos * range;
+
+    return { vMin, vMax, valueAt };
+  }
+}
+
+/**
+ * Fill an RGBA pixel buffer with a one-off colorizer (no running state)
+ * @param {Object} state - Frame snapshot (or SimulationState)
+ * @param {string} viewMode - One of: 'V', 'U', 'dt', 'E'
+ * @param {Uint8ClampedArray|Uint8Array} pix - Output buffer of length W*H*4
+ * @param {Object} options - Colormap/normalization options (see FieldColorizer)
+ */
+export function colorizeField(state, viewMode, pix, options = {}) {
+  return new FieldColorizer(options).colorize(state, viewMode, pix);
+}
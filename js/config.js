@@ -3,28 +3,88 @@
  * All constants are frozen to prevent accidental mutation
  */
 
-// Grid dimensions
+import { MODEL_PARAM_DEFAULTS } from './models.js';
+
+// Default grid dimensions (resolution can be changed at runtime)
 export const GRID_CONFIG = Object.freeze({
   W: 220,
   H: 220,
+  MIN_SIZE: 16,
+  MAX_SIZE: 1024,
   get N() { return this.W * this.H; }
 });
 
-// Tile mode configuration
+// Tile mode configuration (parameter-sweep explorer)
 export const TILE_CONFIG = Object.freeze({
   COLS: 8,
   ROWS: 4,
-  get TOTAL_WIDTH() { return GRID_CONFIG.W * this.COLS; },  // 1760
-  get TOTAL_HEIGHT() { return GRID_CONFIG.H * this.ROWS; }  // 880
+  MIN_TILE_SIZE: 16,
+  MAX_TILE_SIZE: 256
+});
+
+// Parameters that can be swept along a tile axis (the reaction parameters of every model first)
+export const SWEEPABLE_PARAMS = Object.freeze([
+  ...Object.keys(MODEL_PARAM_DEFAULTS), 'Du', 'Dv', 'tempScale', 'dtMin', 'dtMax', 'emaAlpha', 'mixAlpha',
+  'anisoAngle', 'anisoAlong', 'anisoAcross'
+]);
+
+// Parameters that can be keyframed or modulated (see automation.js)
+export const AUTOMATABLE_PARAMS = Object.freeze([...SWEEPABLE_PARAMS, 'dirichletU', 'dirichletV']);
+
+// Boundary condition modes (selectable per edge)
+export const BOUNDARY_MODES = Object.freeze({
+  PERIODIC: 'periodic',
+  NEUMANN: 'neumann',     // zero-flux
+  DIRICHLET: 'dirichlet'  // fixed U/V value
+});
+
+// Time integrator configuration
+export const INTEGRATOR_CONFIG = Object.freeze({
+  IMEX_TOLERANCE: 1e-6,    // Max-norm residual at which the implicit diffusion solve stops
+  IMEX_MAX_ITERATIONS: 200 // Jacobi sweep cap (reported when reached, see GrayScottSimulation.imexStatus)
+});
+
+// Numerical stability monitoring (see stability.js)
+export const STABILITY_CONFIG = Object.freeze({
+  SPIKE_MARGIN: 0.5,        // Overshoot beyond the species range (fraction of its width) that counts as a spike
+  MAX_REPORTED_CELLS: 4096, // Offending cells kept for the diagnostic overlay
+  GOOD_STATE_INTERVAL: 100, // Steps between rollback points
+  DT_SAFETY: 0.9,           // Rolled-back runs use this fraction of the stable dt
+  MAX_ROLLBACKS: 4          // Consecutive rollbacks before the run is paused instead
+});
+
+// History timeline configuration
+export const HISTORY_CONFIG = Object.freeze({
+  BUDGET_MB: 64,          // Compressed snapshot memory before the oldest are dropped
+  INTERVAL_STEPS: 500     // Steps between automatic snapshots
+});
+
+// Pattern analysis configuration
+export const ANALYSIS_CONFIG = Object.freeze({
+  EVERY_SAMPLES: 10  // Run the (FFT-based) analysis on every Nth statistics sample
+});
+
+// Shareable link configuration
+export const SHARE_CONFIG = Object.freeze({
+  STATE_SIZE: 64  // Longest side of the low-resolution state embedded in a link
+});
+
+// Preset library configuration
+export const PRESET_CONFIG = Object.freeze({
+  THUMBNAIL_SIZE: 40,     // Grid cells per side of a preset thumbnail
+  THUMBNAIL_STEPS: 1500,  // Steps simulated for a built-in preset's thumbnail
+  THUMBNAIL_SEED: Object.freeze({ type: 'square', seed: 7, noise: 0.04, size: 20 })
 });
 
 // Default simulation parameters
 export const DEFAULT_PARAMS = Object.freeze({
-  // Gray-Scott reaction parameters
+  // Reaction-diffusion model (see models.js) and diffusion rates
+  model: 'grayScott',
   Du: 0.16,
   Dv: 0.08,
-  F: 0.035,
-  K: 0.06,
+
+  // Reaction parameters of every model (F and K for Gray-Scott)
+  ...MODEL_PARAM_DEFAULTS,
 
   // Dynamic timestep hierarchy parameters
   dtMin: 0.2,
@@ -33,15 +93,94 @@ export const DEFAULT_PARAMS = Object.freeze({
 
   // Energy computation parameters
   emaAlpha: 0.8,    // Energy smoothing (0..0.99)
-  energyMode: 'react',
+  energyMode: 'react',  // Metric of energy-metrics.js
   mixAlpha: 0.5,
+  energyWindow: 2,      // Window radius of the variance and entropy metrics (cells)
+  energyExpression: 'abs(dv) + sqrt(vx*vx + vy*vy)',  // Custom metric over u, v, du, dv, ux, uy, vx, vy
+
+  // Spatially varying parameter maps (null = uniform, see param-maps.js)
+  paramMaps: Object.freeze({
+    F: null, K: null, Du: null, Dv: null, anisoAngle: null, anisoAlong: null, anisoAcross: null
+  }),
+  paintParam: 'F',         // Map painted by the 'param' brush
+  paintParamValue: 0.035,  // Value painted by the 'param' brush
+
+  // Initial condition used by Reseed (see seeds.js); the default is the central 25×25 square
+  seedSpec: Object.freeze({ type: 'square', seed: 1, noise: 0, size: 25 }),
+
+  // Keyframes and LFO modulation of numeric parameters (see automation.js)
+  automation: Object.freeze({ clock: 'time', tracks: Object.freeze([]) }),
+
+  // Time integration
+  integrator: 'euler',  // 'euler' | 'heun' | 'rk4' | 'imex'
+  clampState: true,     // Clamp U/V to the model's species ranges after each step
+  multirate: false,     // Time-consistent multirate stepping on power-of-two dt levels (see multirate.js)
+  multirateLevels: 4,   // Number of dt levels (the finest subcycles 2^(levels-1) times per step)
+
+  // Response to NaN/Inf values or blow-up spikes (see stability.js)
+  stabilityAction: 'rollback',  // 'rollback' (reduce dt and retry) | 'pause' | 'off'
+
+  // Diffusion stencil (see simulation.js)
+  stencil: 'five',      // 'five' | 'nine' | 'anisotropic'
+  anisoAngle: 0,        // Principal direction of the diffusion tensor (degrees)
+  anisoAlong: 1,        // Relative diffusion rate along the principal direction
+  anisoAcross: 0.25,    // Relative diffusion rate across it
+
+  // Boundary conditions
+  boundaryLeft: BOUNDARY_MODES.PERIODIC,
+  boundaryRight: BOUNDARY_MODES.PERIODIC,
+  boundaryTop: BOUNDARY_MODES.PERIODIC,
+  boundaryBottom: BOUNDARY_MODES.PERIODIC,
+  dirichletU: 1.0,
+  dirichletV: 0.0,
+
+  // Grid resolution
+  gridW: GRID_CONFIG.W,
+  gridH: GRID_CONFIG.H,
 
   // UI parameters
   stepsPerFrame: 6,
   brushRadius: 10,
+  brushShape: 'circle',   // 'circle' | 'square' | 'line'
+  brushAngle: 0,          // Line brush rotation (degrees)
+  brushFalloff: 0,        // Soft edge width as a fraction of the radius (0 = hard)
+  brushStrength: 1,       // Fraction of the way each dab moves cells toward the brush value
+  brushBlend: 'replace',  // 'replace' (mix toward value) | 'add'
+  brushU: 0.5,            // Values painted by the 'custom' brush
+  brushV: 0.25,
   viewMode: 'V',
-  tileMode: false
+  tileMode: false,
+
+  // Tile mode parameter sweep (columns vary sweepParamX, rows vary sweepParamY)
+  sweepParamX: 'F',
+  sweepXFrom: 0.01,
+  sweepXTo: 0.07,
+  sweepParamY: 'K',
+  sweepYFrom: 0.045,
+  sweepYTo: 0.07,
+  sweepTileSize: 64,
+
+  // Visualization: colormap, normalization and legend
+  colormap: 'grayscale',  // see COLORMAPS in colorize.js
+  normMode: 'auto',       // 'auto' | 'frame' | 'manual' | 'percentile' | 'histeq'
+  normMin: 0,             // Locked range for 'manual'
+  normMax: 1,
+  normPercentile: 2,      // Clipped percent at each end for 'percentile'
+  showLegend: true,
+
+  // Animation recording
+  recordFormat: 'apng',   // 'apng' | 'gif'
+  recordEvery: 2,         // Capture every Nth rendered frame
+  recordMaxFrames: 300,   // Recording stops automatically at this many frames
+  recordFps: 20,          // Playback speed of the encoded animation
+
+  // Statistics panel
+  showStats: false,       // Track per-frame statistics and draw sparklines
+  statsThreshold: 0.25    // V level counted towards the coverage fraction
 });
 
 // LocalStorage key for settings persistence
 export const STORAGE_KEY = 'grayScottSettings';
+
+// LocalStorage key for the user preset library
+export const PRESETS_STORAGE_KEY = 'grayScottPresets';
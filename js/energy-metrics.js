@@ -0,0 +1,281 @@
+/**
+ * Energy metrics for the dynamic timestep hierarchy (DOM-free)
+ *
+ * The energy of a cell decides its timestep: dt = dtMin + (dtMax - dtMin)·exp(-E/T)
+ * with E normalized by the largest energy (see GrayScottSimulation.buildDtMap).
+ * Metrics fill the raw energy field from the current state; the simulation
+ * then smooths it over time with the EMA. Energies should be non-negative;
+ * NaN/Inf values of the expression metric count as zero.
+ *
+ * Registry entries: { label, params, fill(sim, U, V, Eraw) }
+ *   params: settings keys the metric reads (their controls are shown while it is selected)
+ *
+ * Window metrics (variance, entropy) use the (2r+1)² window of radius
+ * params.energyWindow, clipped at the grid edges.
+ */
+
+import { getModel } from './models.js';
+
+// Histogram bins over the model's V range (entropy metric)
+const ENTROPY_BINS = 8;
+
+// Variables of energy expressions, in argument order
+export const EXPRESSION_VARIABLES = Object.freeze(['u', 'v', 'du', 'dv', 'ux', 'uy', 'vx', 'vy']);
+
+// Math functions and constants available in energy expressions
+export const EXPRESSION_FUNCTIONS = Object.freeze([
+  'abs', 'sqrt', 'cbrt', 'exp', 'log', 'log2', 'log10', 'pow', 'min', 'max', 'hypot',
+  'sin', 'cos', 'tan', 'atan', 'atan2', 'sinh', 'cosh', 'tanh', 'sign', 'floor', 'ceil', 'round',
+  'PI', 'E'
+]);
+
+// Numbers, names and operators; anything else is rejected before compiling
+const EXPRESSION_TOKEN = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|<=|>=|==|!=|&&|\|\||[-+*/%^(),?:<>!]))/y;
+
+/**
+ * Compile an energy expression over u, v, du, dv, ux, uy, vx, vy
+ * du/dv are the changes of the last step, ux/uy/vx/vy the spatial gradients;
+ * ^ is a power operator
+ * @param {string} text - Expression, e.g. 'abs(dv) + sqrt(vx*vx + vy*vy)'
+ * @returns {function(...number): number}
+ * @throws {Error} If the expression is malformed or uses unknown names
+ */
+export function compileEnergyExpression(text) {
+  if (typeof text !== 'string' || text.trim() === '') throw new Error('Expression is empty');
+
+  const parts = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      if (text.slice(start).trim() === '') break;
+      throw new Error(`Unexpected character "${text.slice(start).trim()[0]}"`);
+    }
+    const [, number, name, operator] = match;
+    if (name !== undefined && !EXPRESSION_VARIABLES.includes(name) && !EXPRESSION_FUNCTIONS.includes(name)) {
+      throw new Error(`Unknown name "${name}"`);
+    }
+    parts.push(number ?? name ?? (operator === '^' ? '**' : operator));
+  }
+
+  let fn;
+  try {
+    fn = new Function(...EXPRESSION_FUNCTIONS,
+      `"use strict"; return (${EXPRESSION_VARIABLES.join(', ')}) => (${parts.join(' ')});`
+    )(...EXPRESSION_FUNCTIONS.map(name => Math[name]));
+  } catch (err) {
+    throw new Error(`Invalid expression: ${err.message}`);
+  }
+  if (typeof fn(0.5, 0.25, 0, 0, 0, 0, 0, 0) !== 'number') throw new Error('Expression must give a number');
+  return fn;
+}
+
+/**
+ * Check an energy expression setting
+ * @returns {string|null} Error message, or null if it compiles
+ */
+export function checkEnergyExpression(value) {
+  if (typeof value !== 'string') return 'must be a string';
+  try {
+    compileEnergyExpression(value);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Last compiled expression (recompiled when the setting changes)
+let compiledExpression = { text: null, fn: null };
+
+function expressionFunction(text) {
+  if (compiledExpression.text !== text) {
+    compiledExpression = { text, fn: compileEnergyExpression(text) };
+  }
+  return compiledExpression.fn;
+}
+
+/**
+ * Means of A and A² over the clipped window of radius r around every cell
+ * Separable running sums: rows into mean, then columns (meanSq holds the row sums of A²)
+ */
+function windowMeans(A, W, H, r, mean, meanSq, column) {
+  for (let y = 0; y < H; y++) {
+    const row = y * W;
+    let s = 0;
+    let s2 = 0;
+    for (let x = 0; x < r && x < W; x++) {
+      s += A[row + x];
+      s2 += A[row + x] * A[row + x];
+    }
+    for (let x = 0; x < W; x++) {
+      if (x + r < W) {
+        const a = A[row + x + r];
+        s += a;
+        s2 += a * a;
+      }
+      if (x - r - 1 >= 0) {
+        const a = A[row + x - r - 1];
+        s -= a;
+        s2 -= a * a;
+      }
+      mean[row + x] = s;
+      meanSq[row + x] = s2;
+    }
+  }
+
+  for (let x = 0; x < W; x++) {
+    const cx = Math.min(x + r, W - 1) - Math.max(x - r, 0) + 1;
+    for (const sums of [mean, meanSq]) {
+      let s = 0;
+      for (let y = 0; y < r && y < H; y++) s += sums[x + y * W];
+      for (let y = 0; y < H; y++) {
+        if (y + r < H) s += sums[x + (y + r) * W];
+        if (y - r - 1 >= 0) s -= sums[x + (y - r - 1) * W];
+        column[y] = s / (cx * (Math.min(y + r, H - 1) - Math.max(y - r, 0) + 1));
+      }
+      for (let y = 0; y < H; y++) sums[x + y * W] = column[y];
+    }
+  }
+}
+
+function fillReact(sim, U, V, Eraw) {
+  const model = getModel(sim.params);
+  const { p } = sim.reactionParams(model);
+  for (let i = 0; i < sim.N; i++) {
+    Eraw[i] = model.activity(U[i], V[i], p); // U*V² for Gray-Scott
+  }
+}
+
+function fillGrad(sim, U, V, Eraw) {
+  for (let y = 0; y < sim.H; y++) {
+    for (let x = 0; x < sim.W; x++) {
+      Eraw[sim.idx(x, y)] = sim.gradEnergy(U, V, x, y);
+    }
+  }
+}
+
+function fillTime(sim, U, V, Eraw) {
+  const { dU, dV } = sim.state;
+  for (let i = 0; i < sim.N; i++) {
+    Eraw[i] = Math.abs(dU[i]) + Math.abs(dV[i]);
+  }
+}
+
+function fillMix(sim, U, V, Eraw) {
+  const model = getModel(sim.params);
+  const { p } = sim.reactionParams(model);
+  const a = sim.params.mixAlpha;
+  const ia = 1 - a;
+
+  // Single fused loop: compute both metrics and mix immediately
+  for (let y = 0; y < sim.H; y++) {
+    for (let x = 0; x < sim.W; x++) {
+      const i = sim.idx(x, y);
+      const reactEnergy = model.activity(U[i], V[i], p);
+      const gradEnergy = sim.gradEnergy(U, V, x, y);
+
+      Eraw[i] = a * reactEnergy + ia * gradEnergy;
+    }
+  }
+}
+
+// |∇²U| + |∇²V| with the selected diffusion stencil
+function fillLaplacian(sim, U, V, Eraw) {
+  const { stencil, dirichletU, dirichletV } = sim.params;
+  for (let y = 0; y < sim.H; y++) {
+    for (let x = 0; x < sim.W; x++) {
+      const i = sim.idx(x, y);
+      Eraw[i] = Math.abs(sim.diffusionOperator(U, x, y, i, dirichletU, stencil)) +
+        Math.abs(sim.diffusionOperator(V, x, y, i, dirichletV, stencil));
+    }
+  }
+}
+
+// Var(U) + Var(V) over the window
+function fillVariance(sim, U, V, Eraw) {
+  const { W, H, N } = sim;
+  const mean = sim.scratch('windowMean');
+  const meanSq = sim.scratch('windowMeanSq');
+  const column = new Float64Array(H);
+
+  Eraw.fill(0);
+  for (const A of [U, V]) {
+    windowMeans(A, W, H, sim.params.energyWindow, mean, meanSq, column);
+    for (let i = 0; i < N; i++) {
+      const variance = meanSq[i] - mean[i] * mean[i];
+      if (variance > 0) Eraw[i] += variance;
+    }
+  }
+}
+
+// Shannon entropy (nats) of the V histogram over the window
+function fillEntropy(sim, U, V, Eraw) {
+  const { W, H } = sim;
+  const r = sim.params.energyWindow;
+  const [lo, hi] = getModel(sim.params).range[1];
+  const scale = ENTROPY_BINS / (hi - lo);
+
+  const bins = sim.scratch('entropyBins');
+  for (let i = 0; i < sim.N; i++) {
+    const b = Math.floor((V[i] - lo) * scale);
+    bins[i] = b < 0 ? 0 : b >= ENTROPY_BINS ? ENTROPY_BINS - 1 : b || 0;
+  }
+
+  // Histogram slides along each row: add the entering column, drop the leaving one
+  const counts = new Int32Array(ENTROPY_BINS);
+  const addColumn = (x, y0, y1, delta) => {
+    for (let y = y0; y <= y1; y++) counts[bins[x + y * W]] += delta;
+  };
+
+  for (let y = 0; y < H; y++) {
+    const y0 = Math.max(y - r, 0);
+    const y1 = Math.min(y + r, H - 1);
+    counts.fill(0);
+    for (let x = 0; x < r && x < W; x++) addColumn(x, y0, y1, 1);
+
+    for (let x = 0; x < W; x++) {
+      if (x + r < W) addColumn(x + r, y0, y1, 1);
+      if (x - r - 1 >= 0) addColumn(x - r - 1, y0, y1, -1);
+
+      const n = (Math.min(x + r, W - 1) - Math.max(x - r, 0) + 1) * (y1 - y0 + 1);
+      let sum = 0;
+      for (let b = 0; b < ENTROPY_BINS; b++) {
+        const c = counts[b];
+        if (c > 0) sum += c * Math.log(c);
+      }
+      Eraw[x + y * W] = Math.log(n) - sum / n;
+    }
+  }
+}
+
+// User expression over u, v, du, dv and the gradients
+function fillExpression(sim, U, V, Eraw) {
+  const fn = expressionFunction(sim.params.energyExpression);
+  const { dU, dV } = sim.state;
+  const { dirichletU, dirichletV } = sim.params;
+  const g = sim.gradientOut;
+
+  for (let y = 0; y < sim.H; y++) {
+    for (let x = 0; x < sim.W; x++) {
+      const i = sim.idx(x, y);
+      sim.gradient(U, x, y, dirichletU, g);
+      const ux = g[0];
+      const uy = g[1];
+      sim.gradient(V, x, y, dirichletV, g);
+      const e = fn(U[i], V[i], dU[i], dV[i], ux, uy, g[0], g[1]);
+      Eraw[i] = Number.isFinite(e) ? e : 0;
+    }
+  }
+}
+
+export const ENERGY_METRICS = Object.freeze({
+  react: { label: 'E = reaction activity (U·V² for Gray-Scott)', params: [], fill: fillReact },
+  grad: { label: 'E = |∇U|² + |∇V|² (structure)', params: [], fill: fillGrad },
+  time: { label: 'E = |dU| + |dV| (activity)', params: [], fill: fillTime },
+  mix: { label: 'Mix (α·react + (1-α)·grad)', params: ['mixAlpha'], fill: fillMix },
+  laplacian: { label: 'E = |∇²U| + |∇²V| (curvature)', params: [], fill: fillLaplacian },
+  variance: { label: 'E = local variance of U and V', params: ['energyWindow'], fill: fillVariance },
+  entropy: { label: 'E = local entropy of V', params: ['energyWindow'], fill: fillEntropy },
+  expression: { label: 'E = custom expression', params: ['energyExpression'], fill: fillExpression }
+});
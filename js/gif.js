@@ -0,0 +1,167 @@
+/**
+ * Minimal animated GIF encoder (DOM-free)
+ * Each frame gets its own 256-entry color table built from the frame's
+ * distinct colors; colormapped fields fit exactly, richer frames fall back
+ * to a fixed 3-3-2 RGB palette
+ */
+
+import { concatBytes } from './png.js';
+
+const MAX_COLORS = 256;
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4095;
+
+/**
+ * Build an indexed image and its palette from RGBA pixels (alpha ignored)
+ * @returns {{indices: Uint8Array, palette: Uint8Array}} Palette is 256×RGB
+ */
+function indexFrame(rgba, count) {
+  const indices = new Uint8Array(count);
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  const lookup = new Map();
+
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    const key = (rgba[j] << 16) | (rgba[j + 1] << 8) | rgba[j + 2];
+    let index = lookup.get(key);
+    if (index === undefined) {
+      if (lookup.size === MAX_COLORS) return quantizeFrame(rgba, count);
+      index = lookup.size;
+      lookup.set(key, index);
+      palette[index * 3] = rgba[j];
+      palette[index * 3 + 1] = rgba[j + 1];
+      palette[index * 3 + 2] = rgba[j + 2];
+    }
+    indices[i] = index;
+  }
+
+  return { indices, palette };
+}
+
+/**
+ * Fallback for frames with more than 256 colors: fixed 3-3-2 RGB palette
+ */
+function quantizeFrame(rgba, count) {
+  const indices = new Uint8Array(count);
+  const palette = new Uint8Array(MAX_COLORS * 3);
+
+  for (let index = 0; index < MAX_COLORS; index++) {
+    palette[index * 3] = Math.round(((index >> 5) & 7) * 255 / 7);
+    palette[index * 3 + 1] = Math.round(((index >> 2) & 7) * 255 / 7);
+    palette[index * 3 + 2] = Math.round((index & 3) * 255 / 3);
+  }
+  for (let i = 0, j = 0; i < count; i++, j += 4) {
+    indices[i] = (rgba[j] & 0xe0) | ((rgba[j + 1] >> 3) & 0x1c) | (rgba[j + 2] >> 6);
+  }
+
+  return { indices, palette };
+}
+
+/**
+ * LZW-compress indexed pixels with variable-length codes (GIF flavor)
+ * @returns {Uint8Array} Packed code stream (before sub-block framing)
+ */
+function lzwEncode(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const out = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const symbol = indices[i];
+    const key = (prefix << 8) | symbol;
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode <= MAX_CODE) {
+      // Grow the code width once the new code no longer fits
+      if (nextCode === 1 << codeSize) codeSize++;
+      dictionary.set(key, nextCode++);
+    } else {
+      // Table full: restart with a fresh dictionary
+      emit(clearCode);
+      dictionary = new Map();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = symbol;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) out.push(bitBuffer & 0xff);
+
+  return Uint8Array.from(out);
+}
+
+/**
+ * Split data into GIF sub-blocks (length byte + up to 255 bytes) with terminator
+ */
+function subBlocks(data) {
+  const out = [];
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const block = data.subarray(offset, offset + 255);
+    out.push(block.length, ...block);
+  }
+  out.push(0);
+  return out;
+}
+
+/**
+ * Encode a sequence of equally sized RGBA frames as a looping animated GIF
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Array<Uint8Array|Uint8ClampedArray>} frames - Pixel data (width*height*4 each)
+ * @param {number} delayMs - Display time per frame in milliseconds
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGIF(width, height, frames, delayMs) {
+  if (frames.length === 0) {
+    throw new Error('No frames to encode');
+  }
+
+  const u16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+  // GIF delays are in centiseconds; most viewers treat < 2 as "as fast as 10"
+  const delay = Math.max(2, Math.round(delayMs / 10));
+
+  const parts = [
+    new TextEncoder().encode('GIF89a'),
+    // Logical screen descriptor without a global color table
+    Uint8Array.from([...u16(width), ...u16(height), 0, 0, 0]),
+    // NETSCAPE2.0 extension: loop forever
+    Uint8Array.from([0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0])
+  ];
+
+  for (const rgba of frames) {
+    const { indices, palette } = indexFrame(rgba, width * height);
+    parts.push(
+      // Graphic control extension: frame delay, no transparency
+      Uint8Array.from([0x21, 0xf9, 0x04, 0, ...u16(delay), 0, 0]),
+      // Image descriptor with a 256-entry local color table
+      Uint8Array.from([0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x87]),
+      palette,
+      Uint8Array.from([MIN_CODE_SIZE, ...subBlocks(lzwEncode(indices))])
+    );
+  }
+
+  parts.push(Uint8Array.from([0x3b]));
+  return concatBytes(parts);
+}
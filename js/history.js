@@ -0,0 +1,260 @@
+/**
+ * StateHistory - Memory-bounded tree of compressed state snapshots (DOM-free)
+ *
+ * Snapshots are taken periodically and before destructive edits (paint
+ * strokes, seed, clear, checkpoint import). Each snapshot records the one it
+ * descends from, so rewinding and then continuing creates a new branch while
+ * the old future stays reachable. The timeline shown to the user is the
+ * lineage of the selected branch tip.
+ *
+ * Fields are byte-shuffled (float bytes grouped by significance) and
+ * deflated with CompressionStream; the oldest snapshots are evicted once the
+ * compressed total exceeds the memory budget.
+ */
+
+// Float32 state buffers kept in a snapshot (U1/V1/Eraw are rebuilt every step)
+export const HISTORY_FIELDS = Object.freeze(['U0', 'V0', 'Eema', 'dU', 'dV', 'dtMap']);
+
+/**
+ * Group the bytes of Float32 data by position (all byte 0s, then byte 1s, ...)
+ * Neighboring floats share exponent bytes, which deflate compresses well
+ */
+function shuffleBytes(floats) {
+  const bytes = new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+  const n = floats.length;
+  const out = new Uint8Array(bytes.length);
+  for (let i = 0; i < n; i++) {
+    out[i] = bytes[i * 4];
+    out[n + i] = bytes[i * 4 + 1];
+    out[2 * n + i] = bytes[i * 4 + 2];
+    out[3 * n + i] = bytes[i * 4 + 3];
+  }
+  return out;
+}
+
+/**
+ * Inverse of shuffleBytes
+ */
+function unshuffleBytes(bytes, n) {
+  const floats = new Float32Array(n);
+  const out = new Uint8Array(floats.buffer);
+  for (let i = 0; i < n; i++) {
+    out[i * 4] = bytes[i];
+    out[i * 4 + 1] = bytes[n + i];
+    out[i * 4 + 2] = bytes[2 * n + i];
+    out[i * 4 + 3] = bytes[3 * n + i];
+  }
+  return floats;
+}
+
+/**
+ * Run bytes through a CompressionStream/DecompressionStream
+ */
+async function transform(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+export class StateHistory {
+  /**
+   * @param {{budgetBytes: number, interval: number}} options
+   *   budgetBytes - Compressed memory budget; interval - steps between automatic snapshots
+   */
+  constructor({ budgetBytes, interval }) {
+    this.budgetBytes = budgetBytes;
+    this.interval = interval;
+
+    // id → { id, parent, label, step, time, W, H, names, specs, bytes, size, ready }
+    this.entries = new Map();
+    this.nextId = 1;
+    this.totalBytes = 0;
+
+    // Snapshot the live state descends from, and the tip of the selected branch
+    this.head = null;
+    this.tip = null;
+
+    // Snapshot the live state is identical to (just restored or captured), or null
+    this.position = null;
+
+    // Called whenever the timeline changes
+    this.onChange = null;
+  }
+
+  /**
+   * Snapshot a state
+   * The buffers are copied synchronously; compression finishes asynchronously
+   * @param {Object} snap - { W, H, step, time, fields: {name: Float32Array}, specs }
+   * @param {string} label - Why the snapshot was taken ('auto', 'paint', 'clear', ...)
+   * @returns {number} Snapshot id
+   */
+  capture(snap, label) {
+    const id = this.nextId++;
+    const names = Object.keys(snap.fields);
+    const raw = names.map(name => shuffleBytes(snap.fields[name]));
+
+    const entry = {
+      id,
+      parent: this.head,
+      label,
+      step: snap.step,
+      time: snap.time,
+      W: snap.W,
+      H: snap.H,
+      names,
+      specs: snap.specs,
+      bytes: null,
+      size: 0,
+      ready: null
+    };
+    entry.ready = Promise.all(raw.map(r => transform(r, new CompressionStream('deflate-raw'))))
+      .then(parts => {
+        entry.bytes = parts;
+        entry.size = parts.reduce((sum, p) => sum + p.length, 0);
+        if (this.entries.has(id)) {
+          this.totalBytes += entry.size;
+          this.evict();
+          this.changed();
+        }
+      });
+
+    this.entries.set(id, entry);
+    this.head = id;
+    this.tip = id;
+    this.position = id;
+    this.changed();
+    return id;
+  }
+
+  /**
+   * Decompress a snapshot
+   * @returns {Promise<Object>} { W, H, step, time, fields, specs }
+   */
+  async load(id) {
+    const entry = this.entries.get(id);
+    if (!entry) throw new Error(`History snapshot ${id} is no longer available`);
+    await entry.ready;
+
+    const n = entry.W * entry.H;
+    const fields = {};
+    for (let i = 0; i < entry.names.length; i++) {
+      const bytes = await transform(entry.bytes[i], new DecompressionStream('deflate-raw'));
+      fields[entry.names[i]] = unshuffleBytes(bytes, n);
+    }
+    return { W: entry.W, H: entry.H, step: entry.step, time: entry.time, fields, specs: entry.specs };
+  }
+
+  /**
+   * Mark a snapshot as the live state after it has been restored
+   * Selecting a snapshot outside the current branch switches to its branch
+   */
+  moveTo(id) {
+    if (!this.lineage(this.tip).some(e => e.id === id)) {
+      this.tip = id;
+    }
+    this.head = id;
+    this.position = id;
+    this.changed();
+  }
+
+  /**
+   * The live state diverged from the last snapshot (step, paint, ...)
+   */
+  invalidate() {
+    if (this.position === null) return;
+    this.position = null;
+    this.changed();
+  }
+
+  /**
+   * Whether an automatic snapshot is due at this step
+   */
+  isDue(step) {
+    const head = this.entries.get(this.head);
+    return !head || step - head.step >= this.interval;
+  }
+
+  /**
+   * Snapshot to restore for undo, or null
+   * (the caller captures the live state first when it has diverged)
+   */
+  undoTarget() {
+    const current = this.entries.get(this.position);
+    return current && this.entries.has(current.parent) ? current.parent : null;
+  }
+
+  /**
+   * Snapshot to restore for redo (next one along the selected branch), or null
+   */
+  redoTarget() {
+    if (this.position === null) return null;
+    const line = this.lineage(this.tip);
+    const index = line.findIndex(e => e.id === this.position);
+    return index >= 0 && index < line.length - 1 ? line[index + 1].id : null;
+  }
+
+  /**
+   * Snapshots from the oldest available ancestor down to id
+   */
+  lineage(id) {
+    const line = [];
+    let entry = this.entries.get(id);
+    while (entry) {
+      line.push(entry);
+      entry = this.entries.get(entry.parent);
+    }
+    return line.reverse();
+  }
+
+  /**
+   * Branch tips: snapshots that no other snapshot descends from
+   */
+  tips() {
+    const parents = new Set();
+    for (const entry of this.entries.values()) parents.add(entry.parent);
+    return [...this.entries.values()].filter(e => !parents.has(e.id));
+  }
+
+  /**
+   * Drop the oldest snapshots until the budget is met
+   * (never the one the live state descends from)
+   */
+  evict() {
+    for (const entry of this.entries.values()) {
+      if (this.totalBytes <= this.budgetBytes) break;
+      if (entry.id === this.head || entry.bytes === null) continue;
+      this.entries.delete(entry.id);
+      this.totalBytes -= entry.size;
+      if (this.tip === entry.id) this.tip = this.head;
+      if (this.position === entry.id) this.position = null;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+    this.head = null;
+    this.tip = null;
+    this.position = null;
+    this.changed();
+  }
+
+  /**
+   * Plain description of the timeline for the UI
+   */
+  describe() {
+    const brief = ({ id, label, step, time }) => ({ id, label, step, time });
+    return {
+      timeline: this.lineage(this.tip).map(brief),
+      branches: this.tips().map(brief),
+      head: this.head,
+      tip: this.tip,
+      position: this.position,
+      totalBytes: this.totalBytes,
+      budgetBytes: this.budgetBytes
+    };
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Time integrators for the reaction-diffusion system
+ *
+ * Every integrator advances (U0, V0) into (U1, V1) using the per-cell
+ * timestep from dtMap, so the dynamic dt hierarchy is honored by all schemes.
+ * Rates are evaluated through simulation.computeRates(), which makes the
+ * integrators independent of the reaction terms and boundary handling.
+ *
+ * Registry entries: { label, stability, step(sim, U0, V0, U1, V1, dtMap) }
+ *   stability: extent of the scheme's stability region on the negative real
+ *   axis (a diffusion mode of rate λ is stable while dt·λ ≤ stability);
+ *   Infinity when diffusion is treated implicitly (see stability.js)
+ */
+
+/**
+ * out[i] = base[i] + scale * dt[i] * k[i]
+ */
+function advance(out, base, k, dtMap, scale) {
+  for (let i = 0; i < out.length; i++) {
+    out[i] = base[i] + scale * dtMap[i] * k[i];
+  }
+}
+
+/**
+ * Forward Euler: U1 = U0 + dt·f(U0)
+ */
+function stepEuler(sim, U0, V0, U1, V1, dtMap) {
+  const kU = sim.scratch('k1U');
+  const kV = sim.scratch('k1V');
+
+  sim.computeRates(U0, V0, kU, kV);
+  advance(U1, U0, kU, dtMap, 1);
+  advance(V1, V0, kV, dtMap, 1);
+}
+
+/**
+ * Heun / explicit trapezoid (RK2):
+ *   k1 = f(U0), k2 = f(U0 + dt·k1), U1 = U0 + dt/2·(k1 + k2)
+ */
+function stepHeun(sim, U0, V0, U1, V1, dtMap) {
+  const k1U = sim.scratch('k1U');
+  const k1V = sim.scratch('k1V');
+  const k2U = sim.scratch('k2U');
+  const k2V = sim.scratch('k2V');
+  const tU = sim.scratch('tmpU');
+  const tV = sim.scratch('tmpV');
+
+  sim.computeRates(U0, V0, k1U, k1V);
+  advance(tU, U0, k1U, dtMap, 1);
+  advance(tV, V0, k1V, dtMap, 1);
+  sim.computeRates(tU, tV, k2U, k2V);
+
+  for (let i = 0; i < U1.length; i++) {
+    const h = 0.5 * dtMap[i];
+    U1[i] = U0[i] + h * (k1U[i] + k2U[i]);
+    V1[i] = V0[i] + h * (k1V[i] + k2V[i]);
+  }
+}
+
+/**
+ * Classic fourth-order Runge-Kutta
+ */
+function stepRK4(sim, U0, V0, U1, V1, dtMap) {
+  const k1U = sim.scratch('k1U');
+  const k1V = sim.scratch('k1V');
+  const k2U = sim.scratch('k2U');
+  const k2V = sim.scratch('k2V');
+  const k3U = sim.scratch('k3U');
+  const k3V = sim.scratch('k3V');
+  const k4U = sim.scratch('k4U');
+  const k4V = sim.scratch('k4V');
+  const tU = sim.scratch('tmpU');
+  const tV = sim.scratch('tmpV');
+
+  sim.computeRates(U0, V0, k1U, k1V);
+
+  advance(tU, U0, k1U, dtMap, 0.5);
+  advance(tV, V0, k1V, dtMap, 0.5);
+  sim.computeRates(tU, tV, k2U, k2V);
+
+  advance(tU, U0, k2U, dtMap, 0.5);
+  advance(tV, V0, k2V, dtMap, 0.5);
+  sim.computeRates(tU, tV, k3U, k3V);
+
+  advance(tU, U0, k3U, dtMap, 1);
+  advance(tV, V0, k3V, dtMap, 1);
+  sim.computeRates(tU, tV, k4U, k4V);
+
+  for (let i = 0; i < U1.length; i++) {
+    const h = dtMap[i] / 6;
+    U1[i] = U0[i] + h * (k1U[i] + 2 * k2U[i] + 2 * k3U[i] + k4U[i]);
+    V1[i] = V0[i] + h * (k1V[i] + 2 * k2V[i] + 2 * k3V[i] + k4V[i]);
+  }
+}
+
+/**
+ * IMEX (semi-implicit): explicit reaction, backward-Euler diffusion
+ *   (I - dt·D·∇²) U1 = U0 + dt·R(U0)
+ * The linear system is solved with Jacobi sweeps until the max-norm residual
+ * drops below INTEGRATOR_CONFIG.IMEX_TOLERANCE. The operator is strictly
+ * diagonally dominant, so the sweeps converge for any dt, but each one only
+ * shrinks the error by about c·a/(1 + c·a) (a = dt·D, c the stencil's center
+ * weight): large steps need many sweeps, and the count is capped at
+ * IMEX_MAX_ITERATIONS (sim.imexStatus reports a capped solve).
+ */
+function stepIMEX(sim, U0, V0, U1, V1, dtMap) {
+  const rU = sim.scratch('k1U');
+  const rV = sim.scratch('k1V');
+  const bU = sim.scratch('k2U');
+  const bV = sim.scratch('k2V');
+
+  sim.computeRates(U0, V0, rU, rV, false);
+  advance(bU, U0, rU, dtMap, 1);
+  advance(bV, V0, rV, dtMap, 1);
+
+  sim.solveImplicitDiffusion(bU, bV, U1, V1, dtMap);
+}
+
+export const INTEGRATORS = Object.freeze({
+  euler: Object.freeze({ label: 'Euler (1st order)', stability: 2, step: stepEuler }),
+  heun: Object.freeze({ label: 'Heun / RK2', stability: 2, step: stepHeun }),
+  rk4: Object.freeze({ label: 'RK4 (classic)', stability: 2.785, step: stepRK4 }),
+  imex: Object.freeze({ label: 'IMEX (implicit diffusion)', stability: Infinity, step: stepIMEX })
+});
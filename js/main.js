@@ -4,8 +4,7 @@
  */
 
 import { DEFAULT_PARAMS } from './config.js';
-import { SimulationState } from './state.js';
-import { GrayScottSimulation } from './simulation.js';
+import { SimulationClient } from './simulation-client.js';
 import { Renderer } from './renderer.js';
 import { SettingsManager } from './settings-manager.js';
 import { UIController } from './ui-controller.js';
@@ -18,11 +17,8 @@ function init() {
     // Create mutable parameters object from defaults
     const params = { ...DEFAULT_PARAMS };
 
-    // Create state manager
-    const state = new SimulationState();
-
-    // Create simulation engine
-    const simulation = new GrayScottSimulation(state, params);
+    // Create simulation (state and engine live in a Web Worker)
+    const simulation = new SimulationClient(params);
 
     // Create renderer
     const renderer = new Renderer('c');
@@ -34,7 +30,6 @@ function init() {
     const uiController = new UIController(
       simulation,
       renderer,
-      state,
       settingsManager,
       params
     );
@@ -0,0 +1,182 @@
+/**
+ * Reaction-diffusion models (DOM-free)
+ *
+ * Every model has two species, stored in the U and V fields, that diffuse
+ * with the shared Du/Dv rates; the model supplies the reaction terms. The
+ * integrators and the dynamic timestep hierarchy only see the rates, so they
+ * work unchanged with every model.
+ *
+ * Registry entries:
+ *   label
+ *   species: [{ name, label }, { name, label }]   what U and V represent
+ *   range: [[min, max], [min, max]]
+ *                              Typical values of U and V (clamping, spike detection,
+ *                              brush values and 'auto' normalization)
+ *   params: { key: { label, min, max, step, default } }
+ *                              Reaction parameters; keys are settings keys, unique across models
+ *   defaults: { ... }          Shared settings that suit the model (Du, Dv, dt bounds),
+ *                              applied when the model is selected in the UI
+ *   rest(p) → [u, v]           Homogeneous steady state (Clear, and the base of seeds)
+ *   perturb(p) → [du, dv]      Seeded cells are rest + field·perturb (field in [0, 1])
+ *   reaction(u, v, p, out)     Writes du/dt and dv/dt without diffusion into out[0], out[1]
+ *   activity(u, v, p)          Local reaction activity for the 'react' energy metric
+ */
+
+// Smallest inhibitor level used in divisions (Gierer-Meinhardt)
+const MIN_INHIBITOR = 1e-4;
+
+export const MODELS = Object.freeze({
+  grayScott: {
+    label: 'Gray-Scott',
+    species: [{ name: 'U', label: 'substrate' }, { name: 'V', label: 'autocatalyst' }],
+    range: [[0, 1], [0, 1]],
+    params: {
+      F: { label: 'Feed (F)', min: 0, max: 0.08, step: 0.0001, default: 0.035 },
+      K: { label: 'Kill (k)', min: 0, max: 0.08, step: 0.0001, default: 0.06 }
+    },
+    defaults: { Du: 0.16, Dv: 0.08, dtMin: 0.2, dtMax: 1.5 },
+    rest: () => [1, 0],
+    perturb: () => [-1, 1],
+    // du/dt = -u·v² + F·(1-u),  dv/dt = u·v² - (F+K)·v
+    reaction(u, v, p, out) {
+      const uvv = u * v * v;
+      out[0] = -uvv + p.F * (1 - u);
+      out[1] = uvv - (p.F + p.K) * v;
+    },
+    activity: (u, v) => u * v * v
+  },
+
+  brusselator: {
+    label: 'Brusselator',
+    species: [{ name: 'U', label: 'activator' }, { name: 'V', label: 'inhibitor' }],
+    range: [[0, 4], [0, 3]],
+    params: {
+      bruA: { label: 'A', min: 0.1, max: 4, step: 0.01, default: 1 },
+      bruB: { label: 'B', min: 0.1, max: 8, step: 0.01, default: 1.9 },
+      bruRate: { label: 'Rate', min: 0.001, max: 1, step: 0.001, default: 0.2 }
+    },
+    defaults: { Du: 0.02, Dv: 0.16, dtMin: 0.2, dtMax: 1.5 },
+    rest: (p) => [p.bruA, p.bruB / p.bruA],
+    perturb: (p) => [0.5 * p.bruA, 0],
+    // du/dt = r·(A - (B+1)·u + u²·v),  dv/dt = r·(B·u - u²·v)
+    reaction(u, v, p, out) {
+      const uuv = u * u * v;
+      out[0] = p.bruRate * (p.bruA - (p.bruB + 1) * u + uuv);
+      out[1] = p.bruRate * (p.bruB * u - uuv);
+    },
+    activity: (u, v) => u * u * v
+  },
+
+  schnakenberg: {
+    label: 'Schnakenberg',
+    species: [{ name: 'U', label: 'activator' }, { name: 'V', label: 'substrate' }],
+    range: [[0, 4], [0, 2]],
+    params: {
+      schA: { label: 'a', min: 0, max: 1, step: 0.001, default: 0.1 },
+      schB: { label: 'b', min: 0, max: 2, step: 0.001, default: 0.9 },
+      schGamma: { label: 'γ (rate)', min: 0.001, max: 1, step: 0.001, default: 0.05 }
+    },
+    defaults: { Du: 0.008, Dv: 0.16, dtMin: 0.2, dtMax: 1.5 },
+    rest: (p) => {
+      const u = p.schA + p.schB;
+      return [u, u > 0 ? p.schB / (u * u) : 0];
+    },
+    perturb: (p) => [0.5 * (p.schA + p.schB), 0],
+    // du/dt = γ·(a - u + u²·v),  dv/dt = γ·(b - u²·v)
+    reaction(u, v, p, out) {
+      const uuv = u * u * v;
+      out[0] = p.schGamma * (p.schA - u + uuv);
+      out[1] = p.schGamma * (p.schB - uuv);
+    },
+    activity: (u, v) => u * u * v
+  },
+
+  fitzHughNagumo: {
+    label: 'FitzHugh-Nagumo',
+    species: [{ name: 'U', label: 'activator' }, { name: 'V', label: 'recovery' }],
+    range: [[-1, 1], [-1, 1]],
+    params: {
+      fhnA0: { label: 'a₀', min: -0.5, max: 0.5, step: 0.001, default: 0 },
+      fhnA1: { label: 'a₁', min: 0, max: 4, step: 0.01, default: 0.5 },
+      fhnEps: { label: 'ε', min: 0.01, max: 5, step: 0.01, default: 2.5 },
+      fhnRate: { label: 'Rate', min: 0.001, max: 1, step: 0.001, default: 0.02 }
+    },
+    defaults: { Du: 0.01, Dv: 0.16, dtMin: 0.2, dtMax: 1.5 },
+    rest: (p) => {
+      // Intersection of the nullclines v = u - u³ and u - a₁·v = a₀ (Newton from u = 0)
+      let u = 0;
+      for (let i = 0; i < 50; i++) {
+        const f = p.fhnA1 * (u - u * u * u) - u + p.fhnA0;
+        const df = p.fhnA1 * (1 - 3 * u * u) - 1;
+        if (Math.abs(df) < 1e-12) break;
+        u -= f / df;
+      }
+      return [u, u - u * u * u];
+    },
+    perturb: () => [0.5, 0],
+    // du/dt = r·(u - u³ - v),  dv/dt = r·ε·(u - a₁·v - a₀)
+    reaction(u, v, p, out) {
+      out[0] = p.fhnRate * (u - u * u * u - v);
+      out[1] = p.fhnRate * p.fhnEps * (u - p.fhnA1 * v - p.fhnA0);
+    },
+    activity: (u, v) => Math.abs(u - u * u * u - v)
+  },
+
+  giererMeinhardt: {
+    label: 'Gierer-Meinhardt',
+    species: [{ name: 'U', label: 'activator' }, { name: 'V', label: 'inhibitor' }],
+    range: [[0, 4], [0, 6]],
+    params: {
+      gmRho: { label: 'ρ (production)', min: 0.01, max: 4, step: 0.01, default: 1 },
+      gmMu: { label: 'μ (activator decay)', min: 0.01, max: 4, step: 0.01, default: 1 },
+      gmNu: { label: 'ν (inhibitor decay)', min: 0.01, max: 4, step: 0.01, default: 2 },
+      gmRate: { label: 'Rate', min: 0.001, max: 1, step: 0.001, default: 0.05 }
+    },
+    defaults: { Du: 0.01, Dv: 0.16, dtMin: 0.2, dtMax: 1.5 },
+    rest: (p) => {
+      const u = p.gmNu / p.gmMu;
+      return [u, (p.gmRho * u * u) / p.gmNu];
+    },
+    perturb: (p) => [0.5 * p.gmNu / p.gmMu, 0],
+    // du/dt = r·(ρ·u²/v - μ·u),  dv/dt = r·(ρ·u² - ν·v)
+    reaction(u, v, p, out) {
+      const uu = u * u;
+      out[0] = p.gmRate * ((p.gmRho * uu) / (v > MIN_INHIBITOR ? v : MIN_INHIBITOR) - p.gmMu * u);
+      out[1] = p.gmRate * (p.gmRho * uu - p.gmNu * v);
+    },
+    activity: (u, v) => u * u
+  }
+});
+
+// Bounds of every species range of every model (limits of the Dirichlet and custom brush values)
+export const SPECIES_LIMITS = Object.freeze([
+  Math.min(...Object.values(MODELS).flatMap(model => model.range.map(([lo]) => lo))),
+  Math.max(...Object.values(MODELS).flatMap(model => model.range.map(([, hi]) => hi)))
+]);
+
+// Default value of every model parameter, by settings key
+export const MODEL_PARAM_DEFAULTS = Object.freeze(Object.fromEntries(
+  Object.values(MODELS).flatMap(model => Object.entries(model.params).map(([key, spec]) => [key, spec.default]))
+));
+
+/**
+ * Model selected by params.model (Gray-Scott for unknown names)
+ */
+export function getModel(params) {
+  return MODELS[params.model] || MODELS.grayScott;
+}
+
+/**
+ * Seed a state with a generated field (see seeds.js) around the rest state of the selected model
+ */
+export function seedState(state, field, params) {
+  const model = getModel(params);
+  state.seed(field, model.rest(params), model.perturb(params));
+}
+
+/**
+ * Clear a state to the rest state of the selected model
+ */
+export function clearState(state, params) {
+  state.clear(getModel(params).rest(params));
+}
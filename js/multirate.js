@@ -0,0 +1,118 @@
+/**
+ * Time-consistent multirate stepping for the dt hierarchy
+ *
+ * The per-cell scheme advances every cell once per step with its own dt, so
+ * neighbors end up at different simulated times. Multirate mode (params.multirate)
+ * instead advances all cells by a common macro step Δ = max(dtMap):
+ *   - Each cell gets the coarsest power-of-two level ℓ whose step Δ/2^ℓ does
+ *     not exceed its dt, capped at params.multirateLevels - 1: cells whose dt
+ *     is below Δ/2^(levels-1) take that longer substep (sim.multirateStatus
+ *     counts them and the number of levels that would avoid it)
+ *   - Level ℓ cells take 2^ℓ forward Euler substeps, so fast regions subcycle
+ *     while slow regions take one large step
+ *   - At every substep, neighbors that are in the middle of a longer step are
+ *     seen at the current time, linearly interpolated between the start and the
+ *     end of that step; neighbors on the same or a faster level are exact
+ * After the macro step every cell is at the same time. The selected integrator
+ * is not used (the substeps are Euler steps); dtMap is left holding the
+ * substep each cell took.
+ */
+
+/**
+ * Advance (U0, V0) into (U1, V1) by one macro step
+ * @returns {number} The macro step Δ (simulated time advanced by every cell)
+ */
+export function stepMultirate(sim, U0, V0, U1, V1, dtMap) {
+  const N = sim.N;
+  const levels = Math.max(1, sim.params.multirateLevels | 0);
+
+  let macro = dtMap[0];
+  let smallest = dtMap[0];
+  for (let i = 1; i < N; i++) {
+    if (dtMap[i] > macro) macro = dtMap[i];
+    if (dtMap[i] < smallest) smallest = dtMap[i];
+  }
+
+  // Level of each cell, and the cells sorted by level (counting sort)
+  const level = sim.scratch('mrLevel');
+  const counts = new Int32Array(levels + 1);
+  let finest = 0;
+  let overCap = 0;
+  for (let i = 0; i < N; i++) {
+    let l = 0;
+    while (l < levels - 1 && macro / 2 ** l > dtMap[i] * (1 + 1e-9)) l++;
+    if (macro / 2 ** l > dtMap[i] * (1 + 1e-9)) overCap++;
+    level[i] = l;
+    counts[l + 1]++;
+    if (l > finest) finest = l;
+  }
+  sim.multirateStatus = {
+    overCap,
+    levelsNeeded: 1 + Math.max(0, Math.ceil(Math.log2(macro / smallest) - 1e-9))
+  };
+
+  // Only the finest level in use sets the number of substeps
+  const substeps = 2 ** finest;
+  const offsets = new Int32Array(levels + 1);
+  for (let l = 0; l < levels; l++) offsets[l + 1] = offsets[l] + counts[l + 1];
+  if (!sim.levelCells || sim.levelCells.length !== N) sim.levelCells = new Int32Array(N);
+  const cells = sim.levelCells;
+  const next = offsets.slice();
+  for (let i = 0; i < N; i++) {
+    const l = level[i];
+    cells[next[l]++] = i;
+    dtMap[i] = macro / 2 ** l;
+  }
+
+  // Value at the start and the end of each cell's current substep
+  const startU = sim.scratch('mrStartU');
+  const startV = sim.scratch('mrStartV');
+  const endU = sim.scratch('mrEndU');
+  const endV = sim.scratch('mrEndV');
+  // All cells at the current substep time, and the rates of the active cells
+  const nowU = sim.scratch('mrNowU');
+  const nowV = sim.scratch('mrNowV');
+  const kU = sim.scratch('k1U');
+  const kV = sim.scratch('k1V');
+  endU.set(U0);
+  endV.set(V0);
+
+  // Fine substeps per substep of each level
+  const period = new Int32Array(levels);
+  for (let l = 0; l <= finest; l++) period[l] = 2 ** (finest - l);
+
+  for (let k = 0; k < substeps; k++) {
+    // Cells of level ℓ start a substep every 2^(finest-ℓ) fine substeps; the
+    // others are interpolated within the substep they are in
+    for (let i = 0; i < N; i++) {
+      const p = period[level[i]];
+      const phase = k % p;
+      if (phase === 0) {
+        nowU[i] = endU[i];
+        nowV[i] = endV[i];
+      } else {
+        const f = phase / p;
+        nowU[i] = startU[i] + f * (endU[i] - startU[i]);
+        nowV[i] = startV[i] + f * (endV[i] - startV[i]);
+      }
+    }
+
+    // Active levels: all levels at least as fine as the coarsest one starting now
+    let first = 0;
+    while (k % period[first] !== 0) first++;
+    sim.computeRatesAt(nowU, nowV, kU, kV, cells, offsets[first], N);
+
+    for (let c = offsets[first]; c < N; c++) {
+      const i = cells[c];
+      const dt = dtMap[i];
+      startU[i] = nowU[i];
+      startV[i] = nowV[i];
+      endU[i] = nowU[i] + dt * kU[i];
+      endV[i] = nowV[i] + dt * kV[i];
+    }
+  }
+
+  U1.set(endU);
+  V1.set(endV);
+  return macro;
+}
@@ -0,0 +1,115 @@
+/**
+ * Spatially varying parameter maps (DOM-free)
+ *
+ * F, K, Du, Dv and the anisotropy parameters (anisoAngle, anisoAlong,
+ * anisoAcross) may each be backed by a per-cell Float32Array map that
+ * overrides the global scalar. Maps are described by a spec so they can be
+ * stored in settings and rebuilt at any grid resolution:
+ *   { type: 'gradient', axis: 'x' | 'y', from, to }   Linear ramp across the grid
+ *   { type: 'data', W, H, min, max, data }            Sampled values (16-bit, base64)
+ * A missing/null spec means the parameter is uniform.
+ */
+
+import { resampleField } from './state.js';
+
+export const PARAM_MAP_KEYS = Object.freeze(['F', 'K', 'Du', 'Dv', 'anisoAngle', 'anisoAlong', 'anisoAcross']);
+
+/**
+ * Build a W×H map from a spec
+ * @param {Object} spec - Gradient or data spec
+ * @param {number} W - Grid width
+ * @param {number} H - Grid height
+ * @returns {Float32Array}
+ */
+export function buildParamMap(spec, W, H) {
+  if (spec.type === 'gradient') {
+    const map = new Float32Array(W * H);
+    const n = spec.axis === 'y' ? H : W;
+    for (let y = 0; y < H; y++) {
+      for (let x = 0; x < W; x++) {
+        const t = n > 1 ? (spec.axis === 'y' ? y : x) / (n - 1) : 0;
+        map[x + y * W] = spec.from + (spec.to - spec.from) * t;
+      }
+    }
+    return map;
+  }
+
+  if (spec.type === 'data') {
+    const values = decodeParamMapData(spec);
+    return spec.W === W && spec.H === H ? values : resampleField(values, spec.W, spec.H, W, H);
+  }
+
+  throw new Error(`Unknown parameter map type: ${spec.type}`);
+}
+
+/**
+ * Encode a map as a compact data spec (values quantized to 16 bits over [min, max])
+ * @param {Float32Array} map - Map values
+ * @param {number} W - Map width
+ * @param {number} H - Map height
+ * @returns {Object} Data spec
+ */
+export function encodeParamMapData(map, W, H) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < map.length; i++) {
+    if (map[i] < min) min = map[i];
+    if (map[i] > max) max = map[i];
+  }
+  const range = max > min ? max - min : 1;
+
+  const q = new Uint16Array(map.length);
+  for (let i = 0; i < map.length; i++) {
+    q[i] = Math.round(((map[i] - min) / range) * 65535);
+  }
+
+  const bytes = new Uint8Array(q.buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return { type: 'data', W, H, min, max, data: btoa(binary) };
+}
+
+/**
+ * Decode the values of a data spec
+ * @returns {Float32Array} spec.W × spec.H values
+ */
+export function decodeParamMapData(spec) {
+  const binary = atob(spec.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+  const q = new Uint16Array(bytes.buffer);
+  if (q.length !== spec.W * spec.H) {
+    throw new Error(`Parameter map data has ${q.length} values, expected ${spec.W * spec.H}`);
+  }
+
+  const range = spec.max - spec.min;
+  const map = new Float32Array(q.length);
+  for (let i = 0; i < q.length; i++) {
+    map[i] = spec.min + (q[i] / 65535) * range;
+  }
+  return map;
+}
+
+/**
+ * Convert grayscale RGBA pixels (e.g. an imported PNG) into a data spec
+ * Black maps to min, white to max
+ * @param {Uint8ClampedArray} rgba - Image pixels
+ * @param {number} W - Image width
+ * @param {number} H - Image height
+ * @param {number} min - Value for black
+ * @param {number} max - Value for white
+ * @returns {Object} Data spec
+ */
+export function paramMapFromImage(rgba, W, H, min, max) {
+  const map = new Float32Array(W * H);
+  for (let i = 0; i < map.length; i++) {
+    const p = i * 4;
+    const lum = (0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2]) / 255;
+    map[i] = min + (max - min) * lum;
+  }
+  return encodeParamMapData(map, W, H);
+}
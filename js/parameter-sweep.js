@@ -0,0 +1,178 @@
+/**
+ * ParameterSweep - Grid of independent simulations for phase-diagram exploration (DOM-free)
+ *
+ * Each of the COLS×ROWS tiles runs its own SimulationState/GrayScottSimulation.
+ * Two parameters vary linearly across the tiles:
+ *   column c → paramX = xFrom + (xTo - xFrom) · c / (COLS - 1)
+ *   row r    → paramY = yFrom + (yTo - yFrom) · r / (ROWS - 1)
+ * All other parameters follow the base (main) parameters.
+ */
+
+import { TILE_CONFIG } from './config.js';
+import { SimulationState } from './state.js';
+import { GrayScottSimulation } from './simulation.js';
+import { buildSeedField } from './seeds.js';
+import { PARAM_MAP_KEYS } from './param-maps.js';
+import { seedState, clearState } from './models.js';
+
+/**
+ * Linearly spaced values, inclusive of both ends
+ */
+function linspace(from, to, count) {
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    values.push(count > 1 ? from + ((to - from) * i) / (count - 1) : from);
+  }
+  return values;
+}
+
+export class ParameterSweep {
+  /**
+   * @param {Object} baseParams - Main simulation parameters (sweep* keys configure the sweep)
+   */
+  constructor(baseParams) {
+    this.cols = TILE_CONFIG.COLS;
+    this.rows = TILE_CONFIG.ROWS;
+    this.tileSize = baseParams.sweepTileSize;
+    this.stepCount = 0;
+
+    this.tiles = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const state = new SimulationState(this.tileSize, this.tileSize);
+        const params = {};
+        this.tiles.push({ col, row, state, params, simulation: new GrayScottSimulation(state, params) });
+      }
+    }
+
+    this.updateParams(baseParams);
+    this.seed(baseParams.seedSpec);
+  }
+
+  /**
+   * Re-derive every tile's parameters from the base parameters
+   * Tile state is kept, so sliders can be adjusted while the sweep runs.
+   * The axes must be different parameters (settings validation and the UI
+   * enforce it)
+   */
+  updateParams(baseParams) {
+    const { sweepParamX, sweepParamY, sweepXFrom, sweepXTo, sweepYFrom, sweepYTo } = baseParams;
+    this.paramX = sweepParamX;
+    this.paramY = sweepParamY;
+    this.xValues = linspace(sweepXFrom, sweepXTo, this.cols);
+    this.yValues = linspace(sweepYFrom, sweepYTo, this.rows);
+
+    for (const tile of this.tiles) {
+      // Mutate in place: each engine holds a reference to its params object
+      Object.assign(tile.params, baseParams, {
+        gridW: this.tileSize,
+        gridH: this.tileSize,
+        paramMaps: Object.fromEntries(PARAM_MAP_KEYS.map(key => [key, null])),
+        [sweepParamX]: this.xValues[tile.col],
+        [sweepParamY]: this.yValues[tile.row]
+      });
+    }
+  }
+
+  /**
+   * Parameters of the tile at (col, row)
+   * @returns {Object} The swept parameter values, e.g. { F: 0.03, K: 0.06 }
+   */
+  tileParams(col, row) {
+    return {
+      [this.paramX]: this.xValues[col],
+      [this.paramY]: this.yValues[row]
+    };
+  }
+
+  /**
+   * Advance every tile by count steps
+   */
+  step(count = 1) {
+    for (const tile of this.tiles) {
+      for (let i = 0; i < count; i++) {
+        tile.simulation.stepOnce();
+      }
+    }
+    this.stepCount += count;
+  }
+
+  /**
+   * Reseed every tile with the same generated field
+   * Each tile is seeded around its own rest state, which may depend on the swept parameters
+   * @param {Object} spec - Seed spec (see seeds.js)
+   */
+  seed(spec) {
+    const field = buildSeedField(spec, this.tileSize, this.tileSize);
+    for (const tile of this.tiles) seedState(tile.state, field, tile.params);
+  }
+
+  /**
+   * Clear every tile to its rest state
+   */
+  clear() {
+    for (const tile of this.tiles) clearState(tile.state, tile.params);
+  }
+
+  /**
+   * Smallest dtMin and largest dtMax of the tiles (either may be swept)
+   * @returns {number[]} [dtMin, dtMax]
+   */
+  dtRange() {
+    return [
+      Math.min(...this.tiles.map(tile => tile.params.dtMin)),
+      Math.max(...this.tiles.map(tile => tile.params.dtMax))
+    ];
+  }
+
+  /**
+   * Assemble all tiles into one mosaic frame (same shape as SimulationHost.snapshot)
+   * The swept parameters are exposed as parameter maps so they can be viewed
+   * @param {Object} paramScalars - Uniform parameter values for the other map views
+   */
+  snapshot(paramScalars) {
+    const ts = this.tileSize;
+    const W = ts * this.cols;
+    const H = ts * this.rows;
+    const fields = ['U0', 'V0', 'dtMap', 'Eema'];
+    const mosaic = {};
+    for (const name of fields) mosaic[name] = new Float32Array(W * H);
+
+    const paramMaps = {};
+    const mapKeys = [this.paramX, this.paramY].filter(k => k in paramScalars);
+    for (const key of mapKeys) paramMaps[key] = new Float32Array(W * H);
+
+    for (const tile of this.tiles) {
+      const ox = tile.col * ts;
+      const oy = tile.row * ts;
+      for (let y = 0; y < ts; y++) {
+        const dst = ox + (oy + y) * W;
+        for (const name of fields) {
+          mosaic[name].set(tile.state[name].subarray(y * ts, (y + 1) * ts), dst);
+        }
+        for (const key of mapKeys) {
+          paramMaps[key].fill(tile.params[key], dst, dst + ts);
+        }
+      }
+    }
+
+    return {
+      W,
+      H,
+      step: this.stepCount,
+      ...mosaic,
+      paramMaps,
+      paramScalars,
+      sweep: {
+        cols: this.cols,
+        rows: this.rows,
+        tileW: ts,
+        tileH: ts,
+        paramX: this.paramX,
+        paramY: this.paramY,
+        xValues: this.xValues,
+        yValues: this.yValues
+      }
+    };
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Pattern analysis of the V field (DOM-free)
+ * - Connected components of the minority phase (V above/below a threshold)
+ *   and their size distribution
+ * - Dominant wavelength from the peak of the radially averaged 2D power spectrum
+ *   (f²-weighted)
+ * - Orientation anisotropy from the spectral second moments around that peak
+ * - A pattern class label derived from the above
+ */
+
+// Pattern classes reported by classifyPattern
+export const PATTERN_CLASSES = Object.freeze({
+  uniform: 'uniform',
+  spots: 'spots',
+  holes: 'holes',
+  stripes: 'stripes',
+  labyrinth: 'labyrinth',
+  waves: 'waves'
+});
+
+// Classification thresholds
+const UNIFORM_STD = 0.01;        // V standard deviation below this → uniform
+const STRIPE_ANISOTROPY = 0.5;   // Spectral anisotropy above this → stripes
+const NETWORK_AREA = 2;          // Largest component above this many λ² → connected network
+const WAVE_CHANGE_RATE = 2e-4;   // Mean |ΔV| per step above this → moving pattern
+
+// Frequency ratios of the strongest harmonics of hard-edged stripes (2, 3),
+// square (√2, 2) and hexagonal (√3, 2) lattices, lowest fundamental first
+const HARMONIC_RATIOS = [3, 2, Math.sqrt(3), Math.SQRT2];
+const HARMONIC_TOLERANCE = 0.06; // Relative deviation of the bin ratio from a harmonic ratio
+const HARMONIC_GAP = 0.1;        // Power between fundamental and harmonic below this fraction of the harmonic
+
+/**
+ * Smallest power of two ≥ n
+ */
+function nextPow2(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+/**
+ * In-place iterative radix-2 complex FFT over a strided line
+ */
+function fft(re, im, n, offset, stride) {
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      const a = offset + i * stride;
+      const b = offset + j * stride;
+      let t = re[a]; re[a] = re[b]; re[b] = t;
+      t = im[a]; im[a] = im[b]; im[b] = t;
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = offset + (i + k) * stride;
+        const b = offset + (i + k + len / 2) * stride;
+        const xr = re[b] * cr - im[b] * ci;
+        const xi = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - xr;
+        im[b] = im[a] - xi;
+        re[a] += xr;
+        im[a] += xi;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+}
+
+/**
+ * Label 4-connected components of cells where mask is set
+ * @param {Uint8Array} mask - 1 for foreground cells
+ * @param {{periodicX: boolean, periodicY: boolean}} wrap - Connect across opposite edges
+ * @returns {number[]} Component sizes (cells), largest first
+ */
+export function componentSizes(mask, W, H, wrap = {}) {
+  const seen = new Uint8Array(W * H);
+  const stack = new Int32Array(W * H);
+  const sizes = [];
+  let top = 0;
+
+  // Push neighbor (nx, ny) if it is an unvisited foreground cell
+  const visit = (nx, ny) => {
+    if (nx < 0 || nx >= W) {
+      if (!wrap.periodicX) return;
+      nx = (nx + W) % W;
+    }
+    if (ny < 0 || ny >= H) {
+      if (!wrap.periodicY) return;
+      ny = (ny + H) % H;
+    }
+    const j = nx + ny * W;
+    if (mask[j] && !seen[j]) {
+      seen[j] = 1;
+      stack[top++] = j;
+    }
+  };
+
+  for (let start = 0; start < W * H; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    let size = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % W;
+      const y = (i / W) | 0;
+      size++;
+
+      visit(x - 1, y);
+      visit(x + 1, y);
+      visit(x, y - 1);
+      visit(x, y + 1);
+    }
+
+    sizes.push(size);
+  }
+
+  return sizes.sort((a, b) => b - a);
+}
+
+/**
+ * Component size distribution in power-of-two bins: [1], [2,3], [4,7], ...
+ * @param {number[]} sizes - Component sizes
+ * @returns {number[]} Count per bin
+ */
+export function sizeHistogram(sizes) {
+  const counts = [];
+  for (const size of sizes) {
+    const bin = 31 - Math.clz32(size);
+    while (counts.length <= bin) counts.push(0);
+    counts[bin]++;
+  }
+  return counts;
+}
+
+/**
+ * Dominant wavelength and anisotropy from the 2D power spectrum of a field
+ * The mean is removed and a Hann window applied before zero-padding to
+ * power-of-two sizes; frequencies are in cycles per cell
+ * @returns {{wavelength: number, anisotropy: number, orientation: number}}
+ *   wavelength in cells (NaN if no peak), anisotropy in [0, 1],
+ *   orientation of the dominant wavevector in degrees [0, 180)
+ */
+export function spectralMetrics(A, W, H) {
+  const Px = nextPow2(W);
+  const Py = nextPow2(H);
+  const re = new Float64Array(Px * Py);
+  const im = new Float64Array(Px * Py);
+
+  let mean = 0;
+  for (let i = 0; i < W * H; i++) mean += A[i];
+  mean /= W * H;
+
+  for (let y = 0; y < H; y++) {
+    const wy = H > 1 ? 0.5 - 0.5 * Math.cos((2 * Math.PI * y) / (H - 1)) : 1;
+    for (let x = 0; x < W; x++) {
+      const wx = W > 1 ? 0.5 - 0.5 * Math.cos((2 * Math.PI * x) / (W - 1)) : 1;
+      re[x + y * Px] = (A[x + y * W] - mean) * wx * wy;
+    }
+  }
+
+  for (let y = 0; y < Py; y++) fft(re, im, Px, y * Px, 1);
+  for (let x = 0; x < Px; x++) fft(re, im, Py, x, Px);
+
+  // Radially averaged power, bins of width 1/P cycles per cell
+  const P = Math.max(Px, Py);
+  const nBins = Math.floor(P / 2) + 1;
+  const radial = new Float64Array(nBins);
+  const counts = new Float64Array(nBins);
+  const freq = (k, n) => (k <= n / 2 ? k : k - n) / n;
+
+  for (let ky = 0; ky < Py; ky++) {
+    const fy = freq(ky, Py);
+    for (let kx = 0; kx < Px; kx++) {
+      const fx = freq(kx, Px);
+      const bin = Math.round(Math.hypot(fx, fy) * P);
+      if (bin >= nBins) continue;
+      const i = kx + ky * Px;
+      radial[bin] += re[i] * re[i] + im[i] * im[i];
+      counts[bin]++;
+    }
+  }
+
+  // Peak of the f²-weighted (gradient) spectrum above the lowest bins; the
+  // weighting keeps the envelope of a partly grown pattern from masking its
+  // intrinsic wavelength, and bins 0-1 only hold window leakage around DC
+  const power = new Float64Array(nBins);
+  let peak = -1;
+  for (let b = 2; b < nBins; b++) {
+    power[b] = radial[b] / (counts[b] || 1);
+    radial[b] = power[b] * b * b;
+    if (peak < 0 || radial[b] > radial[peak]) peak = b;
+  }
+  if (peak < 0 || radial[peak] <= 0) {
+    return { wavelength: NaN, anisotropy: 0, orientation: 0 };
+  }
+
+  // The weighting can also lift a harmonic of hard-edged spots or stripes above
+  // the fundamental; step down to a fundamental that is a peak of the unweighted
+  // spectrum at least as strong as the harmonic, at a harmonic ratio and
+  // separated from it by a gap
+  let spectrum = radial;
+  for (const ratio of HARMONIC_RATIOS) {
+    const b = Math.round(peak / ratio);
+    if (b < 4 || b >= peak - 2) continue;
+    const top = power[b - 1] > power[b] ? b - 1 : power[b + 1] > power[b] ? b + 1 : b;
+    if (Math.abs(peak / top - ratio) > HARMONIC_TOLERANCE * ratio) continue;
+    if (power[top] < power[peak] || power[top] < power[top - 1] || power[top] < power[top + 1]) continue;
+    let gap = Infinity;
+    for (let g = top + 1; g < peak; g++) gap = Math.min(gap, power[g]);
+    if (gap <= HARMONIC_GAP * power[peak]) {
+      peak = top;
+      spectrum = power;
+      break;
+    }
+  }
+
+  // Parabolic refinement of the peak position
+  let fPeak = peak;
+  if (peak > 2 && peak < nBins - 1) {
+    const l = spectrum[peak - 1];
+    const c = spectrum[peak];
+    const r = spectrum[peak + 1];
+    const denom = l - 2 * c + r;
+    if (denom < 0) fPeak += (0.5 * (l - r)) / denom;
+  }
+  fPeak /= P;
+
+  // Second moments of the power in an annulus around the peak
+  // (the spectrum is symmetric, so the moments describe an axis, not a direction)
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let ky = 0; ky < Py; ky++) {
+    const fy = freq(ky, Py);
+    for (let kx = 0; kx < Px; kx++) {
+      const fx = freq(kx, Px);
+      const f = Math.hypot(fx, fy);
+      if (f < 0.5 * fPeak || f > 1.5 * fPeak) continue;
+      const i = kx + ky * Px;
+      const p = (re[i] * re[i] + im[i] * im[i]) / (f * f);
+      sxx += p * fx * fx;
+      syy += p * fy * fy;
+      sxy += p * fx * fy;
+    }
+  }
+
+  const trace = sxx + syy;
+  const diff = Math.hypot(sxx - syy, 2 * sxy);
+  const anisotropy = trace > 0 ? diff / trace : 0;
+  const orientation = ((0.5 * Math.atan2(2 * sxy, sxx - syy) * 180) / Math.PI + 180) % 180;
+
+  return { wavelength: 1 / fPeak, anisotropy, orientation };
+}
+
+/**
+ * Analyze the V field of a frame
+ * @param {Object} frame - Snapshot with W, H, V0 (and step)
+ * @param {Object} options
+ * @param {number} options.threshold - V level separating the two phases
+ * @param {boolean} [options.periodicX] - Components wrap across left/right edges
+ * @param {boolean} [options.periodicY] - Components wrap across top/bottom edges
+ * @param {{V0: Float32Array, step: number}} [options.previous] - Earlier frame of the
+ *   same run, used to measure how fast the pattern is still changing
+ * @returns {Object} Metrics including `patternClass`
+ */
+export function analyzePattern(frame, options) {
+  const { W, H, V0 } = frame;
+  const N = W * H;
+
+  let mean = 0;
+  let sumSq = 0;
+  let above = 0;
+  for (let i = 0; i < N; i++) {
+    mean += V0[i];
+    sumSq += V0[i] * V0[i];
+    if (V0[i] > options.threshold) above++;
+  }
+  mean /= N;
+  const std = Math.sqrt(Math.max(0, sumSq / N - mean * mean));
+  const coverage = above / N;
+
+  // Components of the minority phase: V-rich regions, or V-poor holes when V dominates
+  const inverted = coverage > 0.5;
+  const mask = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    mask[i] = (V0[i] > options.threshold) !== inverted ? 1 : 0;
+  }
+  const sizes = componentSizes(mask, W, H, options);
+  const phaseCells = inverted ? N - above : above;
+
+  const { wavelength, anisotropy, orientation } = spectralMetrics(V0, W, H);
+
+  let changeRate = NaN;
+  const prev = options.previous;
+  if (prev && prev.V0.length === N && frame.step > prev.step) {
+    let change = 0;
+    for (let i = 0; i < N; i++) change += Math.abs(V0[i] - prev.V0[i]);
+    changeRate = change / N / (frame.step - prev.step);
+  }
+
+  const metrics = {
+    std,
+    coverage,
+    inverted,
+    components: sizes.length,
+    largestComponent: sizes.length ? sizes[0] : 0,
+    meanComponentSize: sizes.length ? phaseCells / sizes.length : 0,
+    medianComponentSize: sizes.length ? sizes[sizes.length >> 1] : 0,
+    sizeHistogram: sizeHistogram(sizes),
+    largestFraction: phaseCells > 0 && sizes.length ? sizes[0] / phaseCells : 0,
+    wavelength,
+    anisotropy,
+    orientation,
+    changeRate
+  };
+  metrics.patternClass = classifyPattern(metrics);
+  return metrics;
+}
+
+/**
+ * Derive a pattern class label from analysis metrics
+ */
+export function classifyPattern(m) {
+  if (m.std < UNIFORM_STD || m.components === 0) return PATTERN_CLASSES.uniform;
+  if (m.changeRate > WAVE_CHANGE_RATE) return PATTERN_CLASSES.waves;
+
+  // Isolated blobs are about one wavelength across; anything much larger
+  // is an extended (stripe or labyrinth) structure
+  const striped = m.anisotropy > STRIPE_ANISOTROPY;
+  const extended = !isFinite(m.wavelength) ||
+    m.largestComponent > NETWORK_AREA * m.wavelength * m.wavelength;
+  if (striped) return PATTERN_CLASSES.stripes;
+  if (extended) return PATTERN_CLASSES.labyrinth;
+  return m.inverted ? PATTERN_CLASSES.holes : PATTERN_CLASSES.spots;
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal PNG encoder (DOM-free)
+ * Writes 8-bit RGBA images; compression is delegated to a zlib deflate
+ * function supplied by the caller (e.g. node:zlib deflateSync)
+ */
+
+export const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Compute CRC-32 over one or more byte arrays
+ */
+export function crc32(...parts) {
+  let c = 0xffffffff;
+  for (const bytes of parts) {
+    for (let i = 0; i < bytes.length; i++) {
+      c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data, CRC
+ * @param {string} type - Four-character chunk type
+ * @param {Uint8Array} data - Chunk payload
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+  const typeBytes = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) typeBytes[i] = type.charCodeAt(i);
+
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeBytes, 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(typeBytes, data));
+  return chunk;
+}
+
+/**
+ * IHDR payload for an 8-bit RGBA image
+ */
+export function pngHeader(width, height) {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = 8;  // bit depth
+  data[9] = 6;  // color type: RGBA
+  return data;
+}
+
+/**
+ * Prefix each RGBA scanline with filter type 0 (None)
+ */
+export function pngScanlines(width, height, rgba) {
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return raw;
+}
+
+/**
+ * Concatenate byte arrays
+ */
+export function concatBytes(parts) {
+  const total = parts.reduce((sum, p) => sum + p.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+/**
+ * Encode an RGBA buffer as a PNG file
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixel data (width*height*4)
+ * @param {function(Uint8Array): Uint8Array} deflate - zlib-format compressor
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodePNG(width, height, rgba, deflate) {
+  const idat = deflate(pngScanlines(width, height, rgba));
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', pngHeader(width, height)),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
@@ -0,0 +1,230 @@
+/**
+ * PresetPanel - Preset library UI
+ * Shows the built-in and user presets as thumbnails that apply (and reseed)
+ * with one click, and handles save, rename, delete and bundle import/export
+ */
+
+import { DEFAULT_PARAMS, PRESET_CONFIG, PRESETS_STORAGE_KEY } from './config.js';
+import { BUILTIN_PRESETS, PresetLibrary } from './presets.js';
+import { colorizeField } from './colorize.js';
+
+export class PresetPanel {
+  /**
+   * @param {string} containerId - ID of the element that receives the preset tiles
+   * @param {string} countId - ID of the badge showing the number of presets
+   * @param {SettingsManager} settingsManager - Reads and applies settings
+   * @param {SimulationClient} simulation - Reseeded when a preset is applied
+   * @param {Renderer} renderer - Source of user preset thumbnails
+   * @param {Object} params - Main-thread copy of the simulation parameters
+   */
+  constructor(containerId, countId, settingsManager, simulation, renderer, params) {
+    this.container = document.getElementById(containerId);
+    this.countBadge = document.getElementById(countId);
+    this.settingsManager = settingsManager;
+    this.simulation = simulation;
+    this.renderer = renderer;
+    this.params = params;
+
+    this.library = new PresetLibrary(localStorage, PRESETS_STORAGE_KEY);
+
+    // Built-in thumbnails (data URLs by preset name), simulated in their own worker
+    this.builtinThumbnails = new Map();
+    this.previewWorker = null;
+
+    this.render();
+    this.renderBuiltinThumbnails();
+  }
+
+  /**
+   * Rebuild the tile grid
+   */
+  render() {
+    this.container.replaceChildren(
+      ...BUILTIN_PRESETS.map(preset => this.createTile(preset, this.builtinThumbnails.get(preset.name))),
+      ...this.library.presets.map(preset => this.createTile(preset, preset.thumbnail))
+    );
+    this.countBadge.textContent = `${BUILTIN_PRESETS.length} built-in · ${this.library.presets.length} saved`;
+  }
+
+  /**
+   * Build the tile of one preset
+   * @param {Object} preset - Built-in or user preset
+   * @param {string|undefined} thumbnail - Image data URL (a placeholder is shown until it exists)
+   */
+  createTile(preset, thumbnail) {
+    const tile = document.createElement('div');
+    tile.className = 'preset-tile' + (preset.builtin ? '' : ' user');
+    tile.title = preset.description || preset.name;
+    tile.addEventListener('click', () => this.apply(preset));
+
+    const img = document.createElement('img');
+    img.className = 'preset-thumb';
+    img.alt = '';
+    if (thumbnail) img.src = thumbnail;
+
+    const name = document.createElement('span');
+    name.className = 'preset-name';
+    name.textContent = preset.name;
+
+    tile.append(img, name);
+
+    if (!preset.builtin) {
+      const actions = document.createElement('div');
+      actions.className = 'preset-actions';
+      actions.append(
+        this.createAction('✎', 'Rename', () => this.rename(preset)),
+        this.createAction('✕', 'Delete', () => this.remove(preset))
+      );
+      tile.append(actions);
+    }
+
+    return tile;
+  }
+
+  createAction(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'secondary';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      // Do not apply the preset as well
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Simulate the built-in presets one after another and fill in their thumbnails
+   * Previews start from the defaults, so they do not depend on the current settings
+   */
+  renderBuiltinThumbnails() {
+    this.previewWorker = new Worker(new URL('./preview-worker.js', import.meta.url), { type: 'module' });
+    let next = 0;
+
+    const requestNext = () => {
+      if (next >= BUILTIN_PRESETS.length) {
+        this.previewWorker.terminate();
+        this.previewWorker = null;
+        return;
+      }
+      const preset = BUILTIN_PRESETS[next];
+      this.previewWorker.postMessage({ id: next, params: { ...DEFAULT_PARAMS, ...preset.settings } });
+    };
+
+    this.previewWorker.onmessage = (e) => {
+      const { id, frame, error } = e.data;
+      if (error !== undefined) {
+        console.warn(`Preview of preset "${BUILTIN_PRESETS[id].name}" failed:`, error);
+      } else {
+        this.builtinThumbnails.set(BUILTIN_PRESETS[id].name, this.frameToDataURL(frame));
+        this.render();
+      }
+      next++;
+      requestNext();
+    };
+    this.previewWorker.onerror = (e) => console.error('Preview worker failed:', e.message);
+
+    requestNext();
+  }
+
+  /**
+   * Colorize the V field of a preview frame with the current colormap
+   * @returns {string} PNG data URL
+   */
+  frameToDataURL(frame) {
+    const canvas = document.createElement('canvas');
+    canvas.width = frame.W;
+    canvas.height = frame.H;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(frame.W, frame.H);
+    colorizeField(frame, 'V', image.data, { colormap: this.params.colormap });
+    ctx.putImageData(image, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Apply a preset and reseed so its pattern grows from the start
+   */
+  apply(preset) {
+    try {
+      const problems = this.settingsManager.applyPreset(preset);
+      this.simulation.seed();
+      if (problems.length) {
+        alert(`Preset "${preset.name}" applied with ${problems.length} problem(s):\n` +
+          this.settingsManager.formatProblems(problems));
+      }
+    } catch (err) {
+      alert('Failed to apply preset: ' + err.message);
+    }
+  }
+
+  /**
+   * Save the current settings (with a thumbnail of the current view) as a user preset
+   */
+  save() {
+    const name = prompt('Preset name:', this.library.uniqueName('My preset'));
+    if (!name || !name.trim()) return;
+    if (this.library.get(name.trim()) && !confirm(`Replace the preset "${name.trim()}"?`)) return;
+
+    try {
+      const thumbnail = this.renderer.captureThumbnail(PRESET_CONFIG.THUMBNAIL_SIZE);
+      this.library.save(name.trim(), this.settingsManager.getCurrentSettings(), thumbnail);
+      this.render();
+    } catch (err) {
+      alert('Failed to save preset: ' + err.message);
+    }
+  }
+
+  rename(preset) {
+    const name = prompt('New name:', preset.name);
+    if (!name || !name.trim()) return;
+    try {
+      this.library.rename(preset.name, name.trim());
+      this.render();
+    } catch (err) {
+      alert('Failed to rename preset: ' + err.message);
+    }
+  }
+
+  remove(preset) {
+    if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+    this.library.remove(preset.name);
+    this.render();
+  }
+
+  /**
+   * Download all user presets as one bundle file
+   */
+  exportBundle() {
+    if (this.library.presets.length === 0) {
+      alert('There are no saved presets to export.');
+      return;
+    }
+    const json = JSON.stringify(this.library.toBundle(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gray-scott-presets-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Add the presets of a bundle file to the library
+   * @param {File} file - The bundle to import
+   */
+  importBundle(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const count = this.library.importBundle(JSON.parse(e.target.result));
+        this.render();
+        alert(`Imported ${count} preset(s).`);
+      } catch (err) {
+        alert('Failed to import presets: ' + err.message);
+      }
+    };
+    reader.readAsText(file);
+  }
+}
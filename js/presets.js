@@ -0,0 +1,193 @@
+/**
+ * Named presets: built-in Gray-Scott regimes and a user library (DOM-free)
+ *
+ * A preset is { name, settings, thumbnail? }. Built-in presets carry the model,
+ * the reaction parameters (F, K) of a regime and the diffusion rates and dt
+ * bounds their thumbnails were tuned with, applied on top of the current settings; user presets store complete settings as written by
+ * SettingsManager.getCurrentSettings (so they are migrated and validated like
+ * any settings file when applied). User thumbnails are PNG data URLs.
+ *
+ * Bundle file (JSON, also the localStorage format):
+ *   { format: 'gs-dt-presets', version, presets: [{ name, settings, thumbnail }] }
+ */
+
+import { PRESET_CONFIG } from './config.js';
+import { SimulationState } from './state.js';
+import { GrayScottSimulation } from './simulation.js';
+import { buildSeedField } from './seeds.js';
+import { PARAM_MAP_KEYS } from './param-maps.js';
+import { seedState } from './models.js';
+
+export const PRESET_BUNDLE_FORMAT = 'gs-dt-presets';
+export const PRESET_BUNDLE_VERSION = 1;
+
+// Diffusion rates (Du:Dv = 2:1) and dt bounds shared by the built-in regimes
+const BUILTIN_BASE = Object.freeze({ model: 'grayScott', Du: 0.16, Dv: 0.08, dtMin: 0.2, dtMax: 1.5 });
+
+// Pearson's classes (Pearson 1993, "Complex Patterns in a Simple System")
+// and popular named regimes
+export const BUILTIN_PRESETS = Object.freeze([
+  { name: 'α (alpha)', description: 'Spirals and chaotic waves', settings: { F: 0.010, K: 0.047 } },
+  { name: 'β (beta)', description: 'Chaotic wave fragments', settings: { F: 0.026, K: 0.051 } },
+  { name: 'γ (gamma)', description: 'Stripes with moving defects', settings: { F: 0.022, K: 0.051 } },
+  { name: 'δ (delta)', description: 'Hexagonal spots and stripes', settings: { F: 0.030, K: 0.055 } },
+  { name: 'ε (epsilon)', description: 'Spots that split and fade', settings: { F: 0.018, K: 0.055 } },
+  { name: 'ζ (zeta)', description: 'Pulsating spots', settings: { F: 0.022, K: 0.061 } },
+  { name: 'η (eta)', description: 'Worms and loops', settings: { F: 0.034, K: 0.063 } },
+  { name: 'θ (theta)', description: 'Holes in a stable sheet', settings: { F: 0.030, K: 0.057 } },
+  { name: 'ι (iota)', description: 'Negative spots (holes)', settings: { F: 0.046, K: 0.0594 } },
+  { name: 'κ (kappa)', description: 'Labyrinthine stripes', settings: { F: 0.050, K: 0.063 } },
+  { name: 'λ (lambda)', description: 'Solitons that slowly divide', settings: { F: 0.026, K: 0.061 } },
+  { name: 'μ (mu)', description: 'Worm-like solitons', settings: { F: 0.046, K: 0.065 } },
+  { name: 'Mitosis', description: 'Self-replicating spots', settings: { F: 0.0367, K: 0.0649 } },
+  { name: 'Coral', description: 'Branching coral growth', settings: { F: 0.0545, K: 0.062 } },
+  { name: 'Worms', description: 'Dense meandering worms', settings: { F: 0.078, K: 0.061 } }
+].map(preset => Object.freeze({ ...preset, settings: { ...BUILTIN_BASE, ...preset.settings }, builtin: true })));
+
+/**
+ * Run a small simulation of a preset for its thumbnail
+ * Every preset starts from the same seed so thumbnails are comparable
+ * @param {Object} params - Full parameters (the preset applied on the current settings)
+ * @returns {SimulationState} State after PRESET_CONFIG.THUMBNAIL_STEPS steps
+ */
+export function simulatePreview(params) {
+  const size = PRESET_CONFIG.THUMBNAIL_SIZE;
+  const state = new SimulationState(size, size);
+  const simulation = new GrayScottSimulation(state, {
+    ...params,
+    gridW: size,
+    gridH: size,
+    paramMaps: Object.fromEntries(PARAM_MAP_KEYS.map(key => [key, null]))
+  });
+
+  seedState(state, buildSeedField(PRESET_CONFIG.THUMBNAIL_SEED, size, size), params);
+  for (let i = 0; i < PRESET_CONFIG.THUMBNAIL_STEPS; i++) simulation.stepOnce();
+  return state;
+}
+
+/**
+ * Check a parsed bundle and return its presets
+ * @throws {Error} If it is not a preset bundle
+ */
+export function validatePresetBundle(bundle) {
+  if (!bundle || bundle.format !== PRESET_BUNDLE_FORMAT || !Array.isArray(bundle.presets)) {
+    throw new Error('Not a preset bundle');
+  }
+  if (bundle.version > PRESET_BUNDLE_VERSION) {
+    throw new Error(`Preset bundle version ${bundle.version} is newer than this build supports`);
+  }
+  for (const preset of bundle.presets) {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) {
+      throw new Error('Every preset needs a name');
+    }
+    if (!preset.settings || typeof preset.settings !== 'object' || Array.isArray(preset.settings)) {
+      throw new Error(`Preset "${preset.name}" has no settings`);
+    }
+  }
+  return bundle.presets;
+}
+
+export class PresetLibrary {
+  /**
+   * @param {Storage} storage - Where user presets are kept (localStorage)
+   * @param {string} key - Storage key
+   */
+  constructor(storage, key) {
+    this.storage = storage;
+    this.key = key;
+    this.presets = this.read();
+  }
+
+  /**
+   * Load the user presets (a missing or unreadable entry means none)
+   */
+  read() {
+    try {
+      const stored = this.storage.getItem(this.key);
+      return stored ? validatePresetBundle(JSON.parse(stored)) : [];
+    } catch (err) {
+      console.warn('Failed to read presets:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Persist the user presets
+   * @throws {Error} If storage is full or unavailable
+   */
+  write() {
+    this.storage.setItem(this.key, JSON.stringify(this.toBundle()));
+  }
+
+  /**
+   * @returns {Object} Bundle with all user presets
+   */
+  toBundle() {
+    return { format: PRESET_BUNDLE_FORMAT, version: PRESET_BUNDLE_VERSION, presets: this.presets };
+  }
+
+  /**
+   * @returns {Object|undefined} User preset with this name
+   */
+  get(name) {
+    return this.presets.find(p => p.name === name);
+  }
+
+  /**
+   * First free name based on name: "name", "name (2)", "name (3)", ...
+   */
+  uniqueName(name) {
+    let candidate = name;
+    for (let n = 2; this.get(candidate); n++) candidate = `${name} (${n})`;
+    return candidate;
+  }
+
+  /**
+   * Save a user preset, replacing one with the same name
+   */
+  save(name, settings, thumbnail = null) {
+    const preset = { name, settings, thumbnail };
+    const index = this.presets.findIndex(p => p.name === name);
+    if (index >= 0) {
+      this.presets[index] = preset;
+    } else {
+      this.presets.push(preset);
+    }
+    this.write();
+    return preset;
+  }
+
+  /**
+   * Rename a user preset
+   * @throws {Error} If the new name is taken
+   */
+  rename(name, newName) {
+    const preset = this.get(name);
+    if (!preset || name === newName) return;
+    if (this.get(newName)) throw new Error(`A preset named "${newName}" already exists`);
+    preset.name = newName;
+    this.write();
+  }
+
+  /**
+   * Delete a user preset
+   */
+  remove(name) {
+    this.presets = this.presets.filter(p => p.name !== name);
+    this.write();
+  }
+
+  /**
+   * Add the presets of a bundle; clashing names get a numbered suffix
+   * @returns {number} Number of presets added
+   */
+  importBundle(bundle) {
+    // Copy first: a bundle exported from this library shares its array
+    const incoming = [...validatePresetBundle(bundle)];
+    for (const { name, settings, thumbnail } of incoming) {
+      this.presets.push({ name: this.uniqueName(name.trim()), settings, thumbnail: thumbnail || null });
+    }
+    this.write();
+    return incoming.length;
+  }
+}
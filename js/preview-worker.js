@@ -0,0 +1,25 @@
+/**
+ * Preset preview Web Worker - Simulates built-in preset thumbnails
+ * Runs separately from sim-worker.js so previews never stall the main simulation
+ *
+ * Messages in (main → worker):
+ *   { id, params }                    Full parameters of the preset to preview
+ *
+ * Messages out (worker → main):
+ *   { id, frame }                     { W, H, U0, V0 } after PRESET_CONFIG.THUMBNAIL_STEPS
+ *                                     steps (buffers are transferred)
+ *   { id, error }
+ */
+
+import { simulatePreview } from './presets.js';
+
+self.onmessage = (e) => {
+  const { id, params } = e.data;
+  try {
+    const { W, H, U0, V0 } = simulatePreview(params);
+    const frame = { W, H, U0: U0.slice(), V0: V0.slice() };
+    self.postMessage({ id, frame }, [frame.U0.buffer, frame.V0.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * FrameRecorder - Captures rendered frames and encodes them as an animated GIF or APNG
+ * Frames are taken at grid resolution from the renderer's colorized image,
+ * so the recording is pixel-exact (tile mode records the full sweep mosaic)
+ */
+
+import { encodeAPNG } from './apng.js';
+import { encodeGIF } from './gif.js';
+
+export const RECORD_FORMATS = Object.freeze({
+  apng: { label: 'APNG (lossless)', extension: 'png', mime: 'image/apng' },
+  gif: { label: 'GIF', extension: 'gif', mime: 'image/gif' }
+});
+
+/**
+ * zlib deflate using the browser's CompressionStream
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export class FrameRecorder {
+  constructor() {
+    this.recording = false;
+    this.frames = [];
+    this.W = 0;
+    this.H = 0;
+    this.seen = 0;
+    this.options = null;
+  }
+
+  /**
+   * Begin a new recording
+   * @param {{format: string, every: number, maxFrames: number, fps: number}} options
+   *   every - capture every Nth rendered frame; fps - playback speed
+   */
+  start(options) {
+    this.options = { ...options };
+    this.frames = [];
+    this.seen = 0;
+    this.W = 0;
+    this.H = 0;
+    this.recording = true;
+  }
+
+  /**
+   * Offer a freshly rendered frame to the recorder
+   * @param {Uint8ClampedArray} pix - RGBA pixels (W*H*4)
+   * @param {number} W - Frame width
+   * @param {number} H - Frame height
+   * @returns {boolean} True when the recording is complete (frame limit or size change)
+   */
+  capture(pix, W, H) {
+    if (!this.recording) return false;
+
+    if (this.frames.length === 0) {
+      this.W = W;
+      this.H = H;
+    } else if (W !== this.W || H !== this.H) {
+      // Animated formats need a fixed canvas; a resize ends the recording
+      return true;
+    }
+
+    if (this.seen++ % this.options.every === 0) {
+      this.frames.push(new Uint8Array(pix));
+    }
+
+    return this.frames.length >= this.options.maxFrames;
+  }
+
+  /**
+   * Stop recording and encode the captured frames
+   * @returns {Promise<Blob|null>} Encoded animation, or null if nothing was captured
+   */
+  async stop() {
+    this.recording = false;
+    const frames = this.frames;
+    this.frames = [];
+    if (frames.length === 0) return null;
+
+    const { format, fps } = this.options;
+    const delayMs = 1000 / fps;
+    const bytes = format === 'gif'
+      ? encodeGIF(this.W, this.H, frames, delayMs)
+      : await encodeAPNG(this.W, this.H, frames, delayMs, deflate);
+
+    return new Blob([bytes], { type: RECORD_FORMATS[format].mime });
+  }
+
+  /**
+   * Number of frames captured so far
+   */
+  get frameCount() {
+    return this.frames.length;
+  }
+}
@@ -1,34 +1,43 @@
 /**
  * Renderer - Handles canvas rendering and visualization
  * Supports multiple view modes: V (pattern), U, dt (timestep map), E (energy map)
+ * with selectable colormaps, normalization and an on-canvas color bar legend,
+ * and marks unstable cells when the stability monitor pauses the run
  */
 
-import { GRID_CONFIG, TILE_CONFIG } from './config.js';
+import { GRID_CONFIG } from './config.js';
+import { FieldColorizer } from './colorize.js';
+
+/**
+ * Format a legend value compactly
+ */
+function formatLegendValue(v) {
+  const a = Math.abs(v);
+  if (a !== 0 && (a >= 1000 || a < 0.01)) return v.toExponential(2);
+  return v.toPrecision(3);
+}
 
 export class Renderer {
   constructor(canvasId) {
-    const { W, H, N } = GRID_CONFIG;
-    this.W = W;
-    this.H = H;
-    this.N = N;
-
     // Canvas setup
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext('2d', { alpha: false });
     this.dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
 
-    // Offscreen image for rendering
-    this.img = this.ctx.createImageData(W, H);
-    this.pix = this.img.data;
-
     // Persistent offscreen canvas (avoid creating new canvas every frame)
     this.offscreen = document.createElement('canvas');
-    this.offscreen.width = W;
-    this.offscreen.height = H;
     this.offscreenCtx = this.offscreen.getContext('2d', { alpha: false });
+    this.setGridSize(GRID_CONFIG.W, GRID_CONFIG.H);
 
-    // Tile mode state
+    // Tile mode state (sweep layout comes with each tile-mode frame)
     this.tileMode = false;
+    this.sweep = null;
+    this.tileLayout = null;
+
+    // Colormap/normalization and legend state
+    this.colorizer = new FieldColorizer();
+    this.showLegend = true;
+    this.legend = null;
 
     // Setup resize handling
     this.resizeHandler = () => this.resize();
@@ -46,7 +55,99 @@ export class Renderer {
   }
 
   /**
-   * Set tile mode (8×4 grid display)
+   * Rebuild image buffers for a new grid resolution
+   * @param {number} W - Grid width
+   * @param {number} H - Grid height
+   */
+  setGridSize(W, H) {
+    this.W = W;
+    this.H = H;
+    this.N = W * H;
+
+    // Offscreen image for rendering
+    this.img = this.ctx.createImageData(W, H);
+    this.pix = this.img.data;
+
+    this.offscreen.width = W;
+    this.offscreen.height = H;
+  }
+
+  /**
+   * Compute the aspect-preserving rectangle the grid occupies in a view
+   * @param {number} width - View width
+   * @param {number} height - View height
+   * @returns {{ox: number, oy: number, w: number, h: number}}
+   */
+  getFitRect(width, height) {
+    const scale = Math.min(width / this.W, height / this.H);
+    const w = this.W * scale;
+    const h = this.H * scale;
+    return { ox: (width - w) / 2, oy: (height - h) / 2, w, h };
+  }
+
+  /**
+   * Update colormap, normalization and legend options
+   * @param {Object} options - { colormap, normMode, normMin, normMax, normPercentile, showLegend }
+   */
+  setColorOptions(options) {
+    this.colorizer.setOptions(options);
+    if (options.showLegend !== undefined) this.showLegend = options.showLegend;
+  }
+
+  /**
+   * Measure the legend box for the current legend values
+   * @param {CanvasRenderingContext2D} ctx - Context used for text metrics
+   * @param {number} scale - Size multiplier (device pixel ratio)
+   * @returns {{ticks: number[], labels: string[], pad: number, barW: number, boxW: number}}
+   */
+  measureLegend(ctx, scale) {
+    const { valueAt } = this.legend;
+    const pad = 6 * scale;
+    const barW = 12 * scale;
+    const ticks = [1, 0.75, 0.5, 0.25, 0];
+
+    ctx.font = `${10 * scale}px system-ui, sans-serif`;
+    const labels = ticks.map(pos => formatLegendValue(valueAt(pos)));
+    const labelW = Math.max(...labels.map(l => ctx.measureText(l).width));
+
+    return { ticks, labels, pad, barW, boxW: Math.ceil(pad * 3 + barW + labelW) };
+  }
+
+  /**
+   * Draw a vertical color bar with value labels (high values at the top)
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {number} x - Left edge of the legend box
+   * @param {number} y - Top edge of the legend box
+   * @param {number} barH - Color bar height
+   * @param {number} scale - Size multiplier (device pixel ratio)
+   */
+  drawLegend(ctx, x, y, barH, scale) {
+    const { ticks, labels, pad, barW, boxW } = this.measureLegend(ctx, scale);
+    const lut = this.colorizer.lut;
+    barH = Math.max(1, Math.floor(barH));
+
+    ctx.fillStyle = 'rgba(11, 14, 20, 0.7)';
+    ctx.fillRect(x, y, boxW, barH + pad * 2);
+
+    const bx = x + pad;
+    const by = y + pad;
+    for (let row = 0; row < barH; row++) {
+      const c = Math.floor((1 - row / Math.max(1, barH - 1)) * 255) * 3;
+      ctx.fillStyle = `rgb(${lut[c]}, ${lut[c + 1]}, ${lut[c + 2]})`;
+      ctx.fillRect(bx, by + row, barW, 1);
+    }
+
+    ctx.fillStyle = '#e7eefc';
+    ctx.textBaseline = 'middle';
+    ticks.forEach((pos, k) => {
+      const ty = by + (1 - pos) * (barH - 1);
+      ctx.fillRect(bx + barW, ty, 3 * scale, 1);
+      ctx.fillText(labels[k], bx + barW + pad, ty);
+    });
+  }
+
+  /**
+   * Set tile mode (8×4 parameter-sweep display)
    * @param {boolean} enabled - Whether to enable tile mode
    */
   setTileMode(enabled) {
@@ -69,70 +170,21 @@ export class Renderer {
   }
 
   /**
-   * Render the simulation state to canvas
-   * @param {SimulationState} state - The simulation state
+   * Render a simulation frame to canvas
+   * @param {Object} state - Frame snapshot (or SimulationState) with W, H, U0, V0, dtMap, Eema
    * @param {string} viewMode - One of: 'V', 'U', 'dt', 'E'
    */
   render(state, viewMode) {
-    const { U0, V0, dtMap, Eema } = state;
-    const N = this.N;
-
-    // For dt and E views, find min/max for normalization (optimized with conditionals)
-    let vMin = 0;
-    let vMax = 1;
-
-    if (viewMode === 'dt') {
-      vMin = dtMap[0];
-      vMax = dtMap[0];
-      for (let i = 1; i < N; i++) {
-        const val = dtMap[i];
-        if (val < vMin) vMin = val;
-        if (val > vMax) vMax = val;
-      }
-      if (!(vMax > vMin)) {
-        vMin = 0;
-        vMax = 1;
-      }
-    } else if (viewMode === 'E') {
-      vMin = Eema[0];
-      vMax = Eema[0];
-      for (let i = 1; i < N; i++) {
-        const val = Eema[i];
-        if (val < vMin) vMin = val;
-        if (val > vMax) vMax = val;
-      }
-      if (!(vMax > vMin)) {
-        vMin = 0;
-        vMax = 1;
-      }
+    // Adopt the frame's resolution (grid size can change at runtime)
+    if (state.W !== this.W || state.H !== this.H) {
+      this.setGridSize(state.W, state.H);
     }
 
-    // Fill pixel data based on view mode
-    for (let i = 0; i < N; i++) {
-      let v = 0;
-
-      if (viewMode === 'V') {
-        v = V0[i];
-      } else if (viewMode === 'U') {
-        v = U0[i];
-      } else if (viewMode === 'dt') {
-        const range = vMax - vMin;
-        v = range > 1e-10 ? (dtMap[i] - vMin) / range : 0;
-      } else if (viewMode === 'E') {
-        const range = vMax - vMin;
-        v = range > 1e-10 ? (Eema[i] - vMin) / range : 0;
-      }
-
-      v = this.clamp(v, 0, 1);
+    // Sweep layout of tile-mode frames (null for the main simulation)
+    this.sweep = state.sweep || null;
 
-      // Simple perceptual-ish mapping: grayscale
-      const c = Math.floor(v * 255);
-      const p = i * 4;
-      this.pix[p] = c;
-      this.pix[p + 1] = c;
-      this.pix[p + 2] = c;
-      this.pix[p + 3] = 255;
-    }
+    // Fill pixel data based on view mode, colormap and normalization
+    this.legend = this.colorizer.colorize(state, viewMode, this.pix);
 
     // Draw scaled to canvas with nearest-neighbor interpolation
     // Reuse persistent offscreen canvas (no per-frame allocation)
@@ -143,80 +195,195 @@ export class Renderer {
     const ch = this.canvas.height;
     this.ctx.clearRect(0, 0, cw, ch);
 
-    if (this.tileMode) {
-      // Tile mode: Draw 8×4 grid of tiles
-      const tileW = this.W;
-      const tileH = this.H;
-      const totalW = TILE_CONFIG.COLS * tileW;
-      const totalH = TILE_CONFIG.ROWS * tileH;
-
-      // Scale to fit canvas while maintaining aspect ratio
-      const scaleX = cw / totalW;
-      const scaleY = ch / totalH;
-      const scale = Math.min(scaleX, scaleY);
-
-      const renderedW = totalW * scale;
-      const renderedH = totalH * scale;
-      const ox = (cw - renderedW) / 2;
-      const oy = (ch - renderedH) / 2;
-
-      // Draw each tile
-      for (let row = 0; row < TILE_CONFIG.ROWS; row++) {
-        for (let col = 0; col < TILE_CONFIG.COLS; col++) {
-          const x = ox + col * tileW * scale;
-          const y = oy + row * tileH * scale;
-          this.ctx.drawImage(
-            this.offscreen,
-            0, 0, tileW, tileH,
-            x, y, tileW * scale, tileH * scale
-          );
-        }
-      }
+    if (this.tileMode && this.sweep) {
+      // Tile mode: the frame is a mosaic of sweep tiles; leave room for axis labels
+      const d = this.dpr;
+      const left = 56 * d;
+      const top = 36 * d;
+      const availW = cw - left - 8 * d;
+      const availH = ch - top - 8 * d;
+      const scale = Math.min(availW / this.W, availH / this.H);
+
+      const renderedW = this.W * scale;
+      const renderedH = this.H * scale;
+      const ox = left + (availW - renderedW) / 2;
+      const oy = top + (availH - renderedH) / 2;
+
+      this.ctx.drawImage(this.offscreen, 0, 0, this.W, this.H, ox, oy, renderedW, renderedH);
+      this.tileLayout = { ox, oy, scale };
+      this.drawSweepAxes(ox, oy, scale);
+
+      this.drawLegendOverlay(ox, oy, renderedH);
     } else {
-      // Normal mode: Fit square (centered)
-      const s = Math.min(cw, ch);
-      const ox = (cw - s) / 2;
-      const oy = (ch - s) / 2;
-      this.ctx.drawImage(this.offscreen, 0, 0, this.W, this.H, ox, oy, s, s);
+      // Normal mode: Fit grid preserving aspect ratio (centered)
+      const { ox, oy, w, h } = this.getFitRect(cw, ch);
+      this.ctx.drawImage(this.offscreen, 0, 0, this.W, this.H, ox, oy, w, h);
+
+      if (state.stability && state.stability.status === 'paused') {
+        this.drawStabilityOverlay(state.stability, ox, oy, w / this.W, h);
+      }
+      this.drawLegendOverlay(ox, oy, h);
+    }
+  }
+
+  /**
+   * Mark the cells that made the stability monitor pause, with its diagnostic
+   * @param {Object} report - Stability report of the frame (see SimulationHost.snapshot)
+   * @param {number} scale - Canvas pixels per grid cell
+   */
+  drawStabilityOverlay(report, ox, oy, scale, imageH) {
+    const ctx = this.ctx;
+    const d = this.dpr;
+    const size = Math.max(scale, 2 * d);
+
+    ctx.fillStyle = 'rgba(248, 113, 113, 0.85)';
+    for (const i of report.cells) {
+      const x = i % this.W;
+      const y = (i - x) / this.W;
+      ctx.fillRect(ox + (x + 0.5) * scale - size / 2, oy + (y + 0.5) * scale - size / 2, size, size);
+    }
+
+    // Diagnostic along the bottom of the image
+    const pad = 6 * d;
+    const lineH = 14 * d;
+    ctx.fillStyle = 'rgba(11, 14, 20, 0.8)';
+    ctx.fillRect(ox, oy + imageH - lineH - pad * 2, this.W * scale, lineH + pad * 2);
+    ctx.fillStyle = '#f87171';
+    ctx.font = `${11 * d}px system-ui, sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(report.message, ox + pad, oy + imageH - pad - lineH / 2, this.W * scale - pad * 2);
+  }
+
+  /**
+   * Draw tile separators and parameter-value axis labels for the sweep mosaic
+   */
+  drawSweepAxes(ox, oy, scale) {
+    const { cols, rows, tileW, tileH, paramX, paramY, xValues, yValues } = this.sweep;
+    const ctx = this.ctx;
+    const d = this.dpr;
+    const tw = tileW * scale;
+    const th = tileH * scale;
+
+    // Tile separators
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = d;
+    ctx.beginPath();
+    for (let c = 1; c < cols; c++) {
+      ctx.moveTo(ox + c * tw, oy);
+      ctx.lineTo(ox + c * tw, oy + rows * th);
+    }
+    for (let r = 1; r < rows; r++) {
+      ctx.moveTo(ox, oy + r * th);
+      ctx.lineTo(ox + cols * tw, oy + r * th);
     }
+    ctx.stroke();
+
+    ctx.fillStyle = '#cbd5e1';
+    ctx.font = `${10 * d}px system-ui, sans-serif`;
+
+    // Column values (paramX) above the tiles
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    xValues.forEach((v, c) => {
+      ctx.fillText(formatLegendValue(v), ox + (c + 0.5) * tw, oy - 4 * d);
+    });
+
+    // Row values (paramY) left of the tiles
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    yValues.forEach((v, r) => {
+      ctx.fillText(formatLegendValue(v), ox - 6 * d, oy + (r + 0.5) * th);
+    });
+
+    // Axis titles
+    ctx.font = `bold ${11 * d}px system-ui, sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${paramX} →`, ox, oy - 18 * d);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${paramY} ↓`, ox - 6 * d, oy - 18 * d);
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Draw the legend in the top-left corner of the displayed image
+   */
+  drawLegendOverlay(ox, oy, imageH) {
+    if (!this.showLegend || !this.legend) return;
+    const margin = 8 * this.dpr;
+    const barH = Math.min(imageH * 0.4, 180 * this.dpr);
+    this.drawLegend(this.ctx, ox + margin, oy + margin, barH, this.dpr);
+  }
+
+  /**
+   * Capture the current image as a small square thumbnail (center crop, no legend)
+   * @param {number} size - Thumbnail side in pixels
+   * @returns {string} PNG data URL
+   */
+  captureThumbnail(size) {
+    const thumb = document.createElement('canvas');
+    thumb.width = size;
+    thumb.height = size;
+    const side = Math.min(this.W, this.H);
+    const ctx = thumb.getContext('2d', { alpha: false });
+    ctx.drawImage(this.offscreen, (this.W - side) / 2, (this.H - side) / 2, side, side, 0, 0, size, size);
+    return thumb.toDataURL('image/png');
   }
 
   /**
    * Capture a snapshot at original resolution (no scaling)
-   * Returns a canvas with the exact pixel dimensions of the simulation
+   * Returns a canvas with the exact pixel dimensions of the simulation;
+   * when the legend is shown, a color bar strip is appended on the right
    * @returns {HTMLCanvasElement} Canvas with original resolution snapshot
    */
   captureSnapshot() {
     const snapshotCanvas = document.createElement('canvas');
     const ctx = snapshotCanvas.getContext('2d', { alpha: false });
+    const withLegend = this.showLegend && this.legend;
+    const legendW = withLegend ? this.measureLegend(ctx, 1).boxW : 0;
+
+    // W×H canvas (in tile mode the frame is already the full sweep mosaic)
+    snapshotCanvas.width = this.W + legendW;
+    snapshotCanvas.height = this.H;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.offscreen, 0, 0);
+
+    if (withLegend) {
+      // Legend strip to the right of the image
+      const x = snapshotCanvas.width - legendW;
+      ctx.fillStyle = '#0b0e14';
+      ctx.fillRect(x, 0, legendW, snapshotCanvas.height);
+      this.drawLegend(ctx, x, 0, snapshotCanvas.height - 12, 1);
+    }
 
-    if (this.tileMode) {
-      // Tile mode: Create 1760×880 canvas with 8×4 grid
-      const tileW = this.W;
-      const tileH = this.H;
-      snapshotCanvas.width = TILE_CONFIG.COLS * tileW;
-      snapshotCanvas.height = TILE_CONFIG.ROWS * tileH;
-
-      ctx.imageSmoothingEnabled = false;
-
-      // Draw each tile at original size
-      for (let row = 0; row < TILE_CONFIG.ROWS; row++) {
-        for (let col = 0; col < TILE_CONFIG.COLS; col++) {
-          const x = col * tileW;
-          const y = row * tileH;
-          ctx.drawImage(this.offscreen, x, y);
-        }
-      }
-    } else {
-      // Normal mode: Create 220×220 canvas
-      snapshotCanvas.width = this.W;
-      snapshotCanvas.height = this.H;
+    return snapshotCanvas;
+  }
+
+  /**
+   * Convert canvas mouse event coordinates to a sweep tile
+   * @param {MouseEvent} event - Mouse event with clientX, clientY
+   * @returns {{col: number, row: number} | null} Tile or null if not on a tile
+   */
+  canvasToTile(event) {
+    if (!this.tileMode || !this.sweep || !this.tileLayout) return null;
 
-      ctx.imageSmoothingEnabled = false;
-      ctx.drawImage(this.offscreen, 0, 0);
+    const rect = this.canvas.getBoundingClientRect();
+    const { ox, oy, scale } = this.tileLayout;
+
+    // Layout is in canvas pixels; events are in CSS pixels
+    const px = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+    const py = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+
+    const col = Math.floor((px - ox) / (this.sweep.tileW * scale));
+    const row = Math.floor((py - oy) / (this.sweep.tileH * scale));
+
+    if (col < 0 || col >= this.sweep.cols || row < 0 || row >= this.sweep.rows) {
+      return null;
     }
 
-    return snapshotCanvas;
+    return { col, row };
   }
 
   /**
@@ -230,13 +397,11 @@ export class Renderer {
 
     const rect = this.canvas.getBoundingClientRect();
 
-    // Map to centered square view
-    const s = Math.min(rect.width, rect.height);
-    const ox = (rect.width - s) / 2;
-    const oy = (rect.height - s) / 2;
+    // Map to centered, aspect-preserving view
+    const { ox, oy, w, h } = this.getFitRect(rect.width, rect.height);
 
-    const sx = (event.clientX - rect.left - ox) / s;
-    const sy = (event.clientY - rect.top - oy) / s;
+    const sx = (event.clientX - rect.left - ox) / w;
+    const sy = (event.clientY - rect.top - oy) / h;
 
     const gx = Math.floor(sx * this.W);
     const gy = Math.floor(sy * this.H);
@@ -0,0 +1,156 @@
+/**
+ * Initial-condition generators (DOM-free)
+ *
+ * A seed is described by a spec so it can be stored in settings and rebuilt
+ * at any grid resolution:
+ *   { type, seed, noise, ...generator parameters }
+ * `seed` is the integer random seed, `noise` the amplitude of random values
+ * added to the field on top of the pattern. Lengths are in grid cells. The
+ * 'image' and 'text' generators carry a rasterized mask (a param-maps data
+ * spec) because decoding images and rendering text need a canvas.
+ *
+ * Generators produce a field in [0, 1] that perturbs the rest state of the
+ * selected model (see seedState in models.js): U = rest_U + field·perturb_U,
+ * V = rest_V + field·perturb_V. For Gray-Scott (rest U=1, V=0, perturb -1, +1)
+ * that is V = field, U = 1 - field.
+ */
+
+import { decodeParamMapData, encodeParamMapData } from './param-maps.js';
+import { resampleField } from './state.js';
+
+// Generator parameters and their defaults, in display order
+export const SEED_GENERATORS = Object.freeze({
+  square: { size: 25 },
+  noise: { amount: 0.5 },
+  spots: { count: 12, radius: 5 },
+  ring: { radius: 30, width: 6 },
+  stripes: { wavelength: 24, angle: 0 },
+  checker: { size: 16 },
+  image: {},
+  text: { text: 'RD', fontSize: 48 }
+});
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {() => number} Uniform values in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Set cells within radius r of (cx, cy) to 1, wrapping around the edges
+ */
+function fillDisk(field, W, H, cx, cy, r) {
+  for (let y = Math.floor(cy - r); y <= Math.ceil(cy + r); y++) {
+    for (let x = Math.floor(cx - r); x <= Math.ceil(cx + r); x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      if (dx * dx + dy * dy > r * r) continue;
+      field[((x % W) + W) % W + (((y % H) + H) % H) * W] = 1;
+    }
+  }
+}
+
+/**
+ * Build the V field of a seed spec
+ * @param {Object} spec - Seed spec (missing parameters take their defaults)
+ * @param {number} W - Grid width
+ * @param {number} H - Grid height
+ * @returns {Float32Array} W×H values in [0, 1]
+ */
+export function buildSeedField(spec, W, H) {
+  const generator = SEED_GENERATORS[spec.type];
+  if (!generator) throw new Error(`Unknown seed type: ${spec.type}`);
+
+  const p = { ...generator, ...spec };
+  const random = createRandom(p.seed | 0);
+  const field = new Float32Array(W * H);
+  const cx = Math.floor(W / 2);
+  const cy = Math.floor(H / 2);
+
+  switch (p.type) {
+    case 'square': {
+      const half = Math.floor(p.size / 2);
+      for (let y = cy - half; y <= cy + half; y++) {
+        for (let x = cx - half; x <= cx + half; x++) {
+          field[((x % W) + W) % W + (((y % H) + H) % H) * W] = 1;
+        }
+      }
+      break;
+    }
+    case 'noise':
+      for (let i = 0; i < field.length; i++) field[i] = p.amount * random();
+      break;
+    case 'spots':
+      for (let n = 0; n < p.count; n++) {
+        fillDisk(field, W, H, random() * W, random() * H, p.radius);
+      }
+      break;
+    case 'ring':
+      for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+          const d = Math.hypot(x - cx, y - cy);
+          if (Math.abs(d - p.radius) <= p.width / 2) field[x + y * W] = 1;
+        }
+      }
+      break;
+    case 'stripes': {
+      const a = (p.angle * Math.PI) / 180;
+      const c = Math.cos(a);
+      const s = Math.sin(a);
+      for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+          const phase = (x * c + y * s) / p.wavelength;
+          if (phase - Math.floor(phase) < 0.5) field[x + y * W] = 1;
+        }
+      }
+      break;
+    }
+    case 'checker':
+      for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+          if ((Math.floor(x / p.size) + Math.floor(y / p.size)) & 1) field[x + y * W] = 1;
+        }
+      }
+      break;
+    case 'image':
+    case 'text':
+      if (p.mask) {
+        const mask = decodeParamMapData(p.mask);
+        const values = p.mask.W === W && p.mask.H === H ? mask : resampleField(mask, p.mask.W, p.mask.H, W, H);
+        field.set(values);
+      }
+      break;
+  }
+
+  if (p.noise > 0) {
+    for (let i = 0; i < field.length; i++) field[i] += p.noise * random();
+  }
+  for (let i = 0; i < field.length; i++) {
+    field[i] = field[i] < 0 ? 0 : field[i] > 1 ? 1 : field[i];
+  }
+  return field;
+}
+
+/**
+ * Convert RGBA pixels (an imported image or rendered text) into a seed mask
+ * Luminance maps to V: white = 1, black = 0
+ * @returns {Object} param-maps data spec
+ */
+export function seedMaskFromImage(rgba, W, H) {
+  const mask = new Float32Array(W * H);
+  for (let i = 0; i < mask.length; i++) {
+    const p = i * 4;
+    mask[i] = (0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2]) / 255;
+  }
+  return encodeParamMapData(mask, W, H);
+}
@@ -0,0 +1,156 @@
+/**
+ * Session recording and replay (DOM-free)
+ *
+ * A session logs every mutation of the main simulation (paint strokes,
+ * seed/clear, parameter and map changes, history navigation, checkpoint
+ * imports) stamped with the number of steps run before it was applied. Recording
+ * starts from a fresh seed, so the parameters at the start plus the event
+ * log recreate the run exactly; the checksum of the final U/V fields lets a
+ * replay verify that it arrived at the same state.
+ *
+ * Session file (JSON):
+ *   { format: 'gs-dt-session', version, params, events: [{ step, type, ... }],
+ *     finalStep, checksum }
+ * Version 2 stamps with SimulationHost.stepsRun, which keeps counting through
+ * history seeks and stability rollbacks; version 1 stamped with the step count.
+ */
+
+export const SESSION_FORMAT = 'gs-dt-session';
+export const SESSION_VERSION = 2;
+
+/**
+ * FNV-1a hash of the bytes of the U and V fields
+ * @param {SimulationState} state
+ * @returns {string} 8 hex digits
+ */
+export function fieldChecksum(state) {
+  let hash = 0x811c9dc5;
+  for (const field of [state.U0, state.V0]) {
+    const bytes = new Uint8Array(field.buffer, field.byteOffset, field.byteLength);
+    for (let i = 0; i < bytes.length; i++) {
+      hash = Math.imul(hash ^ bytes[i], 0x01000193);
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export class SessionRecorder {
+  /**
+   * @param {Object} params - Parameters at the start of the session (copied)
+   */
+  constructor(params) {
+    this.params = JSON.parse(JSON.stringify(params));
+    this.events = [];
+  }
+
+  /**
+   * Log one mutation
+   * @param {number} step - Steps run before it was applied (SimulationHost.stepsRun)
+   * @param {string} type - Host method (see replaySession)
+   * @param {Object} args - Method arguments (must be JSON-serializable)
+   */
+  record(step, type, args = {}) {
+    this.events.push({ step, type, ...JSON.parse(JSON.stringify(args)) });
+  }
+
+  /**
+   * Log a checkpoint import (the file is embedded as base64)
+   */
+  recordCheckpoint(step, buffer) {
+    this.events.push({ step, type: 'importCheckpoint', data: bytesToBase64(new Uint8Array(buffer)) });
+  }
+
+  /**
+   * Finish the session
+   * @param {number} finalStep - Steps run at the end of the session
+   * @param {string} checksum - fieldChecksum of the final state
+   * @returns {Object} Session file contents
+   */
+  finish(finalStep, checksum) {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      params: this.params,
+      events: this.events,
+      finalStep,
+      checksum
+    };
+  }
+}
+
+// How each event type is reapplied to a SimulationHost
+const EVENT_HANDLERS = {
+  setParams: (host, e) => host.setParams(e.params),
+  setParamMap: (host, e) => host.setParamMap(e.name, e.spec),
+  seed: (host) => host.seed(),
+  clear: (host) => host.clear(),
+  beginStroke: (host) => host.beginStroke(),
+  paint: (host, e) => host.paint(e.gx, e.gy, e.mode),
+  endStroke: (host) => host.endStroke(),
+  copyStamp: (host, e) => host.copyStamp(e.gx, e.gy),
+  loadFields: (host, e) => host.loadFields({ ...e, U: Float32Array.from(e.U), V: Float32Array.from(e.V) }),
+  capture: (host) => host.recordHistory('auto'),
+  undo: (host) => host.undo(),
+  redo: (host) => host.redo(),
+  seekHistory: (host, e) => host.seekHistory(host.sessionHistoryId(e.snapshot)),
+  importCheckpoint: (host, e) => host.importCheckpoint(base64ToBytes(e.data).buffer),
+  resumeStability: (host) => host.resumeStability()
+};
+
+/**
+ * Validate a parsed session file
+ * @throws {Error} If it is not a session this version can replay
+ */
+export function validateSession(session) {
+  if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.events)) {
+    throw new Error('Not a session file');
+  }
+  if (session.version !== SESSION_VERSION && session.version !== 1) {
+    throw new Error(`Unsupported session version: ${session.version}`);
+  }
+  for (const event of session.events) {
+    if (!EVENT_HANDLERS[event.type]) throw new Error(`Unknown session event: ${event.type}`);
+  }
+}
+
+/**
+ * Replay a session on a host: reset to the session start, then step to each
+ * event and reapply it, and finally step to the end of the session
+ * @param {SimulationHost} host - Host to replay on (its state is replaced)
+ * @param {Object} session - Parsed session file
+ * @returns {Promise<{checksum: string, verified: boolean}>} Final checksum and
+ *   whether it matches the recorded one
+ */
+export async function replaySession(host, session) {
+  validateSession(session);
+  host.beginReplay(session.params);
+  const clock = session.version === 1 ? () => host.stepCount : () => host.stepsRun;
+
+  try {
+    for (const event of session.events) {
+      if (event.step > clock()) host.step(event.step - clock());
+      await EVENT_HANDLERS[event.type](host, event);
+    }
+    if (session.finalStep > clock()) host.step(session.finalStep - clock());
+  } finally {
+    host.endReplay();
+  }
+
+  const checksum = fieldChecksum(host.state);
+  return { checksum, verified: checksum === session.checksum };
+}
@@ -1,15 +1,21 @@
 /**
  * SettingsManager - Handles settings persistence (localStorage, JSON I/O)
  * Manages save/load/reset operations for all simulation parameters
+ * Saved settings are versioned; loaded settings are migrated and validated
+ * against the schema in settings-schema.js before they reach the controls
  */
 
 import { STORAGE_KEY, DEFAULT_PARAMS } from './config.js';
+import { SETTINGS_VERSION, migrateSettings, validateSettings } from './settings-schema.js';
+import { encodeShareFragment, decodeShareFragment } from './share-link.js';
+import { MODELS, MODEL_PARAM_DEFAULTS } from './models.js';
 
 export class SettingsManager {
   constructor() {
     this.storageKey = STORAGE_KEY;
     this.defaults = DEFAULT_PARAMS;
     this.controllers = [];
+    this.providers = new Map();
   }
 
   /**
@@ -19,6 +25,15 @@ export class SettingsManager {
     this.controllers.push(controller);
   }
 
+  /**
+   * Register a settings value that is not backed by a DOM control
+   * @param {string} key - Settings key
+   * @param {{get: function(): *, apply: function(*): void}} provider - Reads/applies the value
+   */
+  registerProvider(key, provider) {
+    this.providers.set(key, provider);
+  }
+
   /**
    * Get current settings from UI elements
    * Reads directly from DOM to ensure we get the current displayed values
@@ -36,29 +51,87 @@ export class SettingsManager {
       return isFinite(val) ? val : defaultVal;
     };
 
-    return {
+    const settings = {
+      version: SETTINGS_VERSION,
       Du: parseAndValidate('du', 0.16),
       Dv: parseAndValidate('dv', 0.08),
-      F: parseAndValidate('F', 0.035),
-      K: parseAndValidate('k', 0.06),
       dtMin: parseAndValidate('dtMin', 0.2),
       dtMax: parseAndValidate('dtMax', 1.5),
       tempScale: parseAndValidate('temp', 0.08),
       emaAlpha: parseAndValidate('ema', 0.8),
       stepsPerFrame: parseIntAndValidate('spf', 6),
       energyMode: document.getElementById('energySel').value,
+      integrator: document.getElementById('integratorSel').value,
+      clampState: document.getElementById('clampCheck').checked,
+      multirate: document.getElementById('multirateCheck').checked,
+      multirateLevels: parseIntAndValidate('multirateLevels', 4),
+      stabilityAction: document.getElementById('stabilityActionSel').value,
+      stencil: document.getElementById('stencilSel').value,
+      anisoAngle: parseAndValidate('anisoAngle', 0),
+      anisoAlong: parseAndValidate('anisoAlong', 1),
+      anisoAcross: parseAndValidate('anisoAcross', 0.25),
       mixAlpha: parseAndValidate('mixA', 0.5),
+      energyWindow: parseIntAndValidate('energyWindow', 2),
       brushRadius: parseIntAndValidate('br', 10),
+      brushShape: document.getElementById('brushShapeSel').value,
+      brushAngle: parseAndValidate('brushAngle', 0),
+      brushFalloff: parseAndValidate('brushFalloff', 0),
+      brushStrength: parseAndValidate('brushStrength', 1),
+      brushBlend: document.getElementById('brushBlendSel').value,
+      brushU: parseAndValidate('brushU', 0.5),
+      brushV: parseAndValidate('brushV', 0.25),
       viewMode: document.getElementById('viewSel').value,
-      tileMode: document.getElementById('tileModeCheck').checked
+      colormap: document.getElementById('colormapSel').value,
+      normMode: document.getElementById('normSel').value,
+      normMin: parseAndValidate('normMin', 0),
+      normMax: parseAndValidate('normMax', 1),
+      normPercentile: parseAndValidate('normPct', 2),
+      showLegend: document.getElementById('legendCheck').checked,
+      boundaryLeft: document.getElementById('bcLeft').value,
+      boundaryRight: document.getElementById('bcRight').value,
+      boundaryTop: document.getElementById('bcTop').value,
+      boundaryBottom: document.getElementById('bcBottom').value,
+      dirichletU: parseAndValidate('bcU', 1.0),
+      dirichletV: parseAndValidate('bcV', 0.0),
+      gridW: parseIntAndValidate('gridW', 220),
+      gridH: parseIntAndValidate('gridH', 220),
+      tileMode: document.getElementById('tileModeCheck').checked,
+      sweepParamX: document.getElementById('sweepXSel').value,
+      sweepXFrom: parseAndValidate('sweepXFrom', 0.01),
+      sweepXTo: parseAndValidate('sweepXTo', 0.07),
+      sweepParamY: document.getElementById('sweepYSel').value,
+      sweepYFrom: parseAndValidate('sweepYFrom', 0.045),
+      sweepYTo: parseAndValidate('sweepYTo', 0.07),
+      sweepTileSize: parseIntAndValidate('sweepTileSize', 64),
+      recordFormat: document.getElementById('recordFormatSel').value,
+      recordEvery: parseIntAndValidate('recordEvery', 2),
+      recordMaxFrames: parseIntAndValidate('recordMaxFrames', 300),
+      recordFps: parseIntAndValidate('recordFps', 20),
+      showStats: document.getElementById('statsCheck').checked,
+      statsThreshold: parseAndValidate('statsThreshold', 0.25)
     };
+
+    // Reaction parameters of every model (sliders built by UIController.initializeModelControls)
+    for (const [key, fallback] of Object.entries(MODEL_PARAM_DEFAULTS)) {
+      settings[key] = parseAndValidate(`param-${key}`, fallback);
+    }
+
+    for (const [key, provider] of this.providers) {
+      settings[key] = provider.get();
+    }
+
+    return settings;
   }
 
   /**
    * Apply settings to UI and global parameters
-   * @param {Object} settings - Settings object to apply
+   * Only fields that pass schema validation are applied
+   * @param {Object} input - Settings object to apply (current version, may be partial)
+   * @returns {string[]} Problems with skipped or adjusted fields
    */
-  applySettings(settings) {
+  applySettings(input) {
+    const { values: settings, problems } = validateSettings(input);
+
     // Update sliders (this will trigger controller updates)
     if (settings.Du !== undefined) {
       document.getElementById('du').value = settings.Du;
@@ -66,11 +139,10 @@ export class SettingsManager {
     if (settings.Dv !== undefined) {
       document.getElementById('dv').value = settings.Dv;
     }
-    if (settings.F !== undefined) {
-      document.getElementById('F').value = settings.F;
-    }
-    if (settings.K !== undefined) {
-      document.getElementById('k').value = settings.K;
+    for (const key of Object.keys(MODEL_PARAM_DEFAULTS)) {
+      if (settings[key] !== undefined) {
+        document.getElementById(`param-${key}`).value = settings[key];
+      }
     }
     if (settings.tempScale !== undefined) {
       document.getElementById('temp').value = settings.tempScale;
@@ -84,22 +156,191 @@ export class SettingsManager {
     if (settings.mixAlpha !== undefined) {
       document.getElementById('mixA').value = settings.mixAlpha;
     }
+    if (settings.energyWindow !== undefined) {
+      document.getElementById('energyWindow').value = settings.energyWindow;
+    }
     if (settings.brushRadius !== undefined) {
       document.getElementById('br').value = settings.brushRadius;
     }
+    if (settings.brushFalloff !== undefined) {
+      document.getElementById('brushFalloff').value = settings.brushFalloff;
+    }
+    if (settings.brushStrength !== undefined) {
+      document.getElementById('brushStrength').value = settings.brushStrength;
+    }
+    if (settings.anisoAngle !== undefined) {
+      document.getElementById('anisoAngle').value = settings.anisoAngle;
+    }
+    if (settings.anisoAlong !== undefined) {
+      document.getElementById('anisoAlong').value = settings.anisoAlong;
+    }
+    if (settings.anisoAcross !== undefined) {
+      document.getElementById('anisoAcross').value = settings.anisoAcross;
+    }
 
     // Update other UI elements
     if (settings.viewMode !== undefined) {
       document.getElementById('viewSel').value = settings.viewMode;
     }
     if (settings.energyMode !== undefined) {
-      document.getElementById('energySel').value = settings.energyMode;
+      const energySel = document.getElementById('energySel');
+      energySel.value = settings.energyMode;
+      energySel.dispatchEvent(new Event('change'));
+    }
+    if (settings.integrator !== undefined) {
+      const integratorSel = document.getElementById('integratorSel');
+      integratorSel.value = settings.integrator;
+      integratorSel.dispatchEvent(new Event('change'));
+    }
+    if (settings.clampState !== undefined) {
+      const clampCheck = document.getElementById('clampCheck');
+      clampCheck.checked = settings.clampState;
+      clampCheck.dispatchEvent(new Event('change'));
+    }
+    if (settings.multirate !== undefined || settings.multirateLevels !== undefined) {
+      const multirateCheck = document.getElementById('multirateCheck');
+      if (settings.multirate !== undefined) multirateCheck.checked = settings.multirate;
+      if (settings.multirateLevels !== undefined) {
+        document.getElementById('multirateLevels').value = settings.multirateLevels;
+      }
+      multirateCheck.dispatchEvent(new Event('change'));
+    }
+    if (settings.stabilityAction !== undefined) {
+      const stabilityActionSel = document.getElementById('stabilityActionSel');
+      stabilityActionSel.value = settings.stabilityAction;
+      stabilityActionSel.dispatchEvent(new Event('change'));
+    }
+    if (settings.stencil !== undefined) {
+      const stencilSel = document.getElementById('stencilSel');
+      stencilSel.value = settings.stencil;
+      stencilSel.dispatchEvent(new Event('change'));
+    }
+    // Update dt bounds (single change event validates the pair)
+    if (settings.dtMin !== undefined || settings.dtMax !== undefined) {
+      const dtMinEl = document.getElementById('dtMin');
+      if (settings.dtMin !== undefined) dtMinEl.value = settings.dtMin;
+      if (settings.dtMax !== undefined) document.getElementById('dtMax').value = settings.dtMax;
+      dtMinEl.dispatchEvent(new Event('change'));
+    }
+
+    // Update colormap/normalization (single change event reads all controls)
+    const colorFields = {
+      colormap: 'colormapSel',
+      normMode: 'normSel',
+      normMin: 'normMin',
+      normMax: 'normMax',
+      normPercentile: 'normPct'
+    };
+    let colorChanged = false;
+    for (const [key, id] of Object.entries(colorFields)) {
+      if (settings[key] !== undefined) {
+        document.getElementById(id).value = settings[key];
+        colorChanged = true;
+      }
+    }
+    if (settings.showLegend !== undefined) {
+      document.getElementById('legendCheck').checked = settings.showLegend;
+      colorChanged = true;
+    }
+    if (colorChanged) {
+      document.getElementById('colormapSel').dispatchEvent(new Event('change'));
+    }
+
+    // Update boundary conditions (single change event reads all edges)
+    const boundaryFields = {
+      boundaryLeft: 'bcLeft',
+      boundaryRight: 'bcRight',
+      boundaryTop: 'bcTop',
+      boundaryBottom: 'bcBottom',
+      dirichletU: 'bcU',
+      dirichletV: 'bcV'
+    };
+    let boundaryChanged = false;
+    for (const [key, id] of Object.entries(boundaryFields)) {
+      if (settings[key] !== undefined) {
+        document.getElementById(id).value = settings[key];
+        boundaryChanged = true;
+      }
+    }
+    if (boundaryChanged) {
+      document.getElementById('bcLeft').dispatchEvent(new Event('change'));
+    }
+
+    // Update brush shape, blend and custom values
+    const brushSelects = {
+      brushShape: 'brushShapeSel',
+      brushAngle: 'brushAngle',
+      brushBlend: 'brushBlendSel'
+    };
+    for (const [key, id] of Object.entries(brushSelects)) {
+      if (settings[key] !== undefined) {
+        const el = document.getElementById(id);
+        el.value = settings[key];
+        el.dispatchEvent(new Event('change'));
+      }
+    }
+    if (settings.brushU !== undefined || settings.brushV !== undefined) {
+      const brushUEl = document.getElementById('brushU');
+      if (settings.brushU !== undefined) brushUEl.value = settings.brushU;
+      if (settings.brushV !== undefined) document.getElementById('brushV').value = settings.brushV;
+      brushUEl.dispatchEvent(new Event('change'));
+    }
+
+    // Update grid size (single change event resamples once for both axes)
+    if (settings.gridW !== undefined || settings.gridH !== undefined) {
+      const gridWEl = document.getElementById('gridW');
+      if (settings.gridW !== undefined) gridWEl.value = settings.gridW;
+      if (settings.gridH !== undefined) document.getElementById('gridH').value = settings.gridH;
+      gridWEl.dispatchEvent(new Event('change'));
+    }
+
+    // Update sweep axes (single change event reads all sweep controls)
+    const sweepFields = {
+      sweepParamX: 'sweepXSel',
+      sweepXFrom: 'sweepXFrom',
+      sweepXTo: 'sweepXTo',
+      sweepParamY: 'sweepYSel',
+      sweepYFrom: 'sweepYFrom',
+      sweepYTo: 'sweepYTo',
+      sweepTileSize: 'sweepTileSize'
+    };
+    let sweepChanged = false;
+    for (const [key, id] of Object.entries(sweepFields)) {
+      if (settings[key] !== undefined) {
+        document.getElementById(id).value = settings[key];
+        sweepChanged = true;
+      }
+    }
+    if (sweepChanged) {
+      document.getElementById('sweepXSel').dispatchEvent(new Event('change'));
+    }
+
+    // Update recording options (single change event reads all controls)
+    const recordFields = {
+      recordFormat: 'recordFormatSel',
+      recordEvery: 'recordEvery',
+      recordMaxFrames: 'recordMaxFrames',
+      recordFps: 'recordFps'
+    };
+    let recordChanged = false;
+    for (const [key, id] of Object.entries(recordFields)) {
+      if (settings[key] !== undefined) {
+        document.getElementById(id).value = settings[key];
+        recordChanged = true;
+      }
     }
-    if (settings.dtMin !== undefined) {
-      document.getElementById('dtMin').value = settings.dtMin;
+    if (recordChanged) {
+      document.getElementById('recordFormatSel').dispatchEvent(new Event('change'));
     }
-    if (settings.dtMax !== undefined) {
-      document.getElementById('dtMax').value = settings.dtMax;
+
+    // Update statistics options
+    if (settings.showStats !== undefined || settings.statsThreshold !== undefined) {
+      const statsCheck = document.getElementById('statsCheck');
+      if (settings.showStats !== undefined) statsCheck.checked = settings.showStats;
+      if (settings.statsThreshold !== undefined) {
+        document.getElementById('statsThreshold').value = settings.statsThreshold;
+      }
+      statsCheck.dispatchEvent(new Event('change'));
     }
 
     // Update tile mode
@@ -110,8 +351,47 @@ export class SettingsManager {
       checkbox.dispatchEvent(new Event('change'));
     }
 
+    // Apply provider-backed values
+    for (const [key, provider] of this.providers) {
+      if (settings[key] !== undefined) provider.apply(settings[key]);
+    }
+
     // Update all controllers to sync input fields
     this.controllers.forEach(ctrl => ctrl.updateFromValue());
+
+    return problems;
+  }
+
+  /**
+   * Migrate settings from a file or localStorage to the current version and apply them
+   * @param {Object} settings - Parsed settings of any supported version
+   * @returns {string[]} Problems with skipped or adjusted fields
+   * @throws {Error} If the settings cannot be migrated (not an object, newer version)
+   */
+  loadSettings(settings) {
+    const { settings: migrated } = migrateSettings(settings);
+    return this.applySettings(migrated);
+  }
+
+  /**
+   * Apply a preset (see presets.js)
+   * Built-in presets only change their own keys (plus the model's suggested
+   * rates when they switch models); user presets are complete settings and
+   * are migrated like a settings file
+   * @returns {string[]} Problems with skipped or adjusted fields
+   */
+  applyPreset(preset) {
+    if (!preset.builtin) return this.loadSettings(preset.settings);
+    const { model } = preset.settings;
+    const switching = model !== this.getCurrentSettings().model;
+    return this.applySettings(switching ? { ...MODELS[model].defaults, ...preset.settings } : preset.settings);
+  }
+
+  /**
+   * Describe load problems for an alert, one field per line
+   */
+  formatProblems(problems) {
+    return problems.map(p => `• ${p}`).join('\n');
   }
 
   /**
@@ -137,8 +417,11 @@ export class SettingsManager {
     try {
       const stored = localStorage.getItem(this.storageKey);
       if (stored) {
-        const settings = JSON.parse(stored);
-        this.applySettings(settings);
+        const problems = this.loadSettings(JSON.parse(stored));
+        if (problems.length) {
+          console.warn('Saved settings had problems:', problems);
+          alert('Some saved settings were invalid and have been skipped:\n' + this.formatProblems(problems));
+        }
         return true;
       }
     } catch (e) {
@@ -182,6 +465,46 @@ export class SettingsManager {
     }
   }
 
+  /**
+   * Copy a URL with the current settings (and optionally a low-resolution state) to the clipboard
+   * @param {Object|null} frame - Latest frame to embed ({W, H, U0, V0}), or null for settings only
+   */
+  async copyLink(frame) {
+    try {
+      const fragment = await encodeShareFragment(this.getCurrentSettings(), frame);
+      const url = `${location.origin}${location.pathname}${location.search}#${fragment}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        alert(`Link copied to the clipboard (${url.length} characters).`);
+      } catch {
+        // Clipboard access can be denied (e.g. insecure context): let the user copy it
+        prompt('Copy this link:', url);
+      }
+    } catch (err) {
+      alert('Failed to create link: ' + err.message);
+    }
+  }
+
+  /**
+   * Apply settings (and state) from a shared link in the URL fragment
+   * Keys the link does not store are reset to their defaults
+   * @param {string} hash - location.hash
+   * @param {SimulationClient} simulation - Receives the linked state, if any
+   */
+  async loadFromLink(hash, simulation) {
+    try {
+      const { settings, state } = await decodeShareFragment(hash);
+      const { settings: migrated } = migrateSettings(settings);
+      const problems = this.applySettings({ ...this.defaults, ...migrated });
+      if (state) simulation.loadFields(state);
+      if (problems.length) {
+        alert('Some settings in the link were invalid and have been skipped:\n' + this.formatProblems(problems));
+      }
+    } catch (err) {
+      alert('Failed to open link: ' + err.message);
+    }
+  }
+
   /**
    * Load settings from JSON file
    * @param {File} file - The file to load
@@ -190,9 +513,12 @@ export class SettingsManager {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const settings = JSON.parse(e.target.result);
-        this.applySettings(settings);
-        alert('Settings loaded successfully!');
+        const problems = this.loadSettings(JSON.parse(e.target.result));
+        if (problems.length) {
+          alert(`Settings loaded with ${problems.length} problem(s):\n` + this.formatProblems(problems));
+        } else {
+          alert('Settings loaded successfully!');
+        }
       } catch (err) {
         alert('Failed to load settings: ' + err.message);
       }
@@ -200,6 +526,52 @@ export class SettingsManager {
     reader.readAsText(file);
   }
 
+  /**
+   * Download the full simulation state as a binary checkpoint
+   * @param {SimulationClient} simulation - The simulation to serialize
+   */
+  async downloadCheckpoint(simulation) {
+    try {
+      const buffer = await simulation.exportCheckpoint();
+      const blob = new Blob([buffer], { type: 'application/octet-stream' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gray-scott-checkpoint-${Date.now()}.gsck`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert('Failed to export checkpoint: ' + err.message);
+    }
+  }
+
+  /**
+   * Restore the full simulation state from a binary checkpoint file
+   * The worker imports the checkpoint first; the UI controls are then synced
+   * with its parameters without sending them back (no reseed, resize or
+   * session events)
+   * @param {File} file - The checkpoint file
+   * @param {SimulationClient} simulation - The simulation to restore into
+   */
+  loadCheckpoint(file, simulation) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const params = await simulation.importCheckpoint(e.target.result);
+        const problems = simulation.mirrorParams(() => this.applySettings(params));
+        if (problems.length) {
+          alert('Checkpoint loaded; some of its settings could not be shown in the controls:\n' +
+            this.formatProblems(problems));
+        } else {
+          alert('Checkpoint loaded successfully!');
+        }
+      } catch (err) {
+        alert('Failed to load checkpoint: ' + err.message);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  }
+
   /**
    * Reset all parameters to default values and clear localStorage
    */
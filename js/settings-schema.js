@@ -0,0 +1,339 @@
+/**
+ * Settings schema, validation and migration (DOM-free)
+ *
+ * Every parameter in DEFAULT_PARAMS is declared with its type, range and
+ * default. Settings files and localStorage entries carry a `version`; files
+ * from older builds are migrated step by step to SETTINGS_VERSION before
+ * they are validated. Invalid fields are reported and skipped, so a bad file
+ * never reaches the controls or the simulation.
+ *
+ * Entry types:
+ *   { type: 'number', min, max }     Finite number within [min, max]
+ *   { type: 'integer', min, max }    Integer within [min, max]
+ *   { type: 'boolean' }
+ *   { type: 'enum', values }         One of the listed strings
+ *   { type: 'object', check }        check(value) returns an error message or null
+ */
+
+import { DEFAULT_PARAMS, BOUNDARY_MODES, SWEEPABLE_PARAMS, AUTOMATABLE_PARAMS } from './config.js';
+import { COLORMAPS, NORMALIZATION_MODES } from './colorize.js';
+import { INTEGRATORS } from './integrators.js';
+import { RECORD_FORMATS } from './recorder.js';
+import { PARAM_MAP_KEYS } from './param-maps.js';
+import { SEED_GENERATORS } from './seeds.js';
+import { AUTOMATION_MODES, AUTOMATION_CLOCKS } from './automation.js';
+import { MODELS, SPECIES_LIMITS } from './models.js';
+import { STABILITY_ACTIONS } from './stability.js';
+import { ENERGY_METRICS, checkEnergyExpression } from './energy-metrics.js';
+
+// Version written by this build
+// 1: files written before versioning (no `version` field)
+// 2: versioned files with typed values
+// 3: reaction-diffusion model selection (`model` and the parameters of every model)
+export const SETTINGS_VERSION = 3;
+
+const isFiniteNumber = (x) => typeof x === 'number' && isFinite(x);
+
+/**
+ * Check a parameter map spec (see param-maps.js)
+ */
+function checkParamMapSpec(spec) {
+  if (spec === null) return null;
+  if (typeof spec !== 'object') return 'must be null or a map spec';
+  if (spec.type === 'gradient') {
+    if (spec.axis !== 'x' && spec.axis !== 'y') return 'gradient axis must be "x" or "y"';
+    if (!isFiniteNumber(spec.from) || !isFiniteNumber(spec.to)) return 'gradient from/to must be numbers';
+    return null;
+  }
+  if (spec.type === 'data') {
+    // A data spec without payload marks a map painted in the running state
+    if (spec.data === undefined) return null;
+    if (!Number.isInteger(spec.W) || !Number.isInteger(spec.H) || spec.W < 1 || spec.H < 1) {
+      return 'data size must be positive integers';
+    }
+    if (!isFiniteNumber(spec.min) || !isFiniteNumber(spec.max)) return 'data min/max must be numbers';
+    if (typeof spec.data !== 'string') return 'data must be a base64 string';
+    return null;
+  }
+  return `unknown map type "${spec.type}"`;
+}
+
+function checkParamMaps(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+  for (const [name, spec] of Object.entries(value)) {
+    if (!PARAM_MAP_KEYS.includes(name)) return `unknown parameter map "${name}"`;
+    const error = checkParamMapSpec(spec);
+    if (error) return `${name}: ${error}`;
+  }
+  return null;
+}
+
+function checkSeedSpec(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+  const generator = SEED_GENERATORS[value.type];
+  if (!generator) return `unknown seed type "${value.type}"`;
+  if (value.seed !== undefined && !Number.isInteger(value.seed)) return 'seed must be an integer';
+  if (value.noise !== undefined && !(isFiniteNumber(value.noise) && value.noise >= 0 && value.noise <= 1)) {
+    return 'noise must be a number in [0, 1]';
+  }
+  for (const [key, fallback] of Object.entries(generator)) {
+    if (value[key] === undefined) continue;
+    const ok = typeof fallback === 'string' ? typeof value[key] === 'string' : isFiniteNumber(value[key]);
+    if (!ok) return `${key} must be a ${typeof fallback}`;
+  }
+  if (value.mask !== undefined) return checkParamMapSpec(value.mask);
+  return null;
+}
+
+/**
+ * Check one automation track; values must stay within the parameter's range
+ */
+function checkAutomationTrack(track) {
+  const { min, max } = ENTRIES[track.param];
+  const inRange = (v) => isFiniteNumber(v) && v >= min && v <= max;
+
+  if (track.mode === 'keys') {
+    if (track.interpolation !== 'linear' && track.interpolation !== 'smooth') {
+      return 'interpolation must be "linear" or "smooth"';
+    }
+    if (!Array.isArray(track.keys) || track.keys.length === 0) return 'needs at least one keyframe';
+    for (const key of track.keys) {
+      if (!key || !isFiniteNumber(key.t)) return 'keyframe times must be numbers';
+      if (!inRange(key.value)) return `keyframe value ${key.value} is outside [${min}, ${max}]`;
+    }
+    return null;
+  }
+
+  if (!isFiniteNumber(track.amplitude) || track.amplitude < 0) return 'amplitude must be a number ≥ 0';
+  if (!inRange(track.center - track.amplitude) || !inRange(track.center + track.amplitude)) {
+    return `center ± amplitude must stay within [${min}, ${max}]`;
+  }
+  if (!(isFiniteNumber(track.period) && track.period > 0)) return 'period must be positive';
+  if (track.phase !== undefined && !isFiniteNumber(track.phase)) return 'phase must be a number';
+  if (track.seed !== undefined && !Number.isInteger(track.seed)) return 'seed must be an integer';
+  return null;
+}
+
+function checkAutomation(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.tracks)) return 'must be an object with tracks';
+  if (!AUTOMATION_CLOCKS.includes(value.clock)) return `clock must be one of ${AUTOMATION_CLOCKS.join(', ')}`;
+  const seen = new Set();
+  for (const track of value.tracks) {
+    if (!track || !AUTOMATABLE_PARAMS.includes(track.param)) return `cannot automate "${track && track.param}"`;
+    if (seen.has(track.param)) return `${track.param} has more than one track`;
+    seen.add(track.param);
+    if (!AUTOMATION_MODES.includes(track.mode)) return `${track.param}: unknown mode "${track.mode}"`;
+    const error = checkAutomationTrack(track);
+    if (error) return `${track.param}: ${error}`;
+  }
+  return null;
+}
+
+const boundary = { type: 'enum', values: Object.values(BOUNDARY_MODES) };
+const species = { type: 'number', min: SPECIES_LIMITS[0], max: SPECIES_LIMITS[1] };
+
+// Reaction parameters of every model, with the ranges the model declares
+const MODEL_PARAM_ENTRIES = Object.fromEntries(Object.values(MODELS).flatMap(model =>
+  Object.entries(model.params).map(([key, { min, max }]) => [key, { type: 'number', min, max }])
+));
+
+const ENTRIES = {
+  model: { type: 'enum', values: Object.keys(MODELS) },
+  Du: { type: 'number', min: 0, max: 1 },
+  Dv: { type: 'number', min: 0, max: 1 },
+  ...MODEL_PARAM_ENTRIES,
+  dtMin: { type: 'number', min: 0.001, max: 10 },
+  dtMax: { type: 'number', min: 0.001, max: 10 },
+  tempScale: { type: 'number', min: 0.001, max: 1 },
+  emaAlpha: { type: 'number', min: 0, max: 0.99 },
+  energyMode: { type: 'enum', values: Object.keys(ENERGY_METRICS) },
+  mixAlpha: { type: 'number', min: 0, max: 1 },
+  energyWindow: { type: 'integer', min: 1, max: 8 },
+  energyExpression: { type: 'object', check: checkEnergyExpression },
+  paramMaps: { type: 'object', check: checkParamMaps },
+  paintParam: { type: 'enum', values: PARAM_MAP_KEYS },
+  paintParamValue: { type: 'number', min: -Infinity, max: Infinity },
+  seedSpec: { type: 'object', check: checkSeedSpec },
+  automation: { type: 'object', check: checkAutomation },
+  integrator: { type: 'enum', values: Object.keys(INTEGRATORS) },
+  clampState: { type: 'boolean' },
+  multirate: { type: 'boolean' },
+  multirateLevels: { type: 'integer', min: 1, max: 8 },
+  stabilityAction: { type: 'enum', values: STABILITY_ACTIONS },
+  stencil: { type: 'enum', values: ['five', 'nine', 'anisotropic'] },
+  anisoAngle: { type: 'number', min: 0, max: 180 },
+  anisoAlong: { type: 'number', min: 0, max: 1 },
+  anisoAcross: { type: 'number', min: 0, max: 1 },
+  boundaryLeft: boundary,
+  boundaryRight: boundary,
+  boundaryTop: boundary,
+  boundaryBottom: boundary,
+  dirichletU: species,
+  dirichletV: species,
+  gridW: { type: 'integer', min: 16, max: 1024 },
+  gridH: { type: 'integer', min: 16, max: 1024 },
+  stepsPerFrame: { type: 'integer', min: 1, max: 20 },
+  brushRadius: { type: 'integer', min: 1, max: 40 },
+  brushShape: { type: 'enum', values: ['circle', 'square', 'line'] },
+  brushAngle: { type: 'number', min: 0, max: 180 },
+  brushFalloff: { type: 'number', min: 0, max: 1 },
+  brushStrength: { type: 'number', min: 0.05, max: 1 },
+  brushBlend: { type: 'enum', values: ['replace', 'add'] },
+  brushU: species,
+  brushV: species,
+  viewMode: { type: 'enum', values: ['V', 'U', 'dt', 'E', ...PARAM_MAP_KEYS] },
+  tileMode: { type: 'boolean' },
+  sweepParamX: { type: 'enum', values: SWEEPABLE_PARAMS },
+  sweepXFrom: { type: 'number', min: -Infinity, max: Infinity },
+  sweepXTo: { type: 'number', min: -Infinity, max: Infinity },
+  sweepParamY: { type: 'enum', values: SWEEPABLE_PARAMS },
+  sweepYFrom: { type: 'number', min: -Infinity, max: Infinity },
+  sweepYTo: { type: 'number', min: -Infinity, max: Infinity },
+  sweepTileSize: { type: 'integer', min: 16, max: 256 },
+  colormap: { type: 'enum', values: COLORMAPS },
+  normMode: { type: 'enum', values: NORMALIZATION_MODES },
+  normMin: { type: 'number', min: -Infinity, max: Infinity },
+  normMax: { type: 'number', min: -Infinity, max: Infinity },
+  normPercentile: { type: 'number', min: 0, max: 49 },
+  showLegend: { type: 'boolean' },
+  recordFormat: { type: 'enum', values: Object.keys(RECORD_FORMATS) },
+  recordEvery: { type: 'integer', min: 1, max: 120 },
+  recordMaxFrames: { type: 'integer', min: 1, max: 2000 },
+  recordFps: { type: 'integer', min: 1, max: 60 },
+  showStats: { type: 'boolean' },
+  statsThreshold: { type: 'number', min: 0, max: 1 }
+};
+
+// Schema entries with their defaults, in DEFAULT_PARAMS order
+export const SETTINGS_SCHEMA = Object.freeze(Object.fromEntries(
+  Object.keys(DEFAULT_PARAMS).map(key => [key, Object.freeze({ ...ENTRIES[key], default: DEFAULT_PARAMS[key] })])
+));
+
+// Migrations from version n to n + 1 (applied in order)
+const MIGRATIONS = {
+  // Unversioned files were written from raw DOM values by some builds:
+  // numbers and booleans may be stored as strings
+  1: (settings) => {
+    const migrated = { ...settings };
+    for (const [key, entry] of Object.entries(SETTINGS_SCHEMA)) {
+      const value = migrated[key];
+      if (typeof value !== 'string') continue;
+      if ((entry.type === 'number' || entry.type === 'integer') && value.trim() !== '' && isFinite(Number(value))) {
+        migrated[key] = Number(value);
+      } else if (entry.type === 'boolean' && (value === 'true' || value === 'false')) {
+        migrated[key] = value === 'true';
+      }
+    }
+    return migrated;
+  },
+
+  // Files from before model selection describe Gray-Scott runs
+  2: (settings) => ({ model: 'grayScott', ...settings })
+};
+
+/**
+ * Bring settings from any earlier version up to SETTINGS_VERSION
+ * @param {Object} settings - Parsed settings (a missing version means version 1)
+ * @returns {{settings: Object, fromVersion: number}}
+ * @throws {Error} If the file is not a settings object or comes from a newer build
+ */
+export function migrateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings must be a JSON object');
+  }
+  const fromVersion = settings.version === undefined ? 1 : settings.version;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Invalid settings version: ${settings.version}`);
+  }
+  if (fromVersion > SETTINGS_VERSION) {
+    throw new Error(`Settings version ${fromVersion} is newer than this build supports (${SETTINGS_VERSION})`);
+  }
+
+  let migrated = settings;
+  for (let version = fromVersion; version < SETTINGS_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return { settings: { ...migrated, version: SETTINGS_VERSION }, fromVersion };
+}
+
+/**
+ * Check one value against its schema entry
+ * @returns {string|null} Error message, or null if valid
+ */
+export function checkSetting(key, value) {
+  const entry = SETTINGS_SCHEMA[key];
+  switch (entry.type) {
+    case 'number':
+    case 'integer': {
+      if (!isFiniteNumber(value)) return `${JSON.stringify(value)} is not a number`;
+      if (entry.type === 'integer' && !Number.isInteger(value)) return `${value} is not an integer`;
+      if (value < entry.min) return `${value} is below the minimum ${entry.min}`;
+      if (value > entry.max) return `${value} is above the maximum ${entry.max}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${JSON.stringify(value)} is not true/false`;
+    case 'enum':
+      return entry.values.includes(value)
+        ? null
+        : `${JSON.stringify(value)} is not one of ${entry.values.join(', ')}`;
+    case 'object':
+      return entry.check(value);
+  }
+  return null;
+}
+
+/**
+ * Clamp a numeric setting into its schema range
+ */
+export function clampSetting(key, value) {
+  const { min, max } = SETTINGS_SCHEMA[key];
+  return value < min ? min : value > max ? max : value;
+}
+
+/**
+ * Validate (possibly partial) settings against the schema
+ * Invalid and unknown fields are left out of the result
+ * @param {Object} settings - Settings at SETTINGS_VERSION
+ * @returns {{values: Object, problems: string[]}} Valid fields and one message per problem
+ */
+export function validateSettings(settings) {
+  const values = {};
+  const problems = [];
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'version') continue;
+    if (!SETTINGS_SCHEMA[key]) {
+      problems.push(`${key}: unknown setting (ignored)`);
+      continue;
+    }
+    const error = checkSetting(key, value);
+    if (error) {
+      problems.push(`${key}: ${error} (kept current value)`);
+    } else {
+      values[key] = value;
+    }
+  }
+
+  // Cross-field checks (the dt bounds control repairs the pair when applied)
+  if (values.dtMin !== undefined && values.dtMax !== undefined && values.dtMin >= values.dtMax) {
+    problems.push(`dtMin/dtMax: dtMin (${values.dtMin}) must be below dtMax (${values.dtMax}) (adjusted)`);
+  }
+  // Both sweep axes on one parameter would leave the columns unswept
+  if (values.sweepParamX !== undefined && values.sweepParamX === values.sweepParamY) {
+    const other = SWEEPABLE_PARAMS.find(key => key !== values.sweepParamX);
+    problems.push(`sweepParamY: must differ from sweepParamX (${values.sweepParamX}) (set to ${other})`);
+    values.sweepParamY = other;
+  }
+  // Periodic edges come in opposite pairs (see boundary.js)
+  for (const [low, high] of [['boundaryLeft', 'boundaryRight'], ['boundaryTop', 'boundaryBottom']]) {
+    const modes = [values[low], values[high]];
+    if (modes.includes(BOUNDARY_MODES.PERIODIC) && modes.some(m => m !== undefined && m !== BOUNDARY_MODES.PERIODIC)) {
+      problems.push(`${low}/${high}: a periodic edge needs a periodic opposite edge (both set to periodic)`);
+      values[low] = BOUNDARY_MODES.PERIODIC;
+      values[high] = BOUNDARY_MODES.PERIODIC;
+    }
+  }
+
+  return { values, problems };
+}
@@ -0,0 +1,141 @@
+/**
+ * Shareable links: settings (and optionally a low-resolution U/V state)
+ * packed into the URL fragment (DOM-free)
+ *
+ * Fragment: #gs=<payload>, payload = base64url(deflate-raw(bytes)) with
+ *   uint32   JSON byte length (little-endian), followed by UTF-8 JSON
+ *            { settings, state: { W, H, range? } | null }
+ *   uint8[W*H] U, then uint8[W*H] V (only when state is present), quantized over
+ *   range = [[min, max] of U, [min, max] of V] (default [[0, 1], [0, 1]]; a single
+ *   [min, max] applies to both)
+ * Only settings that differ from DEFAULT_PARAMS are stored (plus `version`);
+ * missing keys mean defaults when the link is opened.
+ */
+
+import { DEFAULT_PARAMS, SHARE_CONFIG } from './config.js';
+import { resampleField } from './state.js';
+import { getModel } from './models.js';
+
+export const SHARE_LINK_PREFIX = 'gs=';
+
+async function transform(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(piped).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Settings that differ from the defaults (the version is always kept)
+ */
+function compactSettings(settings) {
+  const compact = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'version' || JSON.stringify(value) !== JSON.stringify(DEFAULT_PARAMS[key])) {
+      compact[key] = value;
+    }
+  }
+  return compact;
+}
+
+/**
+ * Quantize a field in [lo, hi] to bytes
+ */
+function quantize(field, out, offset, [lo, hi]) {
+  for (let i = 0; i < field.length; i++) {
+    const v = (field[i] - lo) / (hi - lo);
+    out[offset + i] = Math.round((v < 0 ? 0 : v > 1 ? 1 : v) * 255);
+  }
+}
+
+/**
+ * Build the URL fragment for settings and an optional state
+ * @param {Object} settings - Current settings (as from getCurrentSettings)
+ * @param {{W: number, H: number, U0: Float32Array, V0: Float32Array}|null} frame -
+ *   State to include, downsampled to at most SHARE_CONFIG.STATE_SIZE cells per side
+ * @returns {Promise<string>} Fragment without the leading '#'
+ */
+export async function encodeShareFragment(settings, frame = null) {
+  let state = null;
+  let fieldBytes = new Uint8Array(0);
+
+  if (frame) {
+    const scale = Math.min(1, SHARE_CONFIG.STATE_SIZE / Math.max(frame.W, frame.H));
+    const W = Math.max(1, Math.round(frame.W * scale));
+    const H = Math.max(1, Math.round(frame.H * scale));
+    // Quantized over the species ranges of the model ([0, 1] for Gray-Scott, left out of the link)
+    const range = getModel(settings).range;
+    const unit = range.every(([lo, hi]) => lo === 0 && hi === 1);
+    state = unit ? { W, H } : { W, H, range };
+    fieldBytes = new Uint8Array(2 * W * H);
+    quantize(resampleField(frame.U0, frame.W, frame.H, W, H), fieldBytes, 0, range[0]);
+    quantize(resampleField(frame.V0, frame.W, frame.H, W, H), fieldBytes, W * H, range[1]);
+  }
+
+  const json = new TextEncoder().encode(JSON.stringify({ settings: compactSettings(settings), state }));
+  const bytes = new Uint8Array(4 + json.length + fieldBytes.length);
+  new DataView(bytes.buffer).setUint32(0, json.length, true);
+  bytes.set(json, 4);
+  bytes.set(fieldBytes, 4 + json.length);
+
+  const compressed = await transform(bytes, new CompressionStream('deflate-raw'));
+  return SHARE_LINK_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Whether a URL fragment carries a shared configuration
+ */
+export function isShareFragment(hash) {
+  return hash.replace(/^#/, '').startsWith(SHARE_LINK_PREFIX);
+}
+
+/**
+ * Decode a shared-link fragment
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {Promise<{settings: Object, state: {W, H, U: Float32Array, V: Float32Array}|null}>}
+ *   settings as stored in the link (only non-default keys, not yet migrated)
+ * @throws {Error} If the fragment is not a valid link
+ */
+export async function decodeShareFragment(hash) {
+  const fragment = hash.replace(/^#/, '');
+  if (!fragment.startsWith(SHARE_LINK_PREFIX)) throw new Error('Not a shared settings link');
+
+  let bytes;
+  try {
+    bytes = await transform(fromBase64Url(fragment.slice(SHARE_LINK_PREFIX.length)),
+      new DecompressionStream('deflate-raw'));
+  } catch {
+    throw new Error('The link is truncated or corrupted');
+  }
+
+  const length = new DataView(bytes.buffer).getUint32(0, true);
+  const { settings, state } = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+  if (!state) return { settings, state: null };
+
+  const N = state.W * state.H;
+  const fields = bytes.subarray(4 + length);
+  if (fields.length !== 2 * N) throw new Error('The link state has the wrong size');
+
+  const range = state.range || [0, 1];
+  const [[loU, hiU], [loV, hiV]] = Array.isArray(range[0]) ? range : [range, range];
+  const U = new Float32Array(N);
+  const V = new Float32Array(N);
+  for (let i = 0; i < N; i++) {
+    U[i] = loU + (fields[i] / 255) * (hiU - loU);
+    V[i] = loV + (fields[N + i] / 255) * (hiV - loV);
+  }
+  return { settings, state: { W: state.W, H: state.H, U, V } };
+}
@@ -0,0 +1,188 @@
+/**
+ * Simulation Web Worker - Runs the SimulationHost off the main thread
+ *
+ * Messages in (main → worker):
+ *   { type: 'init', params }          Create the host
+ *   { type: 'setParams', params }     Merge a partial parameter update
+ *   { type: 'run', running }          Start/stop free-running stepping (starting lifts a
+ *                                     stability pause; a pause stops the run, see frame.stability)
+ *   { type: 'step', count }           Advance a fixed number of steps (lifts a stability pause)
+ *   { type: 'beginStroke' }           Start of a paint stroke (undo point)
+ *   { type: 'paint', gx, gy, mode }   Paint the brush (interpolated within a stroke)
+ *   { type: 'endStroke' }             End of a paint stroke
+ *   { type: 'copyStamp', gx, gy }     Copy the region around a point as the stamp
+ *   { type: 'seed' } / { type: 'clear' }
+ *   { type: 'loadFields', fields }     Replace U/V with resampled fields {W, H, U, V}
+ *   { type: 'setParamMap', name, spec } Set/clear one parameter map
+ *   { type: 'requestFrame', version } Ask for a snapshot newer than version
+ *   { type: 'exportCheckpoint', id }  Serialize the full run
+ *   { type: 'importCheckpoint', id, buffer }
+ *   { type: 'undo' } / { type: 'redo' }
+ *   { type: 'seekHistory', snapshot }  Jump to a history snapshot by id
+ *   { type: 'startSession', id }      Reset the run and start logging mutations
+ *   { type: 'stopSession', id }       Stop logging; replies with the session file contents
+ *   { type: 'replaySession', id, session } Replay a session; replies with
+ *                                     { checksum, verified, params }
+ *
+ * Messages out (worker → main):
+ *   { type: 'frame', frame }          Field snapshot (buffers are transferred)
+ *   { type: 'history', history }      Timeline description (see StateHistory.describe)
+ *   { type: 'reply', id, result }     Result of a message that carried an id
+ *   { type: 'reply', id, error }
+ *   { type: 'error', message }
+ */
+
+import { SimulationHost } from './simulation-host.js';
+import { HISTORY_CONFIG } from './config.js';
+import { replaySession } from './session.js';
+
+let host = null;
+let running = false;
+let batchScheduled = false;
+
+// Messages are handled one at a time in arrival order: history commands await
+// snapshot decompression, and no other message or batch may touch the host
+// until the snapshot is written back (batches wait while messages are queued)
+let queue = Promise.resolve();
+let pendingMessages = 0;
+
+// Version of the last frame the main thread has, or null if no request is pending
+let frameRequest = null;
+
+// Zero-delay scheduling: MessageChannel tasks are not clamped like setTimeout,
+// and incoming messages still interleave between batches
+const scheduler = new MessageChannel();
+scheduler.port1.onmessage = runBatch;
+
+function scheduleBatch() {
+  if (batchScheduled) return;
+  batchScheduled = true;
+  scheduler.port2.postMessage(null);
+}
+
+/**
+ * Run one batch of stepsPerFrame steps while running
+ */
+function runBatch() {
+  batchScheduled = false;
+  // Queued messages go first; the batch is rescheduled when the queue drains
+  if (!running || !host || pendingMessages > 0) return;
+
+  try {
+    host.step(host.params.stepsPerFrame);
+    if (host.paused) running = false;
+    flushFrame();
+  } catch (err) {
+    running = false;
+    postError(err);
+    return;
+  }
+
+  scheduleBatch();
+}
+
+/**
+ * Answer a pending frame request if the state changed since the last frame
+ */
+function flushFrame() {
+  if (frameRequest === null || !host || host.version === frameRequest) return;
+
+  const frame = host.snapshot();
+  frameRequest = null;
+  const transfer = [frame.U0.buffer, frame.V0.buffer, frame.dtMap.buffer, frame.Eema.buffer];
+  for (const map of Object.values(frame.paramMaps)) transfer.push(map.buffer);
+  self.postMessage({ type: 'frame', frame }, transfer);
+}
+
+function postError(err) {
+  console.error('Simulation worker error:', err);
+  self.postMessage({ type: 'error', message: err.message });
+}
+
+const handlers = {
+  init({ params }) {
+    host = new SimulationHost(params);
+    const history = host.enableHistory({
+      budgetBytes: HISTORY_CONFIG.BUDGET_MB * 1024 * 1024,
+      interval: HISTORY_CONFIG.INTERVAL_STEPS
+    });
+    history.onChange = () => {
+      self.postMessage({ type: 'history', history: history.describe() });
+    };
+  },
+  setParams({ params }) { host.setParams(params); },
+  run({ running: enabled }) {
+    running = enabled;
+    if (running) {
+      host.resumeStability();
+      scheduleBatch();
+    }
+  },
+  step({ count }) {
+    host.resumeStability();
+    host.step(count);
+  },
+  beginStroke() { host.beginStroke(); },
+  paint({ gx, gy, mode }) { host.paint(gx, gy, mode); },
+  endStroke() { host.endStroke(); },
+  copyStamp({ gx, gy }) { host.copyStamp(gx, gy); },
+  seed() { host.seed(); },
+  clear() { host.clear(); },
+  loadFields({ fields }) { host.loadFields(fields); },
+  setParamMap({ name, spec }) { host.setParamMap(name, spec); },
+  requestFrame({ version }) { frameRequest = version; },
+  exportCheckpoint() { return host.exportCheckpoint(); },
+  importCheckpoint({ buffer }) { return host.importCheckpoint(buffer); },
+  undo() { return host.undo(); },
+  redo() { return host.redo(); },
+  seekHistory({ snapshot }) { return host.seekHistory(snapshot); },
+  startSession() { host.startSession(); },
+  stopSession() { return host.stopSession(); },
+  async replaySession({ session }) {
+    // Batches must not interleave with the replay's own stepping
+    running = false;
+    const result = await replaySession(host, session);
+    return { ...result, params: host.baseParams() };
+  }
+};
+
+/**
+ * Reply to a request message (one that carries an id)
+ * ArrayBuffer results are transferred instead of copied
+ */
+function postReply(id, result) {
+  const transfer = result instanceof ArrayBuffer ? [result] : [];
+  self.postMessage({ type: 'reply', id, result }, transfer);
+}
+
+/**
+ * Handle one message (never throws; errors are replied or posted)
+ */
+async function handleMessage(msg) {
+  const handler = handlers[msg.type];
+  if (!handler) {
+    postError(new Error(`Unknown message type: ${msg.type}`));
+    return;
+  }
+
+  try {
+    // History operations decompress snapshots asynchronously
+    const result = await handler(msg);
+    if (msg.id !== undefined) postReply(msg.id, result);
+    flushFrame();
+  } catch (err) {
+    if (msg.id !== undefined) {
+      self.postMessage({ type: 'reply', id: msg.id, error: err.message });
+    } else {
+      postError(err);
+    }
+  }
+}
+
+self.onmessage = (e) => {
+  pendingMessages++;
+  queue = queue.then(() => handleMessage(e.data)).then(() => {
+    pendingMessages--;
+    if (pendingMessages === 0 && running) scheduleBatch();
+  });
+};
@@ -0,0 +1,260 @@
+/**
+ * SimulationClient - Main-thread proxy for the simulation Web Worker
+ * Sends commands to sim-worker.js and keeps the latest field snapshot for rendering
+ */
+
+export class SimulationClient {
+  /**
+   * @param {Object} params - Initial simulation parameters
+   */
+  constructor(params) {
+    this.worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this.handleMessage(e.data);
+    this.worker.onerror = (e) => console.error('Simulation worker failed:', e.message);
+
+    // Latest snapshot received from the worker
+    this.frame = null;
+    this.frameRequested = false;
+
+    // Latest history timeline (see StateHistory.describe) and its listener
+    this.history = null;
+    this.onHistory = null;
+
+    // Pending request promises by message id
+    this.pending = new Map();
+    this.nextRequestId = 1;
+
+    // While set, parameter and map updates stay on the main thread (see mirrorParams)
+    this.mirroring = false;
+
+    this.post({ type: 'init', params: { ...params } });
+  }
+
+  /**
+   * Post a message to the worker
+   */
+  post(msg) {
+    this.worker.postMessage(msg);
+  }
+
+  /**
+   * Post a message that expects a reply
+   * @param {Object} msg - Message (an id is added)
+   * @param {Transferable[]} transfer - Buffers to transfer
+   * @returns {Promise<*>} Resolves with the worker's result
+   */
+  request(msg, transfer = []) {
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...msg, id }, transfer);
+    });
+  }
+
+  /**
+   * Handle messages from the worker
+   */
+  handleMessage(msg) {
+    if (msg.type === 'frame') {
+      this.frame = msg.frame;
+      this.frameRequested = false;
+    } else if (msg.type === 'history') {
+      this.history = msg.history;
+      if (this.onHistory) this.onHistory(msg.history);
+    } else if (msg.type === 'reply') {
+      const pending = this.pending.get(msg.id);
+      if (!pending) return;
+      this.pending.delete(msg.id);
+      if (msg.error !== undefined) {
+        pending.reject(new Error(msg.error));
+      } else {
+        pending.resolve(msg.result);
+      }
+    } else if (msg.type === 'error') {
+      console.error('Simulation worker reported an error:', msg.message);
+    }
+  }
+
+  /**
+   * Ask the worker for a snapshot newer than the current one
+   * At most one request is outstanding, so the worker never floods the main thread
+   */
+  requestFrame() {
+    if (this.frameRequested) return;
+    this.frameRequested = true;
+    this.post({ type: 'requestFrame', version: this.frame ? this.frame.version : -1 });
+  }
+
+  /**
+   * Merge a partial parameter update into the worker's parameters
+   */
+  setParams(patch) {
+    if (this.mirroring) return;
+    this.post({ type: 'setParams', params: patch });
+  }
+
+  /**
+   * Run fn without forwarding its parameter and map updates to the worker
+   * Used to sync the controls with parameters the worker already has (e.g. after
+   * a checkpoint import), so they are neither reapplied nor logged by a session
+   * @param {function(): *} fn - Synchronous control updates
+   * @returns {*} The result of fn
+   */
+  mirrorParams(fn) {
+    this.mirroring = true;
+    try {
+      return fn();
+    } finally {
+      this.mirroring = false;
+    }
+  }
+
+  /**
+   * Start or stop free-running stepping in the worker
+   */
+  setRunning(running) {
+    this.post({ type: 'run', running });
+  }
+
+  /**
+   * Advance a fixed number of steps
+   */
+  step(count) {
+    this.post({ type: 'step', count });
+  }
+
+  /**
+   * Mark the start of a paint stroke so it can be undone as a whole
+   */
+  beginStroke() {
+    this.post({ type: 'beginStroke' });
+  }
+
+  /**
+   * Paint the brush at grid coordinates
+   */
+  paint(gx, gy, mode) {
+    this.post({ type: 'paint', gx, gy, mode });
+  }
+
+  /**
+   * Replace U and V with fields of any resolution (e.g. the state of a shared link)
+   * @param {{W: number, H: number, U: Float32Array, V: Float32Array}} fields
+   */
+  loadFields(fields) {
+    this.post({ type: 'loadFields', fields });
+  }
+
+  /**
+   * Mark the end of a paint stroke
+   */
+  endStroke() {
+    this.post({ type: 'endStroke' });
+  }
+
+  /**
+   * Copy the region around a point as the stamp brush
+   */
+  copyStamp(gx, gy) {
+    this.post({ type: 'copyStamp', gx, gy });
+  }
+
+  /**
+   * Reseed the simulation
+   */
+  seed() {
+    this.post({ type: 'seed' });
+  }
+
+  /**
+   * Clear the simulation to U=1, V=0
+   */
+  clear() {
+    this.post({ type: 'clear' });
+  }
+
+  /**
+   * Set or clear the map for one parameter
+   * @param {string} name - One of PARAM_MAP_KEYS (see param-maps.js)
+   * @param {Object|null} spec - Map spec (see param-maps.js), null for uniform
+   */
+  setParamMap(name, spec) {
+    if (this.mirroring) return;
+    this.post({ type: 'setParamMap', name, spec });
+  }
+
+  /**
+   * Serialize the full run in the worker
+   * @returns {Promise<ArrayBuffer>} Binary checkpoint
+   */
+  exportCheckpoint() {
+    return this.request({ type: 'exportCheckpoint' });
+  }
+
+  /**
+   * Restore a run from a binary checkpoint (the buffer is transferred)
+   * @param {ArrayBuffer} buffer - Checkpoint file contents
+   * @returns {Promise<Object>} The restored parameters
+   */
+  importCheckpoint(buffer) {
+    return this.request({ type: 'importCheckpoint', buffer }, [buffer]);
+  }
+
+  /**
+   * Return to the previous history snapshot
+   * @returns {Promise<void>}
+   */
+  undo() {
+    return this.request({ type: 'undo' });
+  }
+
+  /**
+   * Move forward to the next history snapshot on the selected branch
+   * @returns {Promise<void>}
+   */
+  redo() {
+    return this.request({ type: 'redo' });
+  }
+
+  /**
+   * Jump to a history snapshot
+   * @param {number} snapshot - Snapshot id from the timeline
+   * @returns {Promise<void>}
+   */
+  seekHistory(snapshot) {
+    return this.request({ type: 'seekHistory', snapshot });
+  }
+
+  /**
+   * Reset the run and start recording a session
+   * @returns {Promise<void>}
+   */
+  startSession() {
+    return this.request({ type: 'startSession' });
+  }
+
+  /**
+   * Stop recording the session
+   * @returns {Promise<Object|null>} Session file contents
+   */
+  stopSession() {
+    return this.request({ type: 'stopSession' });
+  }
+
+  /**
+   * Replay a session in the worker (stops free-running stepping)
+   * @param {Object} session - Parsed session file
+   * @returns {Promise<{checksum: string, verified: boolean, params: Object}>}
+   *   Final checksum, whether it matches the recording, and the final parameters
+   */
+  replaySession(session) {
+    return this.request({ type: 'replaySession', session });
+  }
+
+  /**
+   * Terminate the worker
+   */
+  dispose() {
+    this.worker.terminate();
+  }
+}
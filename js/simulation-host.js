@@ -0,0 +1,849 @@
+/**
+ * SimulationHost - DOM-free owner of the simulation state and engine
+ * Executes the commands of the worker message protocol (step, paint, seed,
+ * clear, setParams, resize) and produces field snapshots for rendering.
+ * In tile mode the host runs a ParameterSweep instead of the main simulation.
+ * With history enabled, snapshots are kept for rewind, undo/redo and branching.
+ * While a session is recorded, every mutating command is logged (see session.js).
+ * Automated parameters (see automation.js) are updated before every step of
+ * the main simulation; tile mode is not automated.
+ *
+ * The host is environment-agnostic: it runs inside the Web Worker
+ * (see sim-worker.js) and in Node for headless runs (see tools/headless.js).
+ */
+
+import { DEFAULT_PARAMS, HISTORY_CONFIG, STABILITY_CONFIG } from './config.js';
+import { SimulationState, resampleField } from './state.js';
+import { GrayScottSimulation } from './simulation.js';
+import { paintBrush, paintSegment, brushSpacing, captureStamp } from './brush.js';
+import { encodeCheckpoint, decodeCheckpoint, CHECKPOINT_FIELDS } from './checkpoint.js';
+import { PARAM_MAP_KEYS, buildParamMap, encodeParamMapData } from './param-maps.js';
+import { ParameterSweep } from './parameter-sweep.js';
+import { buildSeedField } from './seeds.js';
+import { getModel, seedState, clearState } from './models.js';
+import { reducedTimestep } from './stability.js';
+import { SessionRecorder, fieldChecksum } from './session.js';
+import { StateHistory, HISTORY_FIELDS } from './history.js';
+import { evaluateAutomation, automationClock, normalizeAutomation } from './automation.js';
+
+export class SimulationHost {
+  /**
+   * @param {Object} params - Initial parameters (merged over DEFAULT_PARAMS)
+   */
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.state = new SimulationState(this.params.gridW, this.params.gridH);
+    seedState(this.state, buildSeedField(this.params.seedSpec, this.state.W, this.state.H), this.params);
+    this.simulation = new GrayScottSimulation(this.state, this.params);
+
+    // Number of completed simulation steps
+    this.stepCount = 0;
+
+    // Steps run since the run was reset, including steps later undone by a
+    // history seek or a stability rollback (never decreases; the session clock)
+    this.stepsRun = 0;
+
+    // Simulated time, advanced by the time step of each step (the mean cell
+    // timestep, or the macro step in multirate mode)
+    this.simTime = 0;
+
+    // Incremented on every mutation so consumers can skip stale snapshots
+    this.version = 0;
+
+    // Active parameter sweep (tile mode only)
+    this.sweep = null;
+
+    // Snapshot history (see enableHistory)
+    this.history = null;
+
+    // Last dab of the current paint stroke {x, y, offset}, and the copied stamp
+    this.stroke = null;
+    this.stamp = null;
+
+    // Session being recorded, first history id of the session, and whether a replay is running
+    this.session = null;
+    this.sessionHistoryBase = 0;
+    this.replaying = false;
+
+    // Values automated parameters had before automation took over (restored
+    // when their track is removed; manual changes update them)
+    this.automationBase = {};
+    this.params.automation = normalizeAutomation(this.params.automation);
+
+    // Stability monitor (see stability.js)
+    this.resetStability();
+
+    this.applyParamMaps();
+    this.updateSweep();
+  }
+
+  /**
+   * Create a host from a settings object as written by downloadJSON
+   * Keys that are not simulation parameters are ignored
+   * @param {Object} settings - Parsed settings JSON
+   * @returns {SimulationHost}
+   */
+  static fromSettings(settings) {
+    const params = {};
+    for (const key of Object.keys(DEFAULT_PARAMS)) {
+      if (settings[key] !== undefined) params[key] = settings[key];
+    }
+    return new SimulationHost(params);
+  }
+
+  /**
+   * Advance the simulation by count steps
+   * With params.stabilityAction set, a step that produces NaN/Inf or spiking
+   * cells is rolled back (and the remaining steps use a smaller dt) or pauses
+   * the run; tile mode is not monitored. Rollback points depend only on the
+   * step count and on mutations, so rollbacks replay deterministically.
+   */
+  step(count = 1) {
+    if (this.sweep) {
+      this.sweep.step(count);
+      this.version++;
+      return;
+    }
+    if (this.paused) return;
+
+    const guarded = this.params.stabilityAction !== 'off';
+    for (let i = 0; i < count; i++) {
+      if (guarded && this.needsGoodState()) this.saveGoodState();
+      this.applyAutomation();
+      this.simulation.stepOnce();
+
+      this.simTime += this.simulation.timeStep;
+      this.stepCount++;
+      this.stepsRun++;
+
+      if (guarded && (this.simulation.nonFiniteCount > 0 || this.simulation.spikeCount > 0)) {
+        if (!this.handleInstability()) break;
+      } else if (this.stepCount > this.failedStep) {
+        this.rollbacks = 0;
+      }
+    }
+    this.version++;
+    if (this.goodState) this.goodState.version = this.version;
+
+    // Automatic snapshots are logged so a replay takes them at the same steps
+    if (this.history) {
+      this.history.invalidate();
+      if (!this.replaying && this.history.isDue(this.stepCount)) {
+        this.recordHistory('auto');
+        this.logEvent('capture');
+      }
+    }
+  }
+
+  /**
+   * Forget the rollback point, consecutive rollbacks, the step that failed,
+   * the dt caps of automated bounds and the latest report
+   */
+  resetStability() {
+    this.goodState = null;
+    this.rollbacks = 0;
+    this.failedStep = -1;
+    this.dtCaps = {};
+    this.stabilityReport = { status: 'ok', count: 0, step: 0, message: '', cells: new Int32Array(0) };
+  }
+
+  /**
+   * Whether the run is paused by the stability monitor
+   */
+  get paused() {
+    return this.stabilityReport.status === 'paused';
+  }
+
+  /**
+   * Whether a new rollback point is due: none yet, the state was changed by a
+   * command since it was taken, or the step count is on the interval
+   */
+  needsGoodState() {
+    return !this.goodState ||
+      this.goodState.version !== this.version ||
+      this.stepCount % STABILITY_CONFIG.GOOD_STATE_INTERVAL === 0;
+  }
+
+  /**
+   * Copy the state as the rollback point
+   */
+  saveGoodState() {
+    const N = this.state.N;
+    if (!this.goodState || this.goodState.N !== N) {
+      this.goodState = { N, fields: Object.fromEntries(HISTORY_FIELDS.map(name => [name, new Float32Array(N)])) };
+    }
+    for (const name of HISTORY_FIELDS) this.goodState.fields[name].set(this.state[name]);
+    this.goodState.step = this.stepCount;
+    this.goodState.time = this.simTime;
+    this.goodState.version = this.version;
+  }
+
+  /**
+   * React to a step that produced NaN/Inf or spiking cells
+   * Rolls back with reduced dt bounds (params.stabilityAction 'rollback', at most
+   * STABILITY_CONFIG.MAX_ROLLBACKS times in a row), otherwise pauses the run.
+   * The bounds are reduced from the values the failing step ran with; an
+   * automated bound keeps its track and is capped instead (see applyAutomation)
+   * @returns {boolean} True if stepping can continue
+   */
+  handleInstability() {
+    const { nonFiniteCount, spikeCount, unstableCells } = this.simulation;
+    const found = `${nonFiniteCount} NaN/Inf and ${spikeCount} spiking cell(s) at step ${this.stepCount}`;
+    const report = {
+      count: this.stabilityReport.count + 1,
+      step: this.stepCount,
+      cells: Int32Array.from(unstableCells)
+    };
+
+    if (this.params.stabilityAction === 'rollback' && this.rollbacks < STABILITY_CONFIG.MAX_ROLLBACKS) {
+      const dt = reducedTimestep(this.params, this.state.paramMaps);
+      const automated = new Set(this.params.automation.tracks.map(track => track.param));
+      const adopted = {};
+      for (const [name, value] of Object.entries(dt)) {
+        if (automated.has(name)) {
+          this.dtCaps[name] = value;
+        } else {
+          this.params[name] = value;
+          adopted[name] = value;
+        }
+      }
+      const capped = automated.has('dtMax') ? ' (capping its automation track)' : '';
+
+      for (const name of HISTORY_FIELDS) this.state[name].set(this.goodState.fields[name]);
+      this.failedStep = Math.max(this.failedStep, this.stepCount);
+      this.stepCount = this.goodState.step;
+      this.simTime = this.goodState.time;
+      this.rollbacks++;
+
+      this.stabilityReport = {
+        ...report,
+        status: 'rolledBack',
+        params: adopted,
+        message: `${found}: rolled back to step ${this.stepCount}, dt_max reduced to ${dt.dtMax.toFixed(3)}${capped}`
+      };
+      return true;
+    }
+
+    const why = this.params.stabilityAction === 'rollback' ? ` after ${this.rollbacks} rollback(s)` : '';
+    this.stabilityReport = { ...report, status: 'paused', message: `${found}: paused${why}` };
+    return false;
+  }
+
+  /**
+   * Lift a stability pause (the next step is checked again)
+   */
+  resumeStability() {
+    if (!this.paused) return;
+    this.logEvent('resumeStability');
+    this.clearStabilityPause();
+  }
+
+  clearStabilityPause() {
+    if (this.paused) this.stabilityReport = { ...this.stabilityReport, status: 'ok' };
+  }
+
+  /**
+   * Set the automated parameters to their values at the current clock
+   * Automated dt bounds stay below the caps left by stability rollbacks
+   */
+  applyAutomation() {
+    const { automation } = this.params;
+    if (automation.tracks.length === 0) return;
+
+    const t = automationClock(automation, this.stepCount, this.simTime);
+    for (const [name, value] of Object.entries(evaluateAutomation(automation, t))) {
+      if (!(name in this.automationBase)) this.automationBase[name] = this.params[name];
+      this.params[name] = value;
+    }
+    for (const [name, cap] of Object.entries(this.dtCaps)) {
+      if (this.params[name] > cap) this.params[name] = cap;
+    }
+  }
+
+  /**
+   * Adopt a new automation spec; parameters that lost their track return to their base value
+   */
+  setAutomation(automation) {
+    this.params.automation = normalizeAutomation(automation);
+    const automated = new Set(this.params.automation.tracks.map(track => track.param));
+    for (const [name, value] of Object.entries(this.automationBase)) {
+      if (automated.has(name)) continue;
+      this.params[name] = value;
+      delete this.automationBase[name];
+    }
+    for (const name of Object.keys(this.dtCaps)) {
+      if (!automated.has(name)) delete this.dtCaps[name];
+    }
+    this.applyAutomation();
+  }
+
+  /**
+   * Parameters with automated values replaced by their base values
+   * (what a run that starts now must be configured with)
+   */
+  baseParams() {
+    return { ...this.params, ...this.automationBase };
+  }
+
+  /**
+   * Start recording a session
+   * The run is reset first (see resetRun) so the session is reproducible
+   * from the parameters at its start
+   */
+  startSession() {
+    this.resetRun();
+    this.session = new SessionRecorder(this.baseParams());
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} Session file contents, or null if none was recorded
+   */
+  stopSession() {
+    if (!this.session) return null;
+    const session = this.session.finish(this.stepsRun, fieldChecksum(this.state));
+    this.session = null;
+    return session;
+  }
+
+  /**
+   * Log a mutating command to the session being recorded
+   */
+  logEvent(type, args) {
+    if (this.session) this.session.record(this.stepsRun, type, args);
+  }
+
+  /**
+   * Prepare to replay a session: adopt its parameters and reset the run
+   * Snapshots are then only taken where the session logged them
+   * @param {Object} params - Parameters at the start of the session
+   */
+  beginReplay(params) {
+    this.session = null;
+    this.setParams(params);
+    if (!this.history) {
+      this.enableHistory({
+        budgetBytes: HISTORY_CONFIG.BUDGET_MB * 1024 * 1024,
+        interval: HISTORY_CONFIG.INTERVAL_STEPS
+      });
+    }
+    this.replaying = true;
+    this.resetRun();
+  }
+
+  endReplay() {
+    this.replaying = false;
+  }
+
+  /**
+   * Reset to a reproducible starting point: step 0, a freshly seeded state,
+   * painted maps replaced by their encoded data, no stamp and a fresh timeline
+   */
+  resetRun() {
+    const paramMaps = { ...this.params.paramMaps };
+    for (const name of PARAM_MAP_KEYS) {
+      const spec = paramMaps[name];
+      const map = this.state.paramMaps[name];
+      if (spec && spec.type === 'data' && !spec.data && map) {
+        paramMaps[name] = encodeParamMapData(map, this.state.W, this.state.H);
+      }
+    }
+    this.params.paramMaps = paramMaps;
+    this.applyParamMaps();
+
+    seedState(this.state, buildSeedField(this.params.seedSpec, this.state.W, this.state.H), this.params);
+    this.stepCount = 0;
+    this.stepsRun = 0;
+    this.simTime = 0;
+    this.stroke = null;
+    this.stamp = null;
+    this.resetStability();
+    this.version++;
+
+    if (this.history) {
+      this.history.clear();
+      this.sessionHistoryBase = this.history.nextId;
+      this.recordHistory('session');
+    }
+  }
+
+  /**
+   * History id of a snapshot numbered relative to the start of the session
+   */
+  sessionHistoryId(offset) {
+    return this.sessionHistoryBase + offset;
+  }
+
+  /**
+   * Keep snapshots of the main state for rewind, undo/redo and branching
+   * @param {{budgetBytes: number, interval: number}} options - See StateHistory
+   * @returns {StateHistory}
+   */
+  enableHistory(options) {
+    this.history = new StateHistory(options);
+    this.recordHistory('start');
+    return this.history;
+  }
+
+  /**
+   * Snapshot the main state unless it is already identical to a snapshot
+   * @param {string} label - Reason shown on the timeline
+   */
+  recordHistory(label) {
+    if (!this.history || this.sweep || this.history.position !== null) return;
+
+    const fields = {};
+    for (const name of HISTORY_FIELDS) {
+      fields[name] = this.state[name];
+    }
+    for (const name of PARAM_MAP_KEYS) {
+      const map = this.state.paramMaps[name];
+      if (map) fields[`map:${name}`] = map;
+    }
+
+    this.history.capture({
+      W: this.state.W,
+      H: this.state.H,
+      step: this.stepCount,
+      time: this.simTime,
+      fields,
+      specs: this.params.paramMaps
+    }, label);
+  }
+
+  /**
+   * Replace the main state with a history snapshot
+   * Scalar parameters are kept, so a restored point can be continued
+   * with different parameters (a new branch)
+   * @param {number} id - Snapshot id
+   */
+  async restoreHistory(id) {
+    if (!this.history) throw new Error('History is not enabled');
+    if (this.sweep) throw new Error('History is not available in sweep mode');
+
+    const snap = await this.history.load(id);
+    if (snap.W !== this.state.W || snap.H !== this.state.H) {
+      throw new Error('Snapshot resolution does not match the grid');
+    }
+
+    for (const name of HISTORY_FIELDS) {
+      this.state[name].set(snap.fields[name]);
+    }
+    for (const name of PARAM_MAP_KEYS) {
+      this.state.paramMaps[name] = snap.fields[`map:${name}`] || null;
+    }
+    this.params.paramMaps = snap.specs;
+
+    this.stepCount = snap.step;
+    this.simTime = snap.time;
+    this.clearStabilityPause();
+    this.version++;
+    this.history.moveTo(id);
+  }
+
+  /**
+   * Jump to a snapshot (timeline scrubbing, branch selection)
+   * The live state is saved first, so nothing is lost by jumping away
+   * @param {number} id - Snapshot id
+   */
+  async seekHistory(id) {
+    this.logEvent('seekHistory', { snapshot: id - this.sessionHistoryBase });
+    if (!this.history || this.sweep) return;
+    this.recordHistory('rewind');
+    await this.restoreHistory(id);
+  }
+
+  /**
+   * Go back to the previous snapshot; the live state is saved first so redo can return to it
+   */
+  async undo() {
+    this.logEvent('undo');
+    if (!this.history || this.sweep) return;
+    this.recordHistory('undo');
+    const target = this.history.undoTarget();
+    if (target !== null) await this.restoreHistory(target);
+  }
+
+  /**
+   * Go forward to the next snapshot on the selected branch
+   */
+  async redo() {
+    this.logEvent('redo');
+    if (!this.history || this.sweep) return;
+    const target = this.history.redoTarget();
+    if (target !== null) await this.restoreHistory(target);
+  }
+
+  /**
+   * Start of a paint stroke: snapshot so the whole stroke can be undone
+   */
+  beginStroke() {
+    this.logEvent('beginStroke');
+    this.recordHistory('paint');
+    this.stroke = null;
+  }
+
+  /**
+   * End of a paint stroke: the next paint call starts a new stroke
+   */
+  endStroke() {
+    this.logEvent('endStroke');
+    this.stroke = null;
+  }
+
+  /**
+   * Copy the region around a point as the stamp for the 'stamp' brush
+   * @param {number} gx - Center x (grid cells)
+   * @param {number} gy - Center y (grid cells)
+   */
+  copyStamp(gx, gy) {
+    this.logEvent('copyStamp', { gx, gy });
+    if (this.sweep) return;
+    this.stamp = captureStamp(this.state, this.params, gx, gy, this.params.brushRadius);
+  }
+
+  /**
+   * Paint the brush at grid coordinates
+   * Within a stroke, dabs are interpolated from the previous point
+   * Mode 'param' paints params.paintParamValue into the params.paintParam map
+   */
+  paint(gx, gy, mode) {
+    this.logEvent('paint', { gx, gy, mode });
+
+    // The main state is not shown while sweeping
+    if (this.sweep) return;
+
+    if (mode === 'param') {
+      const name = this.params.paintParam;
+      this.ensureParamMap(name);
+      // Painted maps are carried by the state buffers, not by a generator spec
+      this.params.paramMaps = { ...this.params.paramMaps, [name]: { type: 'data' } };
+    }
+    const point = { x: gx, y: gy };
+    let offset;
+    if (this.stroke) {
+      offset = paintSegment(this.state, this.params, this.stroke, point, mode, this.stamp, this.stroke.offset);
+    } else {
+      paintBrush(this.state, this.params, gx, gy, mode, this.stamp);
+      offset = brushSpacing(this.params, mode, this.stamp);
+    }
+    this.stroke = { ...point, offset };
+    this.version++;
+    if (this.history) this.history.invalidate();
+  }
+
+  /**
+   * Make sure a parameter map exists, initializing it to the global scalar
+   */
+  ensureParamMap(name) {
+    if (!PARAM_MAP_KEYS.includes(name)) {
+      throw new Error(`Unknown parameter map: ${name}`);
+    }
+    if (!this.state.paramMaps[name]) {
+      this.state.paramMaps[name] = new Float32Array(this.state.N).fill(this.params[name]);
+    }
+  }
+
+  /**
+   * Set or clear the map for one parameter
+   * @param {string} name - One of PARAM_MAP_KEYS
+   * @param {Object|null} spec - Map spec (see param-maps.js), null for uniform
+   */
+  setParamMap(name, spec) {
+    if (!PARAM_MAP_KEYS.includes(name)) {
+      throw new Error(`Unknown parameter map: ${name}`);
+    }
+    this.logEvent('setParamMap', { name, spec });
+    this.recordHistory('param map');
+    this.params.paramMaps = { ...this.params.paramMaps, [name]: spec };
+    this.applyParamMap(name);
+    this.version++;
+    if (this.history) this.history.invalidate();
+  }
+
+  /**
+   * Rebuild every parameter map from params.paramMaps
+   */
+  applyParamMaps() {
+    for (const name of PARAM_MAP_KEYS) {
+      this.applyParamMap(name);
+    }
+  }
+
+  /**
+   * Rebuild one parameter map from its spec
+   * A data spec without payload marks a painted map that lives in the state
+   */
+  applyParamMap(name) {
+    const { W, H } = this.state;
+    const spec = this.params.paramMaps[name];
+
+    if (!spec) {
+      this.state.paramMaps[name] = null;
+    } else if (spec.type === 'data' && !spec.data) {
+      this.ensureParamMap(name);
+    } else {
+      this.state.paramMaps[name] = buildParamMap(spec, W, H);
+    }
+  }
+
+  /**
+   * Reseed the state with the generator of params.seedSpec
+   */
+  seed() {
+    this.logEvent('seed');
+    if (this.sweep) {
+      this.sweep.seed(this.params.seedSpec);
+    } else {
+      this.recordHistory('seed');
+      seedState(this.state, buildSeedField(this.params.seedSpec, this.state.W, this.state.H), this.params);
+      if (this.history) this.history.invalidate();
+    }
+    this.clearStabilityPause();
+    this.version++;
+  }
+
+  /**
+   * Replace U and V with fields of any resolution (resampled to the grid)
+   * The other buffers are reset as by a seed
+   * @param {{W: number, H: number, U: Float32Array, V: Float32Array}} fields
+   */
+  loadFields({ W, H, U, V }) {
+    this.logEvent('loadFields', { W, H, U: Array.from(U), V: Array.from(V) });
+    if (this.sweep) return;
+
+    this.recordHistory('link');
+    clearState(this.state, this.params);
+    this.state.U0.set(resampleField(U, W, H, this.state.W, this.state.H));
+    this.state.V0.set(resampleField(V, W, H, this.state.W, this.state.H));
+    this.clearStabilityPause();
+    this.version++;
+    if (this.history) this.history.invalidate();
+  }
+
+  /**
+   * Clear the state to the rest state of the model (U=1, V=0 for Gray-Scott)
+   */
+  clear() {
+    this.logEvent('clear');
+    if (this.sweep) {
+      this.sweep.clear();
+    } else {
+      this.recordHistory('clear');
+      clearState(this.state, this.params);
+      if (this.history) this.history.invalidate();
+    }
+    this.clearStabilityPause();
+    this.version++;
+  }
+
+  /**
+   * Merge a partial parameter update
+   * The parameter object is mutated in place so the engine sees the change.
+   * Switching the model reseeds, since a state of one model means nothing in another
+   */
+  setParams(patch) {
+    this.logEvent('setParams', { params: patch });
+    const modelChanged = patch.model !== undefined && patch.model !== this.params.model;
+    for (const name of Object.keys(patch)) {
+      if (name in this.automationBase) this.automationBase[name] = patch[name];
+      // A new bound replaces the cap of an earlier rollback
+      delete this.dtCaps[name];
+    }
+    Object.assign(this.params, patch);
+    if (patch.automation !== undefined) this.setAutomation(patch.automation);
+    if (patch.gridW !== undefined || patch.gridH !== undefined) {
+      this.resize(this.params.gridW, this.params.gridH);
+    }
+    if (patch.paramMaps !== undefined) {
+      this.recordHistory('param map');
+      this.applyParamMaps();
+      this.version++;
+      if (this.history) this.history.invalidate();
+    }
+    this.updateSweep();
+    if (modelChanged) this.reseedForModel();
+  }
+
+  /**
+   * Reseed around the rest state of a newly selected model
+   */
+  reseedForModel() {
+    if (this.sweep) {
+      this.sweep.seed(this.params.seedSpec);
+    } else {
+      this.recordHistory('model');
+      seedState(this.state, buildSeedField(this.params.seedSpec, this.state.W, this.state.H), this.params);
+      if (this.history) this.history.invalidate();
+    }
+    this.clearStabilityPause();
+    this.version++;
+  }
+
+  /**
+   * Start, stop or reconfigure the tile-mode parameter sweep
+   * Tiles are recreated when tile mode starts or the tile size changes;
+   * otherwise their parameters are updated and their state is kept
+   */
+  updateSweep() {
+    if (!this.params.tileMode) {
+      if (this.sweep) {
+        this.sweep = null;
+        this.version++;
+      }
+      return;
+    }
+
+    if (!this.sweep || this.sweep.tileSize !== this.params.sweepTileSize) {
+      this.sweep = new ParameterSweep(this.params);
+    } else {
+      this.sweep.updateParams(this.params);
+    }
+    this.version++;
+  }
+
+  /**
+   * Change grid resolution, resampling the current state
+   * Snapshots of the old resolution are discarded
+   */
+  resize(W, H) {
+    this.params.gridW = W;
+    this.params.gridH = H;
+    if (W === this.state.W && H === this.state.H) return;
+
+    this.state.resize(W, H);
+    this.simulation.resize();
+    if (this.history) {
+      this.history.clear();
+      this.recordHistory('resize');
+    }
+
+    // Gradients are rebuilt exactly; data maps were resampled with the state
+    for (const name of PARAM_MAP_KEYS) {
+      const spec = this.params.paramMaps[name];
+      if (spec && spec.type === 'gradient') this.applyParamMap(name);
+    }
+    this.clearStabilityPause();
+    this.version++;
+  }
+
+  /**
+   * Serialize the complete run (all state buffers, step count, params)
+   * @returns {ArrayBuffer} Binary checkpoint (see checkpoint.js)
+   */
+  exportCheckpoint() {
+    const fields = {};
+    for (const name of CHECKPOINT_FIELDS) {
+      fields[name] = this.state[name];
+    }
+    for (const name of PARAM_MAP_KEYS) {
+      const map = this.state.paramMaps[name];
+      if (map) fields[`map:${name}`] = map;
+    }
+
+    return encodeCheckpoint({
+      W: this.state.W,
+      H: this.state.H,
+      step: this.stepCount,
+      time: this.simTime,
+      params: this.baseParams(),
+      fields
+    });
+  }
+
+  /**
+   * Restore a run from a binary checkpoint, replacing params and all buffers
+   * @param {ArrayBuffer} buffer - Checkpoint file contents
+   * @returns {Object} The restored parameters
+   */
+  importCheckpoint(buffer) {
+    if (this.session) this.session.recordCheckpoint(this.stepsRun, buffer);
+    const { W, H, step, time, params, fields } = decodeCheckpoint(buffer);
+    const resized = W !== this.state.W || H !== this.state.H;
+    this.recordHistory('import');
+
+    // Mutate in place: the engine holds a reference to this.params
+    Object.assign(this.params, DEFAULT_PARAMS, params, { gridW: W, gridH: H });
+    this.automationBase = {};
+    this.dtCaps = {};
+    this.params.automation = normalizeAutomation(this.params.automation);
+
+    this.state.allocate(W, H);
+    for (const name of CHECKPOINT_FIELDS) {
+      if (fields[name]) this.state[name].set(fields[name]);
+    }
+    for (const name of PARAM_MAP_KEYS) {
+      this.state.paramMaps[name] = fields[`map:${name}`] || null;
+    }
+    this.simulation.resize();
+
+    this.stepCount = step;
+    this.simTime = time;
+    this.clearStabilityPause();
+    this.version++;
+
+    if (this.history) {
+      if (resized) this.history.clear();
+      else this.history.invalidate();
+    }
+    return { ...this.params };
+  }
+
+  /**
+   * Copy the fields needed for rendering into fresh buffers
+   * The buffers are safe to transfer to another thread
+   * @returns {{W, H, step, time, version, U0, V0, dtMap, Eema, paramMaps, paramMapSpecs, paramScalars,
+   *   speciesRange, dtRange, multirate, imex, automated, stability}} speciesRange holds the model's typical U and V ranges;
+   *   dtRange is [dtMin, dtMax] (over all tiles in sweep mode); multirate is the level use of the
+   *   last multirate step ({overCap, levelsNeeded}) or null; imex is the convergence of the
+   *   last IMEX solve ({iterations, residual, capped}) or null;
+   *   automated holds the current value of each automated parameter; stability is the
+   *   latest stability report ({status: 'ok'|'rolledBack'|'paused', count, step, message,
+   *   cells, params}), count grows with every detected instability
+   */
+  snapshot() {
+    const { W, H, U0, V0, dtMap, Eema } = this.state;
+
+    const paramScalars = {};
+    for (const name of PARAM_MAP_KEYS) {
+      paramScalars[name] = this.params[name];
+    }
+
+    // Tile mode: mosaic of all sweep tiles
+    if (this.sweep) {
+      return {
+        ...this.sweep.snapshot(paramScalars),
+        speciesRange: getModel(this.params).range,
+        dtRange: this.sweep.dtRange(),
+        version: this.version
+      };
+    }
+
+    const paramMaps = {};
+    for (const name of PARAM_MAP_KEYS) {
+      const map = this.state.paramMaps[name];
+      if (map) paramMaps[name] = map.slice();
+    }
+
+    return {
+      W,
+      H,
+      step: this.stepCount,
+      time: this.simTime,
+      version: this.version,
+      U0: U0.slice(),
+      V0: V0.slice(),
+      dtMap: dtMap.slice(),
+      Eema: Eema.slice(),
+      paramMaps,
+      paramMapSpecs: this.params.paramMaps,
+      paramScalars,
+      speciesRange: getModel(this.params).range,
+      dtRange: [this.params.dtMin, this.params.dtMax],
+      multirate: this.simulation.multirateStatus,
+      imex: this.simulation.imexStatus,
+      automated: Object.fromEntries(this.params.automation.tracks.map(track => [track.param, this.params[track.param]])),
+      stability: this.stabilityReport
+    };
+  }
+}
@@ -1,34 +1,106 @@
 /**
- * GrayScottSimulation - Core physics engine for the Gray-Scott reaction-diffusion system
- * with dynamic timestep hierarchy based on local energy
+ * GrayScottSimulation - Core physics engine for two-species reaction-diffusion
+ * systems with dynamic timestep hierarchy based on local energy
+ * The reaction terms come from the model selected by params.model (see models.js);
+ * Gray-Scott is the default
+ *
+ * Diffusion stencils (params.stencil):
+ *   five         5-point Laplacian
+ *   nine         Isotropic 9-point Laplacian (edges 2/3, corners 1/6), which
+ *                removes most of the grid-aligned artifacts of the 5-point stencil
+ *   anisotropic  ∇·(T∇A) with a diffusion tensor T of principal angle anisoAngle
+ *                (degrees, clockwise on screen from +x) and relative rates
+ *                anisoAlong/anisoAcross that scale Du and Dv (each global or per cell)
+ * The wide stencils also use an isotropic 3×3 gradient for the 'grad' energy.
+ *
+ * With params.multirate, cells are stepped on power-of-two dt levels that all
+ * end at the same time (see multirate.js) instead of once with their own dt.
  */
 
-import { GRID_CONFIG } from './config.js';
+import { buildNeighborTables } from './boundary.js';
+import { INTEGRATORS } from './integrators.js';
+import { INTEGRATOR_CONFIG, STABILITY_CONFIG } from './config.js';
+import { getModel } from './models.js';
+import { ENERGY_METRICS } from './energy-metrics.js';
+import { stepMultirate } from './multirate.js';
 
 export class GrayScottSimulation {
   constructor(state, params) {
     this.state = state;
     this.params = params;
-    const { W, H, N } = GRID_CONFIG;
+
+    // Reaction output (du/dt, dv/dt) and gradient (∂x, ∂y) reused for every cell
+    this.reactionOut = new Float64Array(2);
+    this.gradientOut = new Float64Array(2);
+
+    // Health of the last step (see stability.js): NaN/Inf cells, spiking cells,
+    // and the indices of the first offending cells
+    this.nonFiniteCount = 0;
+    this.spikeCount = 0;
+    this.unstableCells = [];
+
+    // Simulated time advanced by the last step
+    this.timeStep = 0;
+    // Level use of the last multirate step ({overCap, levelsNeeded}, see multirate.js)
+    this.multirateStatus = null;
+    // Convergence of the last IMEX solve ({iterations, residual, capped}) or null
+    this.imexStatus = null;
+
+    this.resize();
+  }
+
+  /**
+   * Sync grid dimensions with the state and rebuild lookup tables
+   * Must be called after state.resize()
+   */
+  resize() {
+    const { W, H, N } = this.state;
     this.W = W;
     this.H = H;
     this.N = N;
 
-    // Pre-compute boundary index lookup tables for periodic wrapping
-    // This eliminates 387,200+ modulo operations per step and fixes wrap() bug
-    this.xWrapMinus = new Int32Array(this.W);
-    this.xWrapPlus = new Int32Array(this.W);
-    this.yWrapMinus = new Int32Array(this.H);
-    this.yWrapPlus = new Int32Array(this.H);
+    this.boundaryKey = null;
+    this.updateBoundaryTables();
 
-    for (let x = 0; x < this.W; x++) {
-      this.xWrapMinus[x] = (x - 1 + this.W) % this.W;  // Properly handles x=0 case
-      this.xWrapPlus[x] = (x + 1) % this.W;
-    }
-    for (let y = 0; y < this.H; y++) {
-      this.yWrapMinus[y] = (y - 1 + this.H) % this.H;  // Properly handles y=0 case
-      this.yWrapPlus[y] = (y + 1) % this.H;
+    // Diffusion tensor components (anisotropic stencil), filled by updateTensor
+    this.tensorXX = new Float64Array(N);
+    this.tensorYY = new Float64Array(N);
+    this.tensorXY = new Float64Array(N);
+
+    // Integrator scratch buffers are reallocated lazily at the new size
+    this.scratchBuffers = {};
+  }
+
+  /**
+   * Get a named full-grid scratch buffer (allocated on first use)
+   * Float64 keeps intermediate stages from losing precision
+   */
+  scratch(name) {
+    let buf = this.scratchBuffers[name];
+    if (!buf) {
+      buf = new Float64Array(this.N);
+      this.scratchBuffers[name] = buf;
     }
+    return buf;
+  }
+
+  /**
+   * Rebuild neighbor lookup tables if the boundary modes changed
+   * Pre-computed tables eliminate 387,200+ modulo operations per step;
+   * an entry of -1 marks a Dirichlet ghost cell
+   */
+  updateBoundaryTables() {
+    const { boundaryLeft, boundaryRight, boundaryTop, boundaryBottom } = this.params;
+    const key = `${boundaryLeft}|${boundaryRight}|${boundaryTop}|${boundaryBottom}`;
+    if (key === this.boundaryKey) return;
+    this.boundaryKey = key;
+
+    const xTables = buildNeighborTables(this.W, boundaryLeft, boundaryRight);
+    const yTables = buildNeighborTables(this.H, boundaryTop, boundaryBottom);
+    this.xWrapMinus = xTables.minus;
+    this.xWrapPlus = xTables.plus;
+    this.yWrapMinus = yTables.minus;
+    this.yWrapPlus = yTables.plus;
   }
 
   /**
@@ -53,10 +125,11 @@ export class GrayScottSimulation {
   }
 
   /**
-   * Compute 5-point stencil Laplacian with periodic boundaries
+   * Compute 5-point stencil Laplacian with per-edge boundary conditions
    * ∇²A = A(x-1,y) + A(x+1,y) + A(x,y-1) + A(x,y+1) - 4*A(x,y)
+   * @param {number} bv - Ghost value used at Dirichlet edges
    */
-  laplacian(A, x, y) {
+  laplacian(A, x, y, bv) {
     // Use pre-computed lookup tables instead of wrap() calls
     const xm = this.xWrapMinus[x];
     const xp = this.xWrapPlus[x];
@@ -64,78 +137,231 @@ export class GrayScottSimulation {
     const yp = this.yWrapPlus[y];
 
     const c = A[this.idx(x, y)];
-    const l = A[this.idx(xm, y)];
-    const r = A[this.idx(xp, y)];
-    const u = A[this.idx(x, ym)];
-    const d = A[this.idx(x, yp)];
+    const l = xm < 0 ? bv : A[this.idx(xm, y)];
+    const r = xp < 0 ? bv : A[this.idx(xp, y)];
+    const u = ym < 0 ? bv : A[this.idx(x, ym)];
+    const d = yp < 0 ? bv : A[this.idx(x, yp)];
 
     return l + r + u + d - 4 * c;
   }
 
+  /**
+   * Compute the isotropic 9-point Laplacian with per-edge boundary conditions
+   * ∇²A = [4·(edge neighbors) + (corner neighbors) - 20·A(x,y)] / 6
+   * Corners beyond a Dirichlet edge take the ghost value
+   * @param {number} bv - Ghost value used at Dirichlet edges
+   */
+  laplacianNine(A, x, y, bv) {
+    const W = this.W;
+    const xm = this.xWrapMinus[x];
+    const xp = this.xWrapPlus[x];
+    const ym = this.yWrapMinus[y];
+    const yp = this.yWrapPlus[y];
+
+    const c = A[x + y * W];
+    const l = xm < 0 ? bv : A[xm + y * W];
+    const r = xp < 0 ? bv : A[xp + y * W];
+    const u = ym < 0 ? bv : A[x + ym * W];
+    const d = yp < 0 ? bv : A[x + yp * W];
+    const ul = xm < 0 || ym < 0 ? bv : A[xm + ym * W];
+    const ur = xp < 0 || ym < 0 ? bv : A[xp + ym * W];
+    const dl = xm < 0 || yp < 0 ? bv : A[xm + yp * W];
+    const dr = xp < 0 || yp < 0 ? bv : A[xp + yp * W];
+
+    return (4 * (l + r + u + d) + ul + ur + dl + dr - 20 * c) / 6;
+  }
+
+  /**
+   * Compute the anisotropic diffusion operator ∇·(T∇A) for the tensor of cell i
+   * Txx·∂²A/∂x² + Tyy·∂²A/∂y² + 2·Txy·∂²A/∂x∂y (central differences)
+   * @param {number} bv - Ghost value used at Dirichlet edges
+   */
+  laplacianAniso(A, x, y, i, bv) {
+    const W = this.W;
+    const xm = this.xWrapMinus[x];
+    const xp = this.xWrapPlus[x];
+    const ym = this.yWrapMinus[y];
+    const yp = this.yWrapPlus[y];
+
+    const c = A[i];
+    const l = xm < 0 ? bv : A[xm + y * W];
+    const r = xp < 0 ? bv : A[xp + y * W];
+    const u = ym < 0 ? bv : A[x + ym * W];
+    const d = yp < 0 ? bv : A[x + yp * W];
+    const ul = xm < 0 || ym < 0 ? bv : A[xm + ym * W];
+    const ur = xp < 0 || ym < 0 ? bv : A[xp + ym * W];
+    const dl = xm < 0 || yp < 0 ? bv : A[xm + yp * W];
+    const dr = xp < 0 || yp < 0 ? bv : A[xp + yp * W];
+
+    const axx = l + r - 2 * c;
+    const ayy = u + d - 2 * c;
+    const axy = 0.25 * (dr - ur - dl + ul);
+    return this.tensorXX[i] * axx + this.tensorYY[i] * ayy + 2 * this.tensorXY[i] * axy;
+  }
+
+  /**
+   * Diffusion operator of the selected stencil (Du/Dv are applied by the caller)
+   */
+  diffusionOperator(A, x, y, i, bv, stencil) {
+    if (stencil === 'nine') return this.laplacianNine(A, x, y, bv);
+    if (stencil === 'anisotropic') return this.laplacianAniso(A, x, y, i, bv);
+    return this.laplacian(A, x, y, bv);
+  }
+
+  /**
+   * Negated center weight of the selected stencil at cell i (used by the Jacobi solve)
+   */
+  stencilCenter(i, stencil) {
+    if (stencil === 'nine') return 10 / 3;
+    if (stencil === 'anisotropic') return 2 * (this.tensorXX[i] + this.tensorYY[i]);
+    return 4;
+  }
+
+  /**
+   * Fill the diffusion tensor of every cell from the anisotropy parameters
+   * T = R(θ)·diag(along, across)·R(θ)ᵀ; maps override the global values per cell
+   */
+  updateTensor() {
+    const maps = this.state.paramMaps;
+    const angleMap = maps.anisoAngle;
+    const alongMap = maps.anisoAlong;
+    const acrossMap = maps.anisoAcross;
+    let { anisoAngle, anisoAlong, anisoAcross } = this.params;
+    const { tensorXX, tensorYY, tensorXY } = this;
+
+    for (let i = 0; i < this.N; i++) {
+      if (angleMap) anisoAngle = angleMap[i];
+      if (alongMap) anisoAlong = alongMap[i];
+      if (acrossMap) anisoAcross = acrossMap[i];
+
+      const a = (anisoAngle * Math.PI) / 180;
+      const cs = Math.cos(a);
+      const sn = Math.sin(a);
+      tensorXX[i] = anisoAlong * cs * cs + anisoAcross * sn * sn;
+      tensorYY[i] = anisoAlong * sn * sn + anisoAcross * cs * cs;
+      tensorXY[i] = (anisoAlong - anisoAcross) * sn * cs;
+    }
+  }
+
   /**
    * Compute gradient energy: |∇U|² + |∇V|²
-   * Uses central differences for gradient
+   * Uses central differences for gradient, honoring boundary conditions
    */
   gradEnergy(U, V, x, y) {
+    if (this.params.stencil !== 'five') return this.gradEnergyIsotropic(U, V, x, y);
+
     // Use pre-computed lookup tables instead of wrap() calls
     const xm = this.xWrapMinus[x];
     const xp = this.xWrapPlus[x];
     const ym = this.yWrapMinus[y];
     const yp = this.yWrapPlus[y];
 
-    const ux = 0.5 * (U[this.idx(xp, y)] - U[this.idx(xm, y)]);
-    const uy = 0.5 * (U[this.idx(x, yp)] - U[this.idx(x, ym)]);
-    const vx = 0.5 * (V[this.idx(xp, y)] - V[this.idx(xm, y)]);
-    const vy = 0.5 * (V[this.idx(x, yp)] - V[this.idx(x, ym)]);
+    // Dirichlet ghost cells take the fixed boundary values
+    const { dirichletU: bu, dirichletV: bv } = this.params;
+    const ul = xm < 0 ? bu : U[this.idx(xm, y)];
+    const ur = xp < 0 ? bu : U[this.idx(xp, y)];
+    const uu = ym < 0 ? bu : U[this.idx(x, ym)];
+    const ud = yp < 0 ? bu : U[this.idx(x, yp)];
+    const vl = xm < 0 ? bv : V[this.idx(xm, y)];
+    const vr = xp < 0 ? bv : V[this.idx(xp, y)];
+    const vu = ym < 0 ? bv : V[this.idx(x, ym)];
+    const vd = yp < 0 ? bv : V[this.idx(x, yp)];
+
+    const ux = 0.5 * (ur - ul);
+    const uy = 0.5 * (ud - uu);
+    const vx = 0.5 * (vr - vl);
+    const vy = 0.5 * (vd - vu);
 
     return ux * ux + uy * uy + vx * vx + vy * vy;
   }
 
   /**
-   * Compute energy field based on selected metric
-   * Supports: 'react' (U*V²), 'grad' (|∇U|²+|∇V|²), 'time' (|dU|+|dV|), 'mix' (weighted combination)
+   * Gradient energy with the isotropic 3×3 gradient that matches the wide stencils
+   * ∂A/∂x = [4·(r - l) + (ur - ul) + (dr - dl)] / 12, likewise for y
    */
-  computeEnergy(U, V) {
-    const { energyMode, mixAlpha, emaAlpha } = this.params;
-    const { Eraw, Eema, dtMap, dU, dV } = this.state;
-    const N = this.N;
+  gradEnergyIsotropic(U, V, x, y) {
+    const { dirichletU, dirichletV } = this.params;
+    const g = this.gradientOut;
+    this.isotropicGradient(U, x, y, dirichletU, g);
+    let energy = g[0] * g[0] + g[1] * g[1];
+    this.isotropicGradient(V, x, y, dirichletV, g);
+    energy += g[0] * g[0] + g[1] * g[1];
+    return energy;
+  }
 
-    // Fill Eraw from selected metric
-    if (energyMode === 'react') {
-      for (let i = 0; i < N; i++) {
-        const u = U[i];
-        const v = V[i];
-        Eraw[i] = u * v * v; // U*V²
-      }
-    } else if (energyMode === 'time') {
-      for (let i = 0; i < N; i++) {
-        Eraw[i] = Math.abs(dU[i]) + Math.abs(dV[i]);
-      }
-    } else if (energyMode === 'grad') {
-      for (let y = 0; y < this.H; y++) {
-        for (let x = 0; x < this.W; x++) {
-          Eraw[this.idx(x, y)] = this.gradEnergy(U, V, x, y);
-        }
-      }
-    } else if (energyMode === 'mix') {
-      // Mix of react + grad (fused single loop for better cache locality)
-      const a = mixAlpha;
-      const ia = 1 - a;
+  /**
+   * Isotropic 3×3 gradient of one field, honoring boundary conditions
+   * Writes ∂A/∂x and ∂A/∂y into out[0], out[1]
+   */
+  isotropicGradient(A, x, y, bv, out) {
+    const W = this.W;
+    const xm = this.xWrapMinus[x];
+    const xp = this.xWrapPlus[x];
+    const ym = this.yWrapMinus[y];
+    const yp = this.yWrapPlus[y];
 
-      // Single fused loop: compute both metrics and mix immediately
-      for (let y = 0; y < this.H; y++) {
-        for (let x = 0; x < this.W; x++) {
-          const i = this.idx(x, y);
-          const u = U[i];
-          const v = V[i];
+    const l = xm < 0 ? bv : A[xm + y * W];
+    const r = xp < 0 ? bv : A[xp + y * W];
+    const u = ym < 0 ? bv : A[x + ym * W];
+    const d = yp < 0 ? bv : A[x + yp * W];
+    const ul = xm < 0 || ym < 0 ? bv : A[xm + ym * W];
+    const ur = xp < 0 || ym < 0 ? bv : A[xp + ym * W];
+    const dl = xm < 0 || yp < 0 ? bv : A[xm + yp * W];
+    const dr = xp < 0 || yp < 0 ? bv : A[xp + yp * W];
+
+    out[0] = (4 * (r - l) + (ur - ul) + (dr - dl)) / 12;
+    out[1] = (4 * (d - u) + (dl - ul) + (dr - ur)) / 12;
+  }
 
-          const reactEnergy = u * v * v;
-          const gradEnergy = this.gradEnergy(U, V, x, y);
+  /**
+   * Gradient of one field, consistent with the 'grad' energy: central
+   * differences for the 5-point stencil, the isotropic 3×3 gradient otherwise
+   * Writes ∂A/∂x and ∂A/∂y into out[0], out[1]
+   */
+  gradient(A, x, y, bv, out) {
+    if (this.params.stencil !== 'five') {
+      this.isotropicGradient(A, x, y, bv, out);
+      return;
+    }
 
-          Eraw[i] = a * reactEnergy + ia * gradEnergy;
-        }
-      }
+    const W = this.W;
+    const xm = this.xWrapMinus[x];
+    const xp = this.xWrapPlus[x];
+    const ym = this.yWrapMinus[y];
+    const yp = this.yWrapPlus[y];
+
+    out[0] = 0.5 * ((xp < 0 ? bv : A[xp + y * W]) - (xm < 0 ? bv : A[xm + y * W]));
+    out[1] = 0.5 * ((yp < 0 ? bv : A[x + yp * W]) - (ym < 0 ? bv : A[x + ym * W]));
+  }
+
+  /**
+   * Current values of the model's reaction parameters
+   * @returns {{p: Object, mapped: Array<[string, Float32Array]>}} Scalar values, and
+   *   the parameters with per-cell maps (their entry in p is overwritten per cell)
+   */
+  reactionParams(model) {
+    const p = {};
+    const mapped = [];
+    for (const key of Object.keys(model.params)) {
+      p[key] = this.params[key];
+      const map = this.state.paramMaps[key];
+      if (map) mapped.push([key, map]);
     }
+    return { p, mapped };
+  }
+
+  /**
+   * Compute energy field based on the metric selected by params.energyMode
+   * (see energy-metrics.js), smoothed over time with the EMA
+   */
+  computeEnergy(U, V) {
+    const { energyMode, emaAlpha } = this.params;
+    const { Eraw, Eema } = this.state;
+    const N = this.N;
+
+    // Fill Eraw from selected metric
+    const metric = ENERGY_METRICS[energyMode] || ENERGY_METRICS.react;
+    metric.fill(this, U, V, Eraw);
 
     // Apply EMA smoothing: Eema = α*Eema + (1-α)*Eraw
     const a = emaAlpha;
@@ -176,55 +402,214 @@ export class GrayScottSimulation {
   }
 
   /**
-   * Perform one simulation step using Euler integration
-   * Gray-Scott equations:
-   *   du/dt = Du*∇²u - u*v² + F*(1-u)
-   *   dv/dt = Dv*∇²v + u*v² - (F+K)*v
-   *
-   * Uses local dynamic timestep dt(x,y) from dtMap
+   * Evaluate the right-hand side of the reaction-diffusion equations for every cell
+   *   du/dt = Du*∇²u + Ru(u, v)
+   *   dv/dt = Dv*∇²v + Rv(u, v)
+   * with the reaction terms of the selected model (Gray-Scott: Ru = -u*v² + F*(1-u),
+   * Rv = u*v² - (F+K)*v) and ∇² from the selected stencil. Du, Dv and mapped
+   * reaction parameters (F, K) come from the per-cell parameter maps where present
+   * @param {boolean} diffusion - Include the diffusion terms (false for IMEX reaction part)
    */
-  stepOnce() {
-    const { Du, Dv, F, K } = this.params;
-    const { U0, V0, U1, V1, dU, dV } = this.state;
+  computeRates(U, V, outU, outV, diffusion = true) {
+    const { dirichletU, dirichletV, stencil } = this.params;
+    const maps = this.state.paramMaps;
+    const Dum = maps.Du;
+    const Dvm = maps.Dv;
+    let { Du, Dv } = this.params;
 
-    // Compute energy and build dt map from current state
-    this.computeEnergy(U0, V0);
-    this.buildDtMap();
+    const model = getModel(this.params);
+    const { p, mapped } = this.reactionParams(model);
+    const out = this.reactionOut;
 
-    // Euler integration with local timestep
     for (let y = 0; y < this.H; y++) {
       for (let x = 0; x < this.W; x++) {
         const i = this.idx(x, y);
-        const u = U0[i];
-        const v = V0[i];
 
-        const Lu = this.laplacian(U0, x, y);
-        const Lv = this.laplacian(V0, x, y);
+        for (let m = 0; m < mapped.length; m++) {
+          p[mapped[m][0]] = mapped[m][1][i];
+        }
+
+        // Reaction terms
+        model.reaction(U[i], V[i], p, out);
+        let du_dt = out[0];
+        let dv_dt = out[1];
+
+        if (diffusion) {
+          if (Dum) Du = Dum[i];
+          if (Dvm) Dv = Dvm[i];
+          du_dt += Du * this.diffusionOperator(U, x, y, i, dirichletU, stencil);
+          dv_dt += Dv * this.diffusionOperator(V, x, y, i, dirichletV, stencil);
+        }
+
+        outU[i] = du_dt;
+        outV[i] = dv_dt;
+      }
+    }
+  }
+
+  /**
+   * computeRates for a subset of cells (multirate substeps)
+   * @param {Int32Array} cells - Cell indices; cells[from..to) are evaluated
+   */
+  computeRatesAt(U, V, outU, outV, cells, from, to) {
+    const { dirichletU, dirichletV, stencil } = this.params;
+    const maps = this.state.paramMaps;
+    const Dum = maps.Du;
+    const Dvm = maps.Dv;
+    let { Du, Dv } = this.params;
+
+    const model = getModel(this.params);
+    const { p, mapped } = this.reactionParams(model);
+    const out = this.reactionOut;
+    const W = this.W;
+
+    for (let c = from; c < to; c++) {
+      const i = cells[c];
+      const x = i % W;
+      const y = (i - x) / W;
+
+      for (let m = 0; m < mapped.length; m++) {
+        p[mapped[m][0]] = mapped[m][1][i];
+      }
 
-        const uvv = u * v * v;
+      model.reaction(U[i], V[i], p, out);
+      if (Dum) Du = Dum[i];
+      if (Dvm) Dv = Dvm[i];
+      outU[i] = out[0] + Du * this.diffusionOperator(U, x, y, i, dirichletU, stencil);
+      outV[i] = out[1] + Dv * this.diffusionOperator(V, x, y, i, dirichletV, stencil);
+    }
+  }
 
-        // Gray-Scott reaction terms
-        const du_dt = Du * Lu - uvv + F * (1 - u);
-        const dv_dt = Dv * Lv + uvv - (F + K) * v;
+  /**
+   * Solve (I - dt·D·∇²) X = B for U and V with Jacobi iterations
+   * Uses the local timestep dt(x,y) from dtMap; the convergence of the
+   * slower of the two solves is kept in imexStatus
+   */
+  solveImplicitDiffusion(bU, bV, outU, outV, dtMap) {
+    const { Du, Dv, dirichletU, dirichletV } = this.params;
+    const maps = this.state.paramMaps;
+    const u = this.jacobiDiffusion(bU, outU, Du, maps.Du, dirichletU, dtMap, this.scratch('jacobiU'));
+    const v = this.jacobiDiffusion(bV, outV, Dv, maps.Dv, dirichletV, dtMap, this.scratch('jacobiV'));
+    const status = u.iterations >= v.iterations ? u : v;
+    this.imexStatus = { ...status, capped: status.residual > INTEGRATOR_CONFIG.IMEX_TOLERANCE };
+  }
 
-        const dt = this.state.dtMap[i];
+  /**
+   * Jacobi sweeps for a single field: x ← (b + dt·D·Σneighbors(x)) / (1 + c·dt·D)
+   * where Σneighbors is the off-center part of the stencil and c its negated center weight
+   * (4 for the 5-point stencil). Sweeps stop once the max-norm residual
+   * |b - (I - dt·D·∇²)x| = (1 + c·dt·D)·|x_new - x| reaches INTEGRATOR_CONFIG.IMEX_TOLERANCE,
+   * or after IMEX_MAX_ITERATIONS sweeps
+   * @param {number} D - Global diffusion rate
+   * @param {Float32Array|null} Dmap - Per-cell diffusion rates (overrides D)
+   * @returns {{iterations: number, residual: number}} Residual of the last swept iterate
+   */
+  jacobiDiffusion(b, out, D, Dmap, bv, dtMap, tmp) {
+    const { IMEX_TOLERANCE, IMEX_MAX_ITERATIONS } = INTEGRATOR_CONFIG;
+    const { stencil } = this.params;
+    let src = tmp;
+    let dst = out;
+    let iterations = 0;
+    let residual = Infinity;
+
+    src.set(b);
+    while (iterations < IMEX_MAX_ITERATIONS && residual > IMEX_TOLERANCE) {
+      residual = 0;
+      for (let y = 0; y < this.H; y++) {
+        for (let x = 0; x < this.W; x++) {
+          const i = this.idx(x, y);
+          const a = dtMap[i] * (Dmap ? Dmap[i] : D);
+          const c = this.stencilCenter(i, stencil);
+          // Σneighbors = ∇²x + c·x(i)
+          const sum = this.diffusionOperator(src, x, y, i, bv, stencil) + c * src[i];
+          dst[i] = (b[i] + a * sum) / (1 + c * a);
+          const r = Math.abs(dst[i] - src[i]) * (1 + c * a);
+          if (r > residual) residual = r;
+        }
+      }
+      const t = src;
+      src = dst;
+      dst = t;
+      iterations++;
+    }
 
-        const un = u + dt * du_dt;
-        const vn = v + dt * dv_dt;
+    // Result lives in src after the final swap
+    if (src !== out) out.set(src);
+    return { iterations, residual };
+  }
 
-        U1[i] = this.clamp(un, 0, 1);
-        V1[i] = this.clamp(vn, 0, 1);
+  /**
+   * Perform one simulation step with the selected integrator
+   * (see INTEGRATORS: Euler, Heun/RK2, RK4, IMEX)
+   *
+   * Uses local dynamic timestep dt(x,y) from dtMap. Cells that became NaN/Inf
+   * or overshot the species range are counted before clamping (see stability.js)
+   */
+  stepOnce() {
+    const { clampState } = this.params;
+    const [[loU, hiU], [loV, hiV]] = getModel(this.params).range;
+    const marginU = STABILITY_CONFIG.SPIKE_MARGIN * (hiU - loU);
+    const marginV = STABILITY_CONFIG.SPIKE_MARGIN * (hiV - loV);
+    const spikeLoU = loU - marginU;
+    const spikeHiU = hiU + marginU;
+    const spikeLoV = loV - marginV;
+    const spikeHiV = hiV + marginV;
+    this.nonFiniteCount = 0;
+    this.spikeCount = 0;
+    this.unstableCells.length = 0;
+    const { U0, V0, U1, V1, dU, dV, dtMap } = this.state;
+
+    this.updateBoundaryTables();
+    if (this.params.stencil === 'anisotropic') this.updateTensor();
 
-        // Store activity for time-based energy metric
-        dU[i] = U1[i] - u;
-        dV[i] = V1[i] - v;
+    // Compute energy and build dt map from current state
+    this.computeEnergy(U0, V0);
+    this.buildDtMap();
+
+    this.imexStatus = null;
+    if (this.params.multirate) {
+      this.timeStep = stepMultirate(this, U0, V0, U1, V1, dtMap);
+    } else {
+      this.multirateStatus = null;
+      const integrator = INTEGRATORS[this.params.integrator] || INTEGRATORS.euler;
+      integrator.step(this, U0, V0, U1, V1, dtMap);
+
+      // Simulated time advances by the mean cell timestep
+      let sum = 0;
+      for (let i = 0; i < this.N; i++) sum += dtMap[i];
+      this.timeStep = sum / this.N;
+    }
+
+    for (let i = 0; i < this.N; i++) {
+      // Comparisons with NaN are false, so NaN also takes this branch
+      if (!(U1[i] >= spikeLoU && U1[i] <= spikeHiU && V1[i] >= spikeLoV && V1[i] <= spikeHiV)) {
+        this.recordUnstableCell(i, U1[i], V1[i]);
+      }
+
+      // Optional clamping to the model's species ranges, [0,1] for Gray-Scott (disable to expose instability)
+      if (clampState) {
+        U1[i] = this.clamp(U1[i], loU, hiU);
+        V1[i] = this.clamp(V1[i], loV, hiV);
       }
+
+      // Store activity for time-based energy metric
+      dU[i] = U1[i] - U0[i];
+      dV[i] = V1[i] - V0[i];
     }
 
     // Swap buffers
     this.state.swap();
   }
 
+  /**
+   * Count a cell that became NaN/Inf or spiked in this step
+   */
+  recordUnstableCell(i, u, v) {
+    if (Number.isFinite(u) && Number.isFinite(v)) this.spikeCount++;
+    else this.nonFiniteCount++;
+    if (this.unstableCells.length < STABILITY_CONFIG.MAX_REPORTED_CELLS) this.unstableCells.push(i);
+  }
+
   /**
    * Update simulation parameters
    */
@@ -0,0 +1,83 @@
+/**
+ * Numerical stability analysis and monitoring (DOM-free)
+ *
+ * Explicit integrators are only stable for diffusion while
+ *   dt · D · ρ ≤ S
+ * where D is the largest diffusion rate, ρ the spectral radius of the
+ * diffusion stencil and S the extent of the integrator's stability region
+ * (INTEGRATORS[name].stability). Since every cell's dt is at most dtMax, the
+ * bound on dtMax is S / (D · ρ). Reaction stiffness is not part of the bound.
+ * Multirate mode takes Euler substeps of at most the macro step max(dt) ≤ dtMax,
+ * so the Euler bound applies there too; cells capped at the finest level may
+ * substep beyond their own dt (see multirate.js), which the bound still covers.
+ *
+ * During stepping, GrayScottSimulation.stepOnce reports cells that became
+ * NaN/Inf or overshot the model's range for U or V by more than
+ * STABILITY_CONFIG.SPIKE_MARGIN of its width (with clamping on, such cells
+ * would otherwise saturate silently); SimulationHost then rolls back or
+ * pauses according to params.stabilityAction.
+ */
+
+import { INTEGRATORS } from './integrators.js';
+import { STABILITY_CONFIG } from './config.js';
+
+export const STABILITY_ACTIONS = Object.freeze(['rollback', 'pause', 'off']);
+
+/**
+ * Spectral radius of the diffusion stencil (largest |eigenvalue| of the discrete operator)
+ * The anisotropic bound uses the global rates: Txx + Tyy = along + across, |Txy| ≤ |along - across| / 2
+ */
+export function stencilSpectralRadius(params) {
+  if (params.stencil === 'nine') return 16 / 3;
+  if (params.stencil === 'anisotropic') {
+    return 4 * (params.anisoAlong + params.anisoAcross) + Math.abs(params.anisoAlong - params.anisoAcross);
+  }
+  return 8;
+}
+
+/**
+ * Largest stable dtMax for explicit diffusion
+ * @param {Object} params - Simulation parameters
+ * @param {Object} [maps] - Per-cell Du/Dv maps (their maxima count as the rates)
+ * @returns {{dtLimit: number, ok: boolean}} dtLimit is Infinity for implicit diffusion
+ */
+export function diffusionStability(params, maps = {}) {
+  const integrator = (!params.multirate && INTEGRATORS[params.integrator]) || INTEGRATORS.euler;
+  let D = Math.max(params.Du, params.Dv);
+  for (const map of [maps.Du, maps.Dv]) {
+    if (!map) continue;
+    for (let i = 0; i < map.length; i++) {
+      if (map[i] > D) D = map[i];
+    }
+  }
+
+  const rate = D * stencilSpectralRadius(params);
+  const dtLimit = rate > 0 ? integrator.stability / rate : Infinity;
+  return { dtLimit, ok: params.dtMax <= dtLimit };
+}
+
+/**
+ * Describe a stability bound for the UI
+ * @returns {string} Empty when the settings are stable
+ */
+export function describeStability({ dtLimit, ok }, dtMax) {
+  if (ok) return '';
+  return `dt_max ${dtMax} exceeds the explicit diffusion limit ${dtLimit.toFixed(3)}; ` +
+    'use a smaller dt_max, lower Du/Dv or the IMEX integrator';
+}
+
+/**
+ * dt bounds for a retry after a blow-up
+ * Uses a safety fraction of the diffusion limit, or halves dtMax when the
+ * limit is not the cause (already satisfied or implicit diffusion). Bounds are
+ * rounded down to the 0.001 resolution of the dt inputs.
+ * @returns {{dtMin: number, dtMax: number}}
+ */
+export function reducedTimestep(params, maps) {
+  const { dtLimit } = diffusionStability(params, maps);
+  let dtMax = params.dtMax * 0.5;
+  if (dtLimit < params.dtMax) dtMax = Math.min(dtMax, dtLimit * STABILITY_CONFIG.DT_SAFETY);
+  dtMax = Math.max(Math.floor(dtMax * 1000) / 1000, 0.002);
+  const dtMin = Math.max(Math.min(params.dtMin, Math.floor(dtMax * 500) / 1000), 0.001);
+  return { dtMin, dtMax };
+}
@@ -1,5 +1,5 @@
 /**
- * SimulationState - Manages all Float32Array buffers for the Gray-Scott simulation
+ * SimulationState - Manages all Float32Array buffers for the reaction-diffusion simulation
  *
  * Buffers:
  * - U0, V0: Current state (ping)
@@ -7,13 +7,67 @@
  * - Eraw, Eema: Raw and EMA-smoothed energy
  * - dtMap: Dynamic timestep map
  * - dU, dV: Activity change buffers (for time-based energy metric)
+ * - paramMaps: Optional per-cell parameter maps, see param-maps.js (null = uniform parameter)
  */
 
 import { GRID_CONFIG } from './config.js';
 
+/**
+ * Bilinearly resample a W×H field to a new resolution
+ * Uses cell-centered coordinates so the field keeps its alignment
+ */
+export function resampleField(src, srcW, srcH, dstW, dstH) {
+  const dst = new Float32Array(dstW * dstH);
+  const sx = srcW / dstW;
+  const sy = srcH / dstH;
+
+  for (let y = 0; y < dstH; y++) {
+    let fy = (y + 0.5) * sy - 0.5;
+    if (fy < 0) fy = 0;
+    if (fy > srcH - 1) fy = srcH - 1;
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(y0 + 1, srcH - 1);
+    const ty = fy - y0;
+
+    for (let x = 0; x < dstW; x++) {
+      let fx = (x + 0.5) * sx - 0.5;
+      if (fx < 0) fx = 0;
+      if (fx > srcW - 1) fx = srcW - 1;
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(x0 + 1, srcW - 1);
+      const tx = fx - x0;
+
+      const a = src[x0 + y0 * srcW];
+      const b = src[x1 + y0 * srcW];
+      const c = src[x0 + y1 * srcW];
+      const d = src[x1 + y1 * srcW];
+
+      const top = a + (b - a) * tx;
+      const bottom = c + (d - c) * tx;
+      dst[x + y * dstW] = top + (bottom - top) * ty;
+    }
+  }
+
+  return dst;
+}
+
 export class SimulationState {
-  constructor() {
-    const { W, H, N } = GRID_CONFIG;
+  /**
+   * @param {number} W - Grid width (defaults to GRID_CONFIG.W)
+   * @param {number} H - Grid height (defaults to GRID_CONFIG.H)
+   */
+  constructor(W = GRID_CONFIG.W, H = GRID_CONFIG.H) {
+    this.allocate(W, H);
+
+    // Initialize with default seed
+    this.seed();
+  }
+
+  /**
+   * Allocate all buffers for a W×H grid
+   */
+  allocate(W, H) {
+    const N = W * H;
     this.W = W;
     this.H = H;
     this.N = N;
@@ -33,8 +87,33 @@ export class SimulationState {
     this.dU = new Float32Array(N);
     this.dV = new Float32Array(N);
 
-    // Initialize with default seed
-    this.seed();
+    // Spatially varying parameter maps (allocated on demand)
+    this.paramMaps = { F: null, K: null, Du: null, Dv: null, anisoAngle: null, anisoAlong: null, anisoAcross: null };
+  }
+
+  /**
+   * Change grid resolution, resampling the current state to the new size
+   * U0/V0/Eema/dtMap and parameter maps are resampled bilinearly; scratch buffers are reset
+   * @param {number} W - New grid width
+   * @param {number} H - New grid height
+   */
+  resize(W, H) {
+    if (W === this.W && H === this.H) return;
+
+    const { W: oldW, H: oldH, U0, V0, Eema, dtMap, paramMaps } = this;
+    this.allocate(W, H);
+
+    this.U0 = resampleField(U0, oldW, oldH, W, H);
+    this.V0 = resampleField(V0, oldW, oldH, W, H);
+    this.Eema = resampleField(Eema, oldW, oldH, W, H);
+    this.dtMap = resampleField(dtMap, oldW, oldH, W, H);
+
+    for (const [name, map] of Object.entries(paramMaps)) {
+      if (map) this.paramMaps[name] = resampleField(map, oldW, oldH, W, H);
+    }
+
+    this.U1.set(this.U0);
+    this.V1.set(this.V0);
   }
 
   /**
@@ -54,21 +133,26 @@ export class SimulationState {
 
   /**
    * Seed the simulation with a disturbed patch of V
-   * Start near U=1, V=0 with a central square of V=1
+   * Start near U=1, V=0 with a central square of V=1, or with
+   * rest + field·perturb when a generated field is given (see seeds.js);
+   * the defaults are Gray-Scott's, giving V = field and U = 1 - field
+   * @param {Float32Array} [field] - W×H values in [0, 1]
+   * @param {number[]} [rest] - Rest state [u, v] of the model (see models.js)
+   * @param {number[]} [perturb] - Change [du, dv] of a fully seeded cell
    */
-  seed() {
+  seed(field = null, rest = [1, 0], perturb = [-1, 1]) {
     const { W, H } = this;
 
-    // Initialize to stable state (U=1, V=0)
-    this.U0.fill(1);
-    this.V0.fill(0);
-    this.U1.fill(1);
-    this.V1.fill(0);
-    this.Eraw.fill(0);
-    this.Eema.fill(0);
-    this.dtMap.fill(1.5); // dtMax default
-    this.dU.fill(0);
-    this.dV.fill(0);
+    // Initialize to the stable state
+    this.clear(rest);
+
+    if (field) {
+      for (let i = 0; i < this.N; i++) {
+        this.U0[i] = rest[0] + field[i] * perturb[0];
+        this.V0[i] = rest[1] + field[i] * perturb[1];
+      }
+      return;
+    }
 
     // Add central disturbance (25x25 square of V)
     const cx = Math.floor(W / 2);
@@ -84,13 +168,14 @@ export class SimulationState {
   }
 
   /**
-   * Clear all buffers to stable state (U=1, V=0)
+   * Clear all buffers to the stable state
+   * @param {number[]} [rest] - Rest state [u, v] (Gray-Scott's U=1, V=0 by default)
    */
-  clear() {
-    this.U0.fill(1);
-    this.V0.fill(0);
-    this.U1.fill(1);
-    this.V1.fill(0);
+  clear(rest = [1, 0]) {
+    this.U0.fill(rest[0]);
+    this.V0.fill(rest[1]);
+    this.U1.fill(rest[0]);
+    this.V1.fill(rest[1]);
     this.Eraw.fill(0);
     this.Eema.fill(0);
     this.dtMap.fill(1.5); // dtMax default
@@ -0,0 +1,157 @@
+/**
+ * Field statistics and their history over simulation steps (DOM-free)
+ * Per frame: mean/variance of U and V, fraction of cells with V above a
+ * threshold, total/peak smoothed energy (Eema) and a histogram of dtMap;
+ * samples may also carry a pattern analysis result (see pattern-analysis.js)
+ */
+
+// Scalar series in display/CSV order
+export const STAT_SERIES = Object.freeze([
+  { key: 'meanU', label: 'mean U' },
+  { key: 'varU', label: 'var U' },
+  { key: 'meanV', label: 'mean V' },
+  { key: 'varV', label: 'var V' },
+  { key: 'coverage', label: 'V > thr' },
+  { key: 'energyTotal', label: 'ΣE' },
+  { key: 'energyPeak', label: 'max E' }
+]);
+
+export const DT_HISTOGRAM_BINS = 16;
+
+// Pattern analysis columns (filled on samples that carry a `pattern` result)
+const PATTERN_COLUMNS = Object.freeze([
+  'patternClass', 'components', 'meanComponentSize', 'largestComponent',
+  'wavelength', 'anisotropy', 'orientation'
+]);
+
+/**
+ * Mean and (population) variance of a field
+ */
+function meanVariance(A) {
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < A.length; i++) {
+    const a = A[i];
+    sum += a;
+    sumSq += a * a;
+  }
+  const mean = sum / A.length;
+  return { mean, variance: Math.max(0, sumSq / A.length - mean * mean) };
+}
+
+/**
+ * Compute statistics of one frame
+ * @param {Object} frame - Snapshot with U0, V0, dtMap, Eema (and step/time when available)
+ * @param {{threshold: number, dtMin: number, dtMax: number}} options
+ *   threshold - V level counted as "covered"; dtMin/dtMax - histogram range
+ * @returns {Object} Scalar statistics plus dtHistogram (cell fractions per bin)
+ */
+export function computeFrameStats(frame, options) {
+  const { U0, V0, dtMap, Eema } = frame;
+  const N = V0.length;
+
+  const u = meanVariance(U0);
+  const v = meanVariance(V0);
+
+  let covered = 0;
+  for (let i = 0; i < N; i++) {
+    if (V0[i] > options.threshold) covered++;
+  }
+
+  let energyTotal = 0;
+  let energyPeak = -Infinity;
+  for (let i = 0; i < N; i++) {
+    const e = Eema[i];
+    energyTotal += e;
+    if (e > energyPeak) energyPeak = e;
+  }
+
+  // dt histogram over [dtMin, dtMax] (values outside land in the end bins)
+  const dtHistogram = new Float64Array(DT_HISTOGRAM_BINS);
+  const span = options.dtMax - options.dtMin;
+  for (let i = 0; i < N; i++) {
+    let bin = Math.floor(((dtMap[i] - options.dtMin) / span) * DT_HISTOGRAM_BINS);
+    bin = bin < 0 ? 0 : bin >= DT_HISTOGRAM_BINS ? DT_HISTOGRAM_BINS - 1 : bin;
+    dtHistogram[bin]++;
+  }
+  for (let b = 0; b < DT_HISTOGRAM_BINS; b++) dtHistogram[b] /= N;
+
+  return {
+    step: frame.step,
+    time: frame.time,
+    meanU: u.mean,
+    varU: u.variance,
+    meanV: v.mean,
+    varV: v.variance,
+    coverage: covered / N,
+    energyTotal,
+    energyPeak,
+    dtMin: options.dtMin,
+    dtMax: options.dtMax,
+    dtHistogram
+  };
+}
+
+export class StatisticsHistory {
+  /**
+   * @param {number} capacity - Maximum number of samples kept (oldest dropped first)
+   */
+  constructor(capacity = 10000) {
+    this.capacity = capacity;
+    this.samples = [];
+  }
+
+  /**
+   * Append a sample; a step counter that went backwards (reseed, import,
+   * rewind) starts a new run, so the history is cleared first
+   */
+  push(sample) {
+    const last = this.latest;
+    if (last && sample.step !== undefined && sample.step < last.step) {
+      this.clear();
+    }
+    this.samples.push(sample);
+    if (this.samples.length > this.capacity) {
+      this.samples.splice(0, this.samples.length - this.capacity);
+    }
+  }
+
+  clear() {
+    this.samples = [];
+  }
+
+  get latest() {
+    return this.samples.length ? this.samples[this.samples.length - 1] : null;
+  }
+
+  /**
+   * Values of one scalar series, optionally limited to the last `count` samples
+   */
+  series(key, count = this.samples.length) {
+    return this.samples.slice(-count).map(s => s[key]);
+  }
+
+  /**
+   * Serialize the history as CSV (one row per sample, dt histogram as fractions)
+   */
+  toCSV() {
+    const format = (x) => {
+      if (typeof x === 'string') return x;
+      return x === undefined || !isFinite(x) ? '' : String(x);
+    };
+    const header = ['step', 'time', ...STAT_SERIES.map(s => s.key)];
+    for (let b = 0; b < DT_HISTOGRAM_BINS; b++) header.push(`dtBin${b}`);
+    header.push('dtMin', 'dtMax', ...PATTERN_COLUMNS);
+
+    const rows = [header.join(',')];
+    for (const s of this.samples) {
+      const row = [format(s.step), format(s.time)];
+      for (const { key } of STAT_SERIES) row.push(format(s[key]));
+      for (let b = 0; b < DT_HISTOGRAM_BINS; b++) row.push(format(s.dtHistogram[b]));
+      row.push(format(s.dtMin), format(s.dtMax));
+      for (const key of PATTERN_COLUMNS) row.push(format(s.pattern ? s.pattern[key] : undefined));
+      rows.push(row.join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+}
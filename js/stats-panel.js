@@ -0,0 +1,144 @@
+/**
+ * StatsPanel - Draws scrolling sparklines of the statistics history
+ * and a bar chart of the latest dtMap histogram on one canvas
+ */
+
+import { STAT_SERIES, DT_HISTOGRAM_BINS } from './statistics.js';
+
+const ROW_HEIGHT = 30;       // CSS px per sparkline row
+const HISTOGRAM_HEIGHT = 64; // CSS px for the dt histogram
+const LABEL_WIDTH = 112;     // CSS px reserved for label + value text
+const VISIBLE_SAMPLES = 240; // Samples shown in each sparkline
+
+/**
+ * Compact number formatting for panel labels
+ */
+function formatStat(v) {
+  if (!isFinite(v)) return '–';
+  const a = Math.abs(v);
+  if (a !== 0 && (a < 1e-3 || a >= 1e4)) return v.toExponential(2);
+  return v.toPrecision(4);
+}
+
+export class StatsPanel {
+  /**
+   * @param {string} canvasId - ID of the panel canvas element
+   */
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext('2d');
+    this.dpr = window.devicePixelRatio || 1;
+    this.cssHeight = STAT_SERIES.length * ROW_HEIGHT + HISTOGRAM_HEIGHT;
+    this.resize();
+  }
+
+  /**
+   * Match the backing store to the displayed width
+   */
+  resize() {
+    const cssWidth = this.canvas.clientWidth || 300;
+    this.canvas.style.height = this.cssHeight + 'px';
+    this.canvas.width = Math.floor(cssWidth * this.dpr);
+    this.canvas.height = Math.floor(this.cssHeight * this.dpr);
+  }
+
+  /**
+   * Redraw the panel from a statistics history
+   * @param {StatisticsHistory} history
+   */
+  draw(history) {
+    const ctx = this.ctx;
+    const d = this.dpr;
+    const width = this.canvas.width;
+
+    ctx.clearRect(0, 0, width, this.canvas.height);
+    ctx.font = `${11 * d}px ui-monospace, monospace`;
+    ctx.textBaseline = 'middle';
+
+    const latest = history.latest;
+    const plotX = LABEL_WIDTH * d;
+    const plotW = width - plotX - 4 * d;
+
+    STAT_SERIES.forEach(({ key, label }, row) => {
+      const top = row * ROW_HEIGHT * d;
+      const values = history.series(key, VISIBLE_SAMPLES);
+
+      ctx.fillStyle = '#94a3b8';
+      ctx.fillText(label, 4 * d, top + (ROW_HEIGHT * d) / 2 - 6 * d);
+      ctx.fillStyle = '#e2e8f0';
+      ctx.fillText(latest ? formatStat(latest[key]) : '–', 4 * d, top + (ROW_HEIGHT * d) / 2 + 7 * d);
+
+      this.drawSparkline(values, plotX, top + 3 * d, plotW, (ROW_HEIGHT - 6) * d);
+    });
+
+    this.drawHistogram(latest, plotX, STAT_SERIES.length * ROW_HEIGHT * d, plotW);
+  }
+
+  /**
+   * Draw one series scaled to its own min/max (newest sample on the right)
+   */
+  drawSparkline(values, x, y, w, h) {
+    const ctx = this.ctx;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+    ctx.fillRect(x, y, w, h);
+    if (values.length < 2) return;
+
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (const v of values) {
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+    const range = hi - lo || 1;
+    const dx = w / (VISIBLE_SAMPLES - 1);
+    const x0 = x + w - (values.length - 1) * dx;
+
+    ctx.strokeStyle = '#38bdf8';
+    ctx.lineWidth = this.dpr;
+    ctx.beginPath();
+    values.forEach((v, i) => {
+      const px = x0 + i * dx;
+      const py = y + h - ((v - lo) / range) * h;
+      if (i === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * Draw the latest dt histogram as bars over [dtMin, dtMax]
+   */
+  drawHistogram(sample, x, top, w) {
+    const ctx = this.ctx;
+    const d = this.dpr;
+    const h = (HISTOGRAM_HEIGHT - 18) * d;
+    const y = top + 4 * d;
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText('dt histogram', 4 * d, y + h / 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+    ctx.fillRect(x, y, w, h);
+    if (!sample) return;
+
+    const hist = sample.dtHistogram;
+    let peak = 0;
+    for (let b = 0; b < DT_HISTOGRAM_BINS; b++) peak = Math.max(peak, hist[b]);
+    const barW = w / DT_HISTOGRAM_BINS;
+
+    ctx.fillStyle = '#a78bfa';
+    for (let b = 0; b < DT_HISTOGRAM_BINS; b++) {
+      const bh = peak > 0 ? (hist[b] / peak) * h : 0;
+      ctx.fillRect(x + b * barW + d, y + h - bh, barW - 2 * d, bh);
+    }
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText(sample.dtMin.toFixed(2), x, y + h + 2 * d);
+    ctx.textAlign = 'right';
+    ctx.fillText(sample.dtMax.toFixed(2), x + w, y + h + 2 * d);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+  }
+}
@@ -4,12 +4,47 @@
  */
 
 import { ParameterController } from './parameter-controller.js';
+import { BOUNDARY_MODES, GRID_CONFIG, TILE_CONFIG, SWEEPABLE_PARAMS, AUTOMATABLE_PARAMS, ANALYSIS_CONFIG } from './config.js';
+import { encodeParamMapData, paramMapFromImage } from './param-maps.js';
+import { FrameRecorder, RECORD_FORMATS } from './recorder.js';
+import { computeFrameStats, StatisticsHistory } from './statistics.js';
+import { StatsPanel } from './stats-panel.js';
+import { analyzePattern } from './pattern-analysis.js';
+import { SEED_GENERATORS, seedMaskFromImage } from './seeds.js';
+import { validateSession } from './session.js';
+import { clampSetting, checkSetting } from './settings-schema.js';
+import { isShareFragment } from './share-link.js';
+import { PresetPanel } from './preset-panel.js';
+import { MODELS } from './models.js';
+import { diffusionStability, describeStability } from './stability.js';
+import { ENERGY_METRICS, compileEnergyExpression } from './energy-metrics.js';
+
+// Labels of the seed generator parameters
+const SEED_PARAM_LABELS = {
+  size: 'Size',
+  amount: 'Noise amount',
+  count: 'Spot count',
+  radius: 'Radius',
+  width: 'Width',
+  wavelength: 'Wavelength',
+  angle: 'Angle (°)',
+  text: 'Text',
+  fontSize: 'Font size'
+};
+
+// Parameters that enter the diffusion stability bound
+const STABILITY_PARAMS = new Set(['Du', 'Dv', 'dtMax', 'integrator', 'multirate', 'stencil', 'anisoAlong', 'anisoAcross']);
 
 export class UIController {
-  constructor(simulation, renderer, state, settingsManager, params) {
+  /**
+   * @param {SimulationClient} simulation - Proxy for the simulation worker
+   * @param {Renderer} renderer - Canvas renderer
+   * @param {SettingsManager} settingsManager - Settings persistence
+   * @param {Object} params - Main-thread copy of the simulation parameters
+   */
+  constructor(simulation, renderer, settingsManager, params) {
     this.simulation = simulation;
     this.renderer = renderer;
-    this.state = state;
     this.settingsManager = settingsManager;
     this.params = params;
 
@@ -22,19 +57,60 @@ export class UIController {
     // Painting state
     this.painting = false;
 
+    // True while the history slider is being dragged
+    this.scrubbing = false;
+
+    // Animation recording state
+    this.recorder = new FrameRecorder();
+    this.lastRecordedFrame = null;
+
+    // True while a session (edit log) is being recorded
+    this.sessionRecording = false;
+
+    // Statistics state
+    this.statsHistory = new StatisticsHistory();
+    this.lastStatsFrame = null;
+
+    // Last frame whose automated values were shown
+    this.lastAutomationFrame = null;
+
+    // Count of the last stability report shown (see showStabilityReport)
+    this.stabilityCount = 0;
+    this.lastAnalyzed = null;
+    this.statsSamples = 0;
+
     // Cache frequently accessed DOM elements
     this.viewSelElement = document.getElementById('viewSel');
 
     // Initialize all UI components
     this.initializeParameterControllers();
+    this.initializeModelControls();
     this.initializeViewAndEnergyControls();
+    this.initializeColorControls();
     this.initializeDtBounds();
+    this.initializeStability();
+    this.initializeGridSize();
+    this.initializeBoundaryControls();
+    this.initializeSweepControls();
+    this.initializeParamMaps();
+    this.initializeSeedControls();
+    this.initializeBrushControls();
+    this.initializeRecorder();
+    this.initializeSession();
+    this.initializeStatistics();
+    this.initializeHistory();
+    this.initializeAutomation();
+    this.initializePresets();
     this.initializeButtons();
     this.initializePainting();
     this.initializeKeyboardShortcuts();
 
-    // Auto-load settings from localStorage
-    this.settingsManager.loadFromLocalStorage();
+    // Settings from a shared link take priority over localStorage
+    if (isShareFragment(location.hash)) {
+      this.settingsManager.loadFromLink(location.hash, this.simulation);
+    } else {
+      this.settingsManager.loadFromLocalStorage();
+    }
   }
 
   /**
@@ -44,6 +120,24 @@ export class UIController {
     return x < a ? a : x > b ? b : x;
   }
 
+  /**
+   * Update a parameter locally and forward it to the simulation worker
+   */
+  setParam(key, value) {
+    this.params[key] = value;
+    this.simulation.setParams({ [key]: value });
+    if (STABILITY_PARAMS.has(key)) this.updateStabilityWarning();
+  }
+
+  /**
+   * Toggle free-running simulation
+   */
+  toggleRunning() {
+    this.running = !this.running;
+    this.simulation.setRunning(this.running);
+    document.getElementById('runBtn').textContent = this.running ? '⏸ Pause' : '▶ Run';
+  }
+
   /**
    * Initialize parameter controllers for sliders
    */
@@ -51,76 +145,108 @@ export class UIController {
     // Initialize sliders with params values before creating controllers
     document.getElementById('du').value = this.params.Du;
     document.getElementById('dv').value = this.params.Dv;
-    document.getElementById('F').value = this.params.F;
-    document.getElementById('k').value = this.params.K;
     document.getElementById('temp').value = this.params.tempScale;
     document.getElementById('ema').value = this.params.emaAlpha;
     document.getElementById('spf').value = this.params.stepsPerFrame;
     document.getElementById('mixA').value = this.params.mixAlpha;
+    document.getElementById('energyWindow').value = this.params.energyWindow;
     document.getElementById('br').value = this.params.brushRadius;
+    document.getElementById('brushFalloff').value = this.params.brushFalloff;
+    document.getElementById('brushStrength').value = this.params.brushStrength;
+    document.getElementById('anisoAngle').value = this.params.anisoAngle;
+    document.getElementById('anisoAlong').value = this.params.anisoAlong;
+    document.getElementById('anisoAcross').value = this.params.anisoAcross;
 
     new ParameterController(
       'du', 'duTxt',
-      (v) => { this.params.Du = v; },
+      (v) => { this.setParam('Du', v); },
       (v) => v.toFixed(3),
       this.settingsManager
     );
 
     new ParameterController(
       'dv', 'dvTxt',
-      (v) => { this.params.Dv = v; },
+      (v) => { this.setParam('Dv', v); },
       (v) => v.toFixed(3),
       this.settingsManager
     );
 
     new ParameterController(
-      'F', 'FTxt',
-      (v) => { this.params.F = v; },
-      (v) => v.toFixed(4),
+      'anisoAngle', 'anisoAngleTxt',
+      (v) => { this.setParam('anisoAngle', v); },
+      (v) => String(Math.round(v)),
       this.settingsManager
     );
 
     new ParameterController(
-      'k', 'kTxt',
-      (v) => { this.params.K = v; },
-      (v) => v.toFixed(4),
+      'anisoAlong', 'anisoAlongTxt',
+      (v) => { this.setParam('anisoAlong', v); },
+      (v) => v.toFixed(2),
+      this.settingsManager
+    );
+
+    new ParameterController(
+      'anisoAcross', 'anisoAcrossTxt',
+      (v) => { this.setParam('anisoAcross', v); },
+      (v) => v.toFixed(2),
       this.settingsManager
     );
 
     new ParameterController(
       'temp', 'tempTxt',
-      (v) => { this.params.tempScale = v; },
+      (v) => { this.setParam('tempScale', v); },
       (v) => v.toFixed(3),
       this.settingsManager
     );
 
     new ParameterController(
       'ema', 'emaTxt',
-      (v) => { this.params.emaAlpha = v; },
+      (v) => { this.setParam('emaAlpha', v); },
       (v) => v.toFixed(2),
       this.settingsManager
     );
 
     new ParameterController(
       'spf', 'spfTxt',
-      (v) => { this.params.stepsPerFrame = v | 0; },
+      (v) => { this.setParam('stepsPerFrame', v | 0); },
       (v) => String(v | 0),
       this.settingsManager
     );
 
     new ParameterController(
       'mixA', 'mixATxt',
-      (v) => { this.params.mixAlpha = v; },
+      (v) => { this.setParam('mixAlpha', v); },
       (v) => v.toFixed(2),
       this.settingsManager
     );
 
+    new ParameterController(
+      'energyWindow', 'energyWindowTxt',
+      (v) => { this.setParam('energyWindow', v | 0); },
+      (v) => String(v | 0),
+      this.settingsManager
+    );
+
     new ParameterController(
       'br', 'brTxt',
-      (v) => { this.params.brushRadius = v | 0; },
+      (v) => { this.setParam('brushRadius', v | 0); },
       (v) => String(v | 0),
       this.settingsManager
     );
+
+    new ParameterController(
+      'brushFalloff', 'brushFalloffTxt',
+      (v) => { this.setParam('brushFalloff', v); },
+      (v) => v.toFixed(2),
+      this.settingsManager
+    );
+
+    new ParameterController(
+      'brushStrength', 'brushStrengthTxt',
+      (v) => { this.setParam('brushStrength', v); },
+      (v) => v.toFixed(2),
+      this.settingsManager
+    );
   }
 
   /**
@@ -131,23 +257,241 @@ export class UIController {
     const energySel = document.getElementById('energySel');
     const viewSel = document.getElementById('viewSel');
     const tileModeCheck = document.getElementById('tileModeCheck');
+    const integratorSel = document.getElementById('integratorSel');
+    const clampCheck = document.getElementById('clampCheck');
+    const multirateCheck = document.getElementById('multirateCheck');
+    const multirateLevelsEl = document.getElementById('multirateLevels');
+    const stencilSel = document.getElementById('stencilSel');
+    const anisoControls = document.getElementById('anisoControls');
+
+    for (const [name, metric] of Object.entries(ENERGY_METRICS)) {
+      energySel.add(new Option(metric.label, name));
+    }
 
     energySel.value = this.params.energyMode;
     viewSel.value = this.params.viewMode;
     tileModeCheck.checked = this.params.tileMode;
+    integratorSel.value = this.params.integrator;
+    clampCheck.checked = this.params.clampState;
+    multirateCheck.checked = this.params.multirate;
+    multirateLevelsEl.value = this.params.multirateLevels;
+    stencilSel.value = this.params.stencil;
+    anisoControls.style.display = this.params.stencil === 'anisotropic' ? '' : 'none';
+
+    // Show the parameter rows of the selected metric
+    const showEnergyParams = () => {
+      const keys = ENERGY_METRICS[energySel.value].params;
+      for (const el of document.querySelectorAll('[data-energy-param]')) {
+        el.style.display = keys.includes(el.dataset.energyParam) ? '' : 'none';
+      }
+    };
+    showEnergyParams();
 
     energySel.addEventListener('change', () => {
-      this.params.energyMode = energySel.value;
+      this.setParam('energyMode', energySel.value);
+      showEnergyParams();
     });
 
+    this.initializeEnergyExpression();
+
     viewSel.addEventListener('change', () => {
-      this.params.viewMode = viewSel.value;
+      this.setParam('viewMode', viewSel.value);
     });
 
     tileModeCheck.addEventListener('change', () => {
-      this.params.tileMode = tileModeCheck.checked;
+      this.setParam('tileMode', tileModeCheck.checked);
       this.renderer.setTileMode(tileModeCheck.checked);
     });
+
+    integratorSel.addEventListener('change', () => {
+      this.setParam('integrator', integratorSel.value);
+    });
+
+    clampCheck.addEventListener('change', () => {
+      this.setParam('clampState', clampCheck.checked);
+    });
+
+    // The integrator does not apply to multirate steps (see multirate.js)
+    const updateMultirate = () => {
+      const levels = clampSetting('multirateLevels', parseInt(multirateLevelsEl.value, 10) || 1);
+      multirateLevelsEl.value = levels;
+      multirateLevelsEl.disabled = !multirateCheck.checked;
+      integratorSel.disabled = multirateCheck.checked;
+      this.setParam('multirateLevels', levels);
+      this.setParam('multirate', multirateCheck.checked);
+    };
+    multirateLevelsEl.disabled = !this.params.multirate;
+    integratorSel.disabled = this.params.multirate;
+    multirateCheck.addEventListener('change', updateMultirate);
+    multirateLevelsEl.addEventListener('change', updateMultirate);
+
+    stencilSel.addEventListener('change', () => {
+      this.setParam('stencil', stencilSel.value);
+      anisoControls.style.display = stencilSel.value === 'anisotropic' ? '' : 'none';
+    });
+  }
+
+  /**
+   * Initialize the custom energy expression input
+   * Only expressions that compile are sent to the worker; the last valid one is
+   * kept (and saved) while the input shows an error
+   */
+  initializeEnergyExpression() {
+    const exprEl = document.getElementById('energyExpr');
+    const errorEl = document.getElementById('energyExprError');
+
+    const setExpression = (text) => {
+      try {
+        compileEnergyExpression(text);
+      } catch (err) {
+        errorEl.textContent = err.message;
+        return;
+      }
+      errorEl.textContent = '';
+      this.setParam('energyExpression', text);
+    };
+
+    exprEl.value = this.params.energyExpression;
+    exprEl.addEventListener('change', () => setExpression(exprEl.value.trim()));
+
+    this.settingsManager.registerProvider('energyExpression', {
+      get: () => this.params.energyExpression,
+      apply: (text) => {
+        exprEl.value = text;
+        setExpression(text);
+      }
+    });
+  }
+
+  /**
+   * Initialize colormap, normalization and legend controls
+   */
+  initializeColorControls() {
+    const colormapSel = document.getElementById('colormapSel');
+    const normSel = document.getElementById('normSel');
+    const normMinEl = document.getElementById('normMin');
+    const normMaxEl = document.getElementById('normMax');
+    const normPctEl = document.getElementById('normPct');
+    const legendCheck = document.getElementById('legendCheck');
+
+    // Initialize with params values
+    colormapSel.value = this.params.colormap;
+    normSel.value = this.params.normMode;
+    normMinEl.value = this.params.normMin;
+    normMaxEl.value = this.params.normMax;
+    normPctEl.value = this.params.normPercentile;
+    legendCheck.checked = this.params.showLegend;
+
+    const updateColorOptions = () => {
+      let normMin = parseFloat(normMinEl.value);
+      let normMax = parseFloat(normMaxEl.value);
+      let normPercentile = parseFloat(normPctEl.value);
+
+      if (!isFinite(normMin)) normMin = 0;
+      if (!isFinite(normMax)) normMax = 1;
+      if (!isFinite(normPercentile)) normPercentile = 2;
+      normPercentile = this.clamp(normPercentile, 0, 49);
+
+      // Keep a non-empty locked range
+      if (normMax <= normMin) {
+        normMax = normMin + 1e-3;
+        normMaxEl.value = normMax;
+      }
+
+      const options = {
+        colormap: colormapSel.value,
+        normMode: normSel.value,
+        normMin,
+        normMax,
+        normPercentile,
+        showLegend: legendCheck.checked
+      };
+
+      for (const [key, value] of Object.entries(options)) {
+        this.setParam(key, value);
+      }
+      this.renderer.setColorOptions(options);
+    };
+
+    for (const el of [colormapSel, normSel, normMinEl, normMaxEl, normPctEl, legendCheck]) {
+      el.addEventListener('change', updateColorOptions);
+    }
+
+    updateColorOptions();
+  }
+
+  /**
+   * Initialize the model selector and the reaction parameter sliders
+   * Rows for every model are built once (so settings can hold all of their
+   * values); only the selected model's rows are shown. Choosing a model in
+   * the selector also applies its suggested diffusion rates and dt bounds
+   * (the simulation reseeds itself around the new rest state).
+   */
+  initializeModelControls() {
+    const modelSel = document.getElementById('modelSel');
+    const container = document.getElementById('modelParams');
+    const rows = new Map();
+
+    for (const [name, model] of Object.entries(MODELS)) {
+      modelSel.add(new Option(model.label, name));
+
+      for (const [key, spec] of Object.entries(model.params)) {
+        const row = document.createElement('div');
+        row.className = 'row';
+
+        const label = document.createElement('label');
+        label.textContent = spec.label;
+
+        const slider = document.createElement('input');
+        slider.id = `param-${key}`;
+        slider.type = 'range';
+
+        const input = document.createElement('input');
+        input.id = `param-${key}Txt`;
+        input.className = 'param-input';
+        input.type = 'number';
+
+        for (const el of [slider, input]) {
+          el.min = spec.min;
+          el.max = spec.max;
+          el.step = spec.step;
+        }
+        slider.value = this.params[key];
+
+        row.append(label, slider, input);
+        container.append(row);
+        rows.set(row, name);
+
+        const decimals = Math.max(0, -Math.floor(Math.log10(spec.step)));
+        new ParameterController(
+          slider.id, input.id,
+          (v) => { this.setParam(key, v); },
+          (v) => v.toFixed(decimals),
+          this.settingsManager
+        );
+      }
+    }
+
+    const showModel = (name) => {
+      modelSel.value = name;
+      for (const [row, model] of rows) {
+        row.style.display = model === name ? '' : 'none';
+      }
+      this.setParam('model', name);
+    };
+
+    showModel(this.params.model);
+
+    modelSel.addEventListener('change', () => {
+      showModel(modelSel.value);
+      this.settingsManager.applySettings({ ...MODELS[modelSel.value].defaults });
+    });
+
+    // Loading settings switches the model without overriding the loaded rates
+    this.settingsManager.registerProvider('model', {
+      get: () => modelSel.value,
+      apply: showModel
+    });
   }
 
   /**
@@ -181,41 +525,554 @@ export class UIController {
         dtMaxEl.value = dtMax.toFixed(2);
       }
 
-      this.params.dtMin = dtMin;
-      this.params.dtMax = dtMax;
+      this.setParam('dtMin', dtMin);
+      this.setParam('dtMax', dtMax);
     };
 
     dtMinEl.addEventListener('change', updateDtBounds);
     dtMaxEl.addEventListener('change', updateDtBounds);
   }
 
+  /**
+   * Initialize the instability response select and the stability warning
+   */
+  initializeStability() {
+    const stabilityActionSel = document.getElementById('stabilityActionSel');
+    stabilityActionSel.value = this.params.stabilityAction;
+    stabilityActionSel.addEventListener('change', () => {
+      this.setParam('stabilityAction', stabilityActionSel.value);
+    });
+    this.updateStabilityWarning();
+  }
+
+  /**
+   * Warn when dt_max exceeds the explicit diffusion limit of the global rates
+   */
+  updateStabilityWarning() {
+    document.getElementById('cflWarning').textContent =
+      describeStability(diffusionStability(this.params), this.params.dtMax);
+  }
+
+  /**
+   * Show a new stability report of the worker
+   * After a rollback the worker already steps with the reduced dt bounds, so
+   * they are only mirrored here (sending them back could undo a later rollback)
+   * @param {Object} frame - Latest snapshot (see SimulationHost.snapshot)
+   */
+  showStabilityReport(frame) {
+    const report = frame.stability;
+    if (!report || report.count === this.stabilityCount) return;
+    this.stabilityCount = report.count;
+    document.getElementById('stabilityStatus').textContent = report.message;
+
+    if (report.status === 'rolledBack') {
+      // Automated bounds are capped in the worker and keep their control value
+      Object.assign(this.params, report.params);
+      for (const [name, value] of Object.entries(report.params)) {
+        document.getElementById(name).value = value;
+      }
+      this.updateStabilityWarning();
+    } else if (report.status === 'paused' && this.running) {
+      this.toggleRunning();
+    }
+  }
+
+  /**
+   * Initialize grid resolution inputs and presets
+   */
+  initializeGridSize() {
+    const gridWEl = document.getElementById('gridW');
+    const gridHEl = document.getElementById('gridH');
+    const presetEl = document.getElementById('gridPreset');
+
+    // Initialize with params values
+    gridWEl.value = this.params.gridW;
+    gridHEl.value = this.params.gridH;
+
+    const syncPreset = () => {
+      const key = `${gridWEl.value}x${gridHEl.value}`;
+      const match = Array.from(presetEl.options).some(opt => opt.value === key);
+      presetEl.value = match ? key : '';
+    };
+
+    const updateGridSize = () => {
+      let W = parseInt(gridWEl.value, 10);
+      let H = parseInt(gridHEl.value, 10);
+
+      if (!isFinite(W)) W = this.params.gridW;
+      if (!isFinite(H)) H = this.params.gridH;
+
+      W = this.clamp(W, GRID_CONFIG.MIN_SIZE, GRID_CONFIG.MAX_SIZE);
+      H = this.clamp(H, GRID_CONFIG.MIN_SIZE, GRID_CONFIG.MAX_SIZE);
+      gridWEl.value = W;
+      gridHEl.value = H;
+      syncPreset();
+
+      this.setGridSize(W, H);
+    };
+
+    presetEl.addEventListener('change', () => {
+      if (!presetEl.value) return;
+      const [W, H] = presetEl.value.split('x');
+      gridWEl.value = W;
+      gridHEl.value = H;
+      updateGridSize();
+    });
+
+    gridWEl.addEventListener('change', updateGridSize);
+    gridHEl.addEventListener('change', updateGridSize);
+
+    syncPreset();
+    this.setGridSize(this.params.gridW, this.params.gridH);
+  }
+
+  /**
+   * Initialize per-edge boundary condition selectors and Dirichlet values
+   */
+  initializeBoundaryControls() {
+    const selects = {
+      boundaryLeft: document.getElementById('bcLeft'),
+      boundaryRight: document.getElementById('bcRight'),
+      boundaryTop: document.getElementById('bcTop'),
+      boundaryBottom: document.getElementById('bcBottom')
+    };
+    const dirichletUEl = document.getElementById('bcU');
+    const dirichletVEl = document.getElementById('bcV');
+
+    // Initialize with params values
+    for (const [key, el] of Object.entries(selects)) {
+      el.value = this.params[key];
+    }
+    dirichletUEl.value = this.params.dirichletU;
+    dirichletVEl.value = this.params.dirichletV;
+
+    // Periodic edges come in opposite pairs: a user edit away from periodic takes
+    // the opposite edge along, otherwise (including loaded settings) periodic wins
+    const pairs = [
+      [selects.boundaryLeft, selects.boundaryRight],
+      [selects.boundaryTop, selects.boundaryBottom]
+    ];
+    const pairBoundaries = (changed) => {
+      const periodic = BOUNDARY_MODES.PERIODIC;
+      for (const [low, high] of pairs) {
+        if ((low.value === periodic) === (high.value === periodic)) continue;
+        if ((changed === low || changed === high) && changed.value !== periodic) {
+          (changed === low ? high : low).value = changed.value;
+        } else {
+          low.value = periodic;
+          high.value = periodic;
+        }
+      }
+    };
+
+    const updateBoundary = (e) => {
+      pairBoundaries(e && e.isTrusted ? e.target : null);
+      for (const [key, el] of Object.entries(selects)) {
+        this.setParam(key, el.value);
+      }
+
+      let u = parseFloat(dirichletUEl.value);
+      let v = parseFloat(dirichletVEl.value);
+      if (!isFinite(u)) u = 1.0;
+      if (!isFinite(v)) v = 0.0;
+
+      this.setParam('dirichletU', clampSetting('dirichletU', u));
+      this.setParam('dirichletV', clampSetting('dirichletV', v));
+    };
+
+    for (const el of Object.values(selects)) {
+      el.addEventListener('change', updateBoundary);
+    }
+    dirichletUEl.addEventListener('change', updateBoundary);
+    dirichletVEl.addEventListener('change', updateBoundary);
+  }
+
+  /**
+   * Initialize parameter-sweep axis, range and tile size controls
+   */
+  initializeSweepControls() {
+    const sweepXSel = document.getElementById('sweepXSel');
+    const sweepYSel = document.getElementById('sweepYSel');
+    const ranges = {
+      sweepXFrom: document.getElementById('sweepXFrom'),
+      sweepXTo: document.getElementById('sweepXTo'),
+      sweepYFrom: document.getElementById('sweepYFrom'),
+      sweepYTo: document.getElementById('sweepYTo')
+    };
+    const tileSizeEl = document.getElementById('sweepTileSize');
+
+    for (const sel of [sweepXSel, sweepYSel]) {
+      for (const key of SWEEPABLE_PARAMS) {
+        sel.add(new Option(key, key));
+      }
+    }
+
+    // Initialize with params values
+    sweepXSel.value = this.params.sweepParamX;
+    sweepYSel.value = this.params.sweepParamY;
+    for (const [key, el] of Object.entries(ranges)) {
+      el.value = this.params[key];
+    }
+    tileSizeEl.value = this.params.sweepTileSize;
+
+    // Each axis offers every parameter except the other axis's
+    const excludeOtherAxis = () => {
+      if (sweepXSel.value === sweepYSel.value) {
+        sweepYSel.value = SWEEPABLE_PARAMS.find(key => key !== sweepXSel.value);
+      }
+      for (const option of sweepXSel.options) option.disabled = option.value === sweepYSel.value;
+      for (const option of sweepYSel.options) option.disabled = option.value === sweepXSel.value;
+    };
+    excludeOtherAxis();
+
+    const updateSweep = () => {
+      excludeOtherAxis();
+      this.setParam('sweepParamX', sweepXSel.value);
+      this.setParam('sweepParamY', sweepYSel.value);
+
+      for (const [key, el] of Object.entries(ranges)) {
+        const value = parseFloat(el.value);
+        if (isFinite(value)) this.setParam(key, value);
+        else el.value = this.params[key];
+      }
+
+      let size = parseInt(tileSizeEl.value, 10);
+      if (!isFinite(size)) size = this.params.sweepTileSize;
+      size = this.clamp(size, TILE_CONFIG.MIN_TILE_SIZE, TILE_CONFIG.MAX_TILE_SIZE);
+      tileSizeEl.value = size;
+      this.setParam('sweepTileSize', size);
+    };
+
+    sweepXSel.addEventListener('change', updateSweep);
+    sweepYSel.addEventListener('change', updateSweep);
+    for (const el of Object.values(ranges)) {
+      el.addEventListener('change', updateSweep);
+    }
+    tileSizeEl.addEventListener('change', updateSweep);
+  }
+
+  /**
+   * Load a sweep tile's parameters into the main simulation and leave sweep mode
+   * Values outside the parameter's range are clamped to it
+   * @param {{col: number, row: number}} tile - Tile under the pointer
+   */
+  promoteTile(tile) {
+    const sweep = this.renderer.sweep;
+    if (!sweep) return;
+
+    this.settingsManager.applySettings({
+      [sweep.paramX]: clampSetting(sweep.paramX, sweep.xValues[tile.col]),
+      [sweep.paramY]: clampSetting(sweep.paramY, sweep.yValues[tile.row]),
+      tileMode: false
+    });
+  }
+
+  /**
+   * Initialize parameter map controls (gradients, image import, paint value)
+   */
+  initializeParamMaps() {
+    const targetEl = document.getElementById('pmapTarget');
+    const fromEl = document.getElementById('pmapFrom');
+    const toEl = document.getElementById('pmapTo');
+    const valueEl = document.getElementById('pmapValue');
+    const fileInput = document.getElementById('pmapFileInput');
+
+    // Initialize with params values
+    targetEl.value = this.params.paintParam;
+    valueEl.value = this.params.paintParamValue;
+
+    const readRange = () => {
+      const from = parseFloat(fromEl.value);
+      const to = parseFloat(toEl.value);
+      return { from: isFinite(from) ? from : 0, to: isFinite(to) ? to : 0 };
+    };
+
+    targetEl.addEventListener('change', () => {
+      this.setParam('paintParam', targetEl.value);
+    });
+
+    valueEl.addEventListener('change', () => {
+      const value = parseFloat(valueEl.value);
+      if (isFinite(value)) this.setParam('paintParamValue', value);
+    });
+
+    document.getElementById('pmapGradXBtn').addEventListener('click', () => {
+      this.setParamMap(targetEl.value, { type: 'gradient', axis: 'x', ...readRange() });
+    });
+
+    document.getElementById('pmapGradYBtn').addEventListener('click', () => {
+      this.setParamMap(targetEl.value, { type: 'gradient', axis: 'y', ...readRange() });
+    });
+
+    document.getElementById('pmapClearBtn').addEventListener('click', () => {
+      this.setParamMap(targetEl.value, null);
+    });
+
+    document.getElementById('pmapImportBtn').addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Reset input
+      if (!file) return;
+
+      try {
+        const { from, to } = readRange();
+        const spec = await this.readParamMapImage(file, from, to);
+        this.setParamMap(targetEl.value, spec);
+      } catch (err) {
+        alert('Failed to import parameter map: ' + err.message);
+      }
+    });
+
+    // Parameter maps are saved with settings; painted maps are encoded from the latest frame
+    this.settingsManager.registerProvider('paramMaps', {
+      get: () => this.getParamMapSettings(),
+      apply: (paramMaps) => {
+        this.params.paramMaps = paramMaps;
+        this.simulation.setParams({ paramMaps });
+      }
+    });
+  }
+
+  /**
+   * Set or clear the map for one parameter
+   */
+  setParamMap(name, spec) {
+    this.params.paramMaps = { ...this.params.paramMaps, [name]: spec };
+    this.simulation.setParamMap(name, spec);
+  }
+
+  /**
+   * Decode an image file into a parameter map data spec
+   * @param {File} file - Image file (grayscale PNG recommended)
+   * @param {number} min - Value for black
+   * @param {number} max - Value for white
+   * @returns {Promise<Object>} Data spec
+   */
+  async readParamMapImage(file, min, max) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    bitmap.close();
+    return paramMapFromImage(data, canvas.width, canvas.height, min, max);
+  }
+
+  /**
+   * Parameter map specs for settings, with painted maps encoded as data
+   */
+  getParamMapSettings() {
+    const frame = this.simulation.frame;
+    const specs = frame ? frame.paramMapSpecs : this.params.paramMaps;
+    const result = {};
+
+    for (const [name, spec] of Object.entries(specs)) {
+      if (spec && spec.type === 'data' && !spec.data && frame && frame.paramMaps[name]) {
+        result[name] = encodeParamMapData(frame.paramMaps[name], frame.W, frame.H);
+      } else {
+        result[name] = spec;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Initialize seed generator controls
+   * Generator parameters are built from SEED_GENERATORS when the type changes
+   */
+  initializeSeedControls() {
+    const typeSel = document.getElementById('seedTypeSel');
+    const seedEl = document.getElementById('seedValue');
+    const noiseEl = document.getElementById('seedNoise');
+    const paramsEl = document.getElementById('seedParams');
+    const fileInput = document.getElementById('seedImageInput');
+
+    // Read the controls into a spec; image masks are kept, text is re-rendered
+    const readSpec = () => {
+      const type = typeSel.value;
+      const seed = parseInt(seedEl.value, 10);
+      const noise = parseFloat(noiseEl.value);
+      const spec = {
+        type,
+        seed: isFinite(seed) ? seed : 1,
+        noise: isFinite(noise) ? this.clamp(noise, 0, 1) : 0
+      };
+
+      for (const input of paramsEl.querySelectorAll('input')) {
+        const key = input.dataset.key;
+        const fallback = SEED_GENERATORS[type][key];
+        if (typeof fallback === 'string') {
+          spec[key] = input.value;
+        } else {
+          const value = parseFloat(input.value);
+          spec[key] = isFinite(value) ? value : fallback;
+        }
+      }
+
+      if (type === 'image' && this.params.seedSpec.type === 'image') {
+        spec.mask = this.params.seedSpec.mask;
+      } else if (type === 'text') {
+        spec.mask = this.renderSeedText(spec.text, spec.fontSize);
+      }
+      return spec;
+    };
+
+    const update = () => {
+      this.setParam('seedSpec', readSpec());
+    };
+
+    const renderParams = () => {
+      const spec = this.params.seedSpec;
+      paramsEl.replaceChildren();
+      for (const [key, fallback] of Object.entries(SEED_GENERATORS[spec.type])) {
+        const row = document.createElement('div');
+        row.className = 'row';
+        const label = document.createElement('label');
+        label.textContent = SEED_PARAM_LABELS[key] || key;
+        const input = document.createElement('input');
+        input.type = typeof fallback === 'string' ? 'text' : 'number';
+        input.value = spec[key] ?? fallback;
+        input.dataset.key = key;
+        input.addEventListener('change', update);
+        row.append(label, input);
+        paramsEl.append(row);
+      }
+    };
+
+    const syncControls = () => {
+      const spec = this.params.seedSpec;
+      typeSel.value = spec.type;
+      seedEl.value = spec.seed;
+      noiseEl.value = spec.noise;
+      renderParams();
+    };
+
+    syncControls();
+
+    typeSel.addEventListener('change', () => {
+      this.params.seedSpec = { type: typeSel.value };
+      renderParams();
+      update();
+    });
+    seedEl.addEventListener('change', update);
+    noiseEl.addEventListener('change', update);
+
+    document.getElementById('seedRandomBtn').addEventListener('click', () => {
+      seedEl.value = Math.floor(Math.random() * 2147483647);
+      update();
+      this.simulation.seed();
+    });
+
+    document.getElementById('seedImageBtn').addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Reset input
+      if (!file) return;
+
+      try {
+        const mask = await this.readSeedImage(file);
+        typeSel.value = 'image';
+        this.params.seedSpec = { type: 'image', mask };
+        renderParams();
+        update();
+        this.simulation.seed();
+      } catch (err) {
+        alert('Failed to import seed image: ' + err.message);
+      }
+    });
+
+    // The seed spec is saved with settings (including image/text masks)
+    this.settingsManager.registerProvider('seedSpec', {
+      get: () => this.params.seedSpec,
+      apply: (seedSpec) => {
+        this.setParam('seedSpec', seedSpec);
+        syncControls();
+      }
+    });
+  }
+
+  /**
+   * Decode an image file into a seed mask at the current grid resolution
+   * @param {File} file - Image file (white = V)
+   * @returns {Promise<Object>} Mask data spec
+   */
+  async readSeedImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const { gridW: W, gridH: H } = this.params;
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, W, H);
+    bitmap.close();
+    return seedMaskFromImage(ctx.getImageData(0, 0, W, H).data, W, H);
+  }
+
+  /**
+   * Render centered white text on black into a seed mask at the current grid resolution
+   * @param {string} text - Text to render
+   * @param {number} fontSize - Font size in grid cells
+   * @returns {Object} Mask data spec
+   */
+  renderSeedText(text, fontSize) {
+    const { gridW: W, gridH: H } = this.params;
+    const canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, W, H);
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.fillText(text, W / 2, H / 2);
+    return seedMaskFromImage(ctx.getImageData(0, 0, W, H).data, W, H);
+  }
+
+  /**
+   * Change grid resolution, resampling the current state
+   * @param {number} W - New grid width
+   * @param {number} H - New grid height
+   */
+  setGridSize(W, H) {
+    // The renderer adopts the new size when the first resized frame arrives
+    this.params.gridW = W;
+    this.params.gridH = H;
+    this.simulation.setParams({ gridW: W, gridH: H });
+  }
+
   /**
    * Initialize all button handlers
    */
   initializeButtons() {
     // Run/Pause button
-    const runBtn = document.getElementById('runBtn');
-    runBtn.addEventListener('click', () => {
-      this.running = !this.running;
-      runBtn.textContent = this.running ? '⏸ Pause' : '▶ Run';
+    document.getElementById('runBtn').addEventListener('click', () => {
+      this.toggleRunning();
     });
 
     // Step button
     document.getElementById('stepBtn').addEventListener('click', () => {
-      for (let i = 0; i < this.params.stepsPerFrame; i++) {
-        this.simulation.stepOnce();
-      }
-      this.renderer.render(this.state, this.viewSelElement.value);
+      this.simulation.step(this.params.stepsPerFrame);
     });
 
     // Seed button
     document.getElementById('seedBtn').addEventListener('click', () => {
-      this.state.seed();
+      this.simulation.seed();
     });
 
     // Clear button
     document.getElementById('clearBtn').addEventListener('click', () => {
-      this.state.clear();
+      this.simulation.clear();
     });
 
     // Settings buttons
@@ -244,11 +1101,574 @@ export class UIController {
       e.target.value = ''; // Reset input
     });
 
+    document.getElementById('saveCheckpointBtn').addEventListener('click', () => {
+      this.settingsManager.downloadCheckpoint(this.simulation);
+    });
+
+    document.getElementById('loadCheckpointBtn').addEventListener('click', () => {
+      document.getElementById('checkpointInput').click();
+    });
+
+    document.getElementById('checkpointInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.settingsManager.loadCheckpoint(file, this.simulation);
+      }
+      e.target.value = ''; // Reset input
+    });
+
+    // The state is only embedded from the main simulation, not from the sweep mosaic
+    document.getElementById('copyLinkBtn').addEventListener('click', () => {
+      const includeState = document.getElementById('linkStateCheck').checked;
+      const frame = this.simulation.frame;
+      this.settingsManager.copyLink(includeState && frame && !this.params.tileMode ? frame : null);
+    });
+
     document.getElementById('resetBtn').addEventListener('click', () => {
       this.settingsManager.resetToDefaults();
     });
   }
 
+  /**
+   * Initialize animation recording controls
+   */
+  initializeRecorder() {
+    const formatSel = document.getElementById('recordFormatSel');
+    const everyEl = document.getElementById('recordEvery');
+    const maxFramesEl = document.getElementById('recordMaxFrames');
+    const fpsEl = document.getElementById('recordFps');
+
+    // Initialize with params values
+    formatSel.value = this.params.recordFormat;
+    everyEl.value = this.params.recordEvery;
+    maxFramesEl.value = this.params.recordMaxFrames;
+    fpsEl.value = this.params.recordFps;
+
+    const readInt = (el, fallback, min, max) => {
+      const v = parseInt(el.value, 10);
+      const clamped = this.clamp(isFinite(v) ? v : fallback, min, max);
+      el.value = clamped;
+      return clamped;
+    };
+
+    // Recording options stay on the main thread (the worker never sees them)
+    const updateRecordOptions = () => {
+      this.params.recordFormat = formatSel.value;
+      this.params.recordEvery = readInt(everyEl, this.params.recordEvery, 1, 120);
+      this.params.recordMaxFrames = readInt(maxFramesEl, this.params.recordMaxFrames, 1, 2000);
+      this.params.recordFps = readInt(fpsEl, this.params.recordFps, 1, 60);
+    };
+
+    for (const el of [formatSel, everyEl, maxFramesEl, fpsEl]) {
+      el.addEventListener('change', updateRecordOptions);
+    }
+
+    document.getElementById('recordBtn').addEventListener('click', () => {
+      if (this.recorder.recording) {
+        this.stopRecording();
+      } else {
+        this.startRecording();
+      }
+    });
+  }
+
+  /**
+   * Start capturing rendered frames with the current recording options
+   */
+  startRecording() {
+    this.recorder.start({
+      format: this.params.recordFormat,
+      every: this.params.recordEvery,
+      maxFrames: this.params.recordMaxFrames,
+      fps: this.params.recordFps
+    });
+    this.lastRecordedFrame = this.simulation.frame;
+    document.getElementById('recordBtn').textContent = '⏹ Stop';
+    document.getElementById('recordStatus').textContent = '0 frames';
+  }
+
+  /**
+   * Stop capturing, encode the animation and download it
+   */
+  async stopRecording() {
+    const recordBtn = document.getElementById('recordBtn');
+    const statusEl = document.getElementById('recordStatus');
+    const format = this.params.recordFormat;
+
+    recordBtn.textContent = '⏺ Record';
+    recordBtn.disabled = true;
+    statusEl.textContent = 'Encoding…';
+
+    try {
+      const blob = await this.recorder.stop();
+      if (blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gray-scott-${Date.now()}.${RECORD_FORMATS[format].extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+    } catch (err) {
+      alert('Failed to encode recording: ' + err.message);
+    } finally {
+      recordBtn.disabled = false;
+      statusEl.textContent = 'Idle';
+    }
+  }
+
+  /**
+   * Initialize session recording and replay
+   */
+  initializeSession() {
+    const recordBtn = document.getElementById('sessionRecordBtn');
+    const replayBtn = document.getElementById('sessionReplayBtn');
+    const statusEl = document.getElementById('sessionStatus');
+    const fileInput = document.getElementById('sessionInput');
+
+    recordBtn.addEventListener('click', async () => {
+      try {
+        if (!this.sessionRecording) {
+          await this.simulation.startSession();
+          this.sessionRecording = true;
+          recordBtn.textContent = '⏹ Stop session';
+          replayBtn.disabled = true;
+          statusEl.textContent = 'Recording…';
+          return;
+        }
+
+        this.sessionRecording = false;
+        recordBtn.textContent = '⏺ Record session';
+        replayBtn.disabled = false;
+        statusEl.textContent = 'Idle';
+
+        const session = await this.simulation.stopSession();
+        if (session) {
+          const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = `gray-scott-session-${Date.now()}.json`;
+          link.click();
+          URL.revokeObjectURL(url);
+        }
+      } catch (err) {
+        alert('Session recording failed: ' + err.message);
+      }
+    });
+
+    replayBtn.addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Reset input
+      if (!file) return;
+
+      if (this.running) this.toggleRunning();
+      recordBtn.disabled = true;
+      replayBtn.disabled = true;
+      statusEl.textContent = 'Replaying…';
+
+      try {
+        const session = JSON.parse(await file.text());
+        validateSession(session);
+        const result = await this.simulation.replaySession(session);
+
+        // Sync the controls with the final parameters (maps stay as replayed)
+        const { paramMaps, ...params } = result.params;
+        this.params.paramMaps = paramMaps;
+        this.settingsManager.applySettings(params);
+
+        statusEl.textContent = result.verified ? `Replayed ✓ ${session.finalStep} steps` : 'Replayed ✗';
+        if (!result.verified) {
+          alert(`Replay finished, but the final state differs from the recording (checksum ${result.checksum}, expected ${session.checksum}).`);
+        }
+      } catch (err) {
+        statusEl.textContent = 'Idle';
+        alert('Failed to replay session: ' + err.message);
+      } finally {
+        recordBtn.disabled = false;
+        replayBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Initialize the modulation timeline: keyframe and LFO tracks of numeric parameters
+   */
+  initializeAutomation() {
+    const clockSel = document.getElementById('autoClockSel');
+    const trackSel = document.getElementById('autoTrackSel');
+    const editorEl = document.getElementById('autoEditor');
+    const paramSel = document.getElementById('autoParamSel');
+    const modeSel = document.getElementById('autoModeSel');
+    const keysEditor = document.getElementById('autoKeysEditor');
+    const lfoEditor = document.getElementById('autoLfoEditor');
+    const interpSel = document.getElementById('autoInterpSel');
+    const keysEl = document.getElementById('autoKeys');
+    const inputs = {
+      center: document.getElementById('autoCenter'),
+      amplitude: document.getElementById('autoAmplitude'),
+      period: document.getElementById('autoPeriod'),
+      phase: document.getElementById('autoPhase'),
+      seed: document.getElementById('autoSeed')
+    };
+
+    paramSel.replaceChildren(...AUTOMATABLE_PARAMS.map(p => new Option(p, p)));
+
+    // Index of the track shown in the editor
+    let selected = 0;
+
+    const syncControls = () => {
+      const { clock, tracks } = this.params.automation;
+      clockSel.value = clock;
+      selected = Math.max(0, Math.min(selected, tracks.length - 1));
+      trackSel.replaceChildren(...tracks.map((track, i) => new Option(`${track.param} · ${track.mode}`, i)));
+      trackSel.value = selected;
+      editorEl.style.display = tracks.length ? '' : 'none';
+      if (!tracks.length) return;
+
+      const track = tracks[selected];
+      paramSel.value = track.param;
+      modeSel.value = track.mode;
+      keysEditor.style.display = track.mode === 'keys' ? '' : 'none';
+      lfoEditor.style.display = track.mode === 'keys' ? 'none' : '';
+      inputs.seed.closest('.row').style.display = track.mode === 'walk' ? '' : 'none';
+
+      if (track.mode === 'keys') {
+        interpSel.value = track.interpolation;
+        keysEl.value = track.keys.map(key => `${key.t} ${key.value}`).join('\n');
+      } else {
+        for (const [name, input] of Object.entries(inputs)) input.value = track[name] ?? 0;
+      }
+    };
+
+    // Validate against the schema so the worker only ever sees valid automation
+    const commit = (automation) => {
+      const error = checkSetting('automation', automation);
+      if (error) {
+        alert('Invalid modulation: ' + error);
+      } else {
+        this.setParam('automation', automation);
+      }
+      syncControls();
+    };
+
+    const withTrack = (track) => {
+      const tracks = [...this.params.automation.tracks];
+      tracks[selected] = track;
+      commit({ ...this.params.automation, tracks });
+    };
+
+    // A new track starts from the parameter's current value without changing it
+    const defaultTrack = (param, mode) => {
+      const value = this.params[param];
+      return mode === 'keys'
+        ? { param, mode, interpolation: 'linear', keys: [{ t: 0, value }] }
+        : { param, mode, center: value, amplitude: 0, period: 1000, phase: 0, seed: 1 };
+    };
+
+    const parseKeys = (text) => {
+      const keys = [];
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        const [t, value] = line.trim().split(/[\s,;]+/).map(Number);
+        if (!isFinite(t) || !isFinite(value)) throw new Error(`cannot read keyframe "${line.trim()}"`);
+        keys.push({ t, value });
+      }
+      return keys.sort((a, b) => a.t - b.t);
+    };
+
+    clockSel.addEventListener('change', () => {
+      commit({ ...this.params.automation, clock: clockSel.value });
+    });
+
+    trackSel.addEventListener('change', () => {
+      selected = parseInt(trackSel.value, 10);
+      syncControls();
+    });
+
+    document.getElementById('autoAddBtn').addEventListener('click', () => {
+      const { tracks } = this.params.automation;
+      const param = AUTOMATABLE_PARAMS.find(p => !tracks.some(track => track.param === p));
+      if (!param) return;
+      selected = tracks.length;
+      commit({ ...this.params.automation, tracks: [...tracks, defaultTrack(param, 'keys')] });
+    });
+
+    document.getElementById('autoRemoveBtn').addEventListener('click', () => {
+      const tracks = this.params.automation.tracks.filter((_, i) => i !== selected);
+      commit({ ...this.params.automation, tracks });
+    });
+
+    paramSel.addEventListener('change', () => {
+      withTrack(defaultTrack(paramSel.value, modeSel.value));
+    });
+
+    modeSel.addEventListener('change', () => {
+      const track = this.params.automation.tracks[selected];
+      if ((track.mode === 'keys') === (modeSel.value === 'keys')) {
+        withTrack({ ...track, mode: modeSel.value });
+      } else {
+        withTrack(defaultTrack(track.param, modeSel.value));
+      }
+    });
+
+    interpSel.addEventListener('change', () => {
+      withTrack({ ...this.params.automation.tracks[selected], interpolation: interpSel.value });
+    });
+
+    keysEl.addEventListener('change', () => {
+      try {
+        withTrack({ ...this.params.automation.tracks[selected], keys: parseKeys(keysEl.value) });
+      } catch (err) {
+        alert('Invalid keyframes: ' + err.message);
+        syncControls();
+      }
+    });
+
+    for (const [name, input] of Object.entries(inputs)) {
+      input.addEventListener('change', () => {
+        const value = name === 'seed' ? parseInt(input.value, 10) : parseFloat(input.value);
+        withTrack({ ...this.params.automation.tracks[selected], [name]: value });
+      });
+    }
+
+    // Keyframe the slider value at the clock of the latest frame
+    document.getElementById('autoKeyNowBtn').addEventListener('click', () => {
+      const frame = this.simulation.frame;
+      const track = this.params.automation.tracks[selected];
+      if (!frame || !track || frame.sweep) return;
+      const t = this.params.automation.clock === 'steps' ? frame.step : Number(frame.time.toFixed(3));
+      const keys = track.keys.filter(key => key.t !== t);
+      keys.push({ t, value: this.params[track.param] });
+      withTrack({ ...track, keys: keys.sort((a, b) => a.t - b.t) });
+    });
+
+    syncControls();
+
+    this.settingsManager.registerProvider('automation', {
+      get: () => this.params.automation,
+      apply: (automation) => {
+        this.setParam('automation', automation);
+        syncControls();
+      }
+    });
+  }
+
+  /**
+   * Show the live values of the automated parameters
+   * @param {Object} frame - Latest snapshot (see SimulationHost.snapshot)
+   */
+  updateAutomationStatus(frame) {
+    const entries = Object.entries(frame.automated || {});
+    document.getElementById('autoStatus').textContent = entries.length
+      ? entries.map(([name, value]) => `${name} ${value.toPrecision(4)}`).join(' · ')
+      : 'Off';
+  }
+
+  /**
+   * Warn when multirate cells take substeps longer than their dt (level cap reached)
+   * @param {Object} frame - Latest snapshot (see SimulationHost.snapshot)
+   */
+  updateMultirateWarning(frame) {
+    const status = frame.multirate;
+    document.getElementById('multirateWarning').textContent = status && status.overCap > 0
+      ? `${status.overCap} cells substep beyond their dt; ${status.levelsNeeded} levels would resolve them`
+      : '';
+  }
+
+  /**
+   * Warn when the implicit diffusion solve stopped at its sweep cap
+   * @param {Object} frame - Latest snapshot (see SimulationHost.snapshot)
+   */
+  updateImexWarning(frame) {
+    const status = frame.imex;
+    document.getElementById('imexWarning').textContent = status && status.capped
+      ? `Implicit diffusion unconverged after ${status.iterations} sweeps ` +
+        `(residual ${status.residual.toExponential(1)}); use a smaller dt_max`
+      : '';
+  }
+
+  /**
+   * Initialize the preset library and its save/import/export buttons
+   */
+  initializePresets() {
+    this.presetPanel = new PresetPanel(
+      'presetGrid', 'presetCount', this.settingsManager, this.simulation, this.renderer, this.params
+    );
+
+    const presetInput = document.getElementById('presetInput');
+    document.getElementById('presetSaveBtn').addEventListener('click', () => this.presetPanel.save());
+    document.getElementById('presetExportBtn').addEventListener('click', () => this.presetPanel.exportBundle());
+    document.getElementById('presetImportBtn').addEventListener('click', () => presetInput.click());
+    presetInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.presetPanel.importBundle(file);
+      presetInput.value = '';
+    });
+  }
+
+  /**
+   * Initialize the statistics panel, its threshold and CSV export
+   */
+  initializeStatistics() {
+    const statsCheck = document.getElementById('statsCheck');
+    const statsSection = document.getElementById('statsSection');
+    const thresholdEl = document.getElementById('statsThreshold');
+
+    this.statsPanel = new StatsPanel('statsCanvas');
+
+    // Initialize with params values
+    statsCheck.checked = this.params.showStats;
+    thresholdEl.value = this.params.statsThreshold;
+
+    // Statistics are computed on the main thread from received frames
+    const updateStatsOptions = () => {
+      this.params.showStats = statsCheck.checked;
+      statsSection.style.display = statsCheck.checked ? '' : 'none';
+      if (statsCheck.checked) {
+        this.statsPanel.resize();
+        this.statsPanel.draw(this.statsHistory);
+      }
+
+      let threshold = parseFloat(thresholdEl.value);
+      if (!isFinite(threshold)) threshold = this.params.statsThreshold;
+      threshold = this.clamp(threshold, 0, 1);
+      thresholdEl.value = threshold;
+      this.params.statsThreshold = threshold;
+    };
+
+    statsCheck.addEventListener('change', updateStatsOptions);
+    thresholdEl.addEventListener('change', updateStatsOptions);
+
+    document.getElementById('statsCsvBtn').addEventListener('click', () => {
+      if (this.statsHistory.samples.length === 0) {
+        alert('No statistics recorded yet. Enable "Track statistics" and run the simulation.');
+        return;
+      }
+      const blob = new Blob([this.statsHistory.toCSV()], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gray-scott-stats-${Date.now()}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+
+    document.getElementById('statsResetBtn').addEventListener('click', () => {
+      this.statsHistory.clear();
+      this.lastAnalyzed = null;
+      this.statsPanel.draw(this.statsHistory);
+    });
+
+    updateStatsOptions();
+  }
+
+  /**
+   * Record statistics of a frame; every few samples also classify the pattern
+   * @param {Object} frame - Latest frame snapshot
+   */
+  sampleStatistics(frame) {
+    // The worker's dt bounds (rollback caps, automation and swept bounds included)
+    const sample = computeFrameStats(frame, {
+      threshold: this.params.statsThreshold,
+      dtMin: frame.dtRange[0],
+      dtMax: frame.dtRange[1]
+    });
+    this.statsHistory.push(sample);
+
+    const patternEl = document.getElementById('patternInfo');
+    if (frame.sweep) {
+      // The mosaic mixes 32 runs; a single label would be meaningless
+      this.lastAnalyzed = null;
+      patternEl.textContent = 'Pattern: n/a in sweep mode';
+    } else if (this.statsSamples++ % ANALYSIS_CONFIG.EVERY_SAMPLES === 0) {
+      const p = this.params;
+      sample.pattern = analyzePattern(frame, {
+        threshold: p.statsThreshold,
+        periodicX: p.boundaryLeft === 'periodic' && p.boundaryRight === 'periodic',
+        periodicY: p.boundaryTop === 'periodic' && p.boundaryBottom === 'periodic',
+        previous: this.lastAnalyzed
+      });
+      this.lastAnalyzed = { V0: frame.V0, step: frame.step };
+
+      const m = sample.pattern;
+      const wavelength = isFinite(m.wavelength) ? m.wavelength.toFixed(1) : '–';
+      patternEl.textContent = `Pattern: ${m.patternClass} · λ ${wavelength} · ` +
+        `${m.components} parts · aniso ${m.anisotropy.toFixed(2)}`;
+    }
+
+    this.statsPanel.draw(this.statsHistory);
+  }
+
+  /**
+   * Initialize the history timeline, branch selector and undo/redo buttons
+   */
+  initializeHistory() {
+    const slider = document.getElementById('historySlider');
+    const branchSel = document.getElementById('branchSel');
+    const infoEl = document.getElementById('historyInfo');
+
+    const describe = (entry) => `step ${entry.step} · ${entry.label}`;
+
+    this.simulation.onHistory = (history) => {
+      const { timeline, branches, position, head } = history;
+
+      // Slider indexes the selected branch; it rests on the live position
+      // (or the snapshot the live state descends from)
+      const current = timeline.findIndex(e => e.id === (position ?? head));
+      slider.max = Math.max(0, timeline.length - 1);
+      if (!this.scrubbing) slider.value = Math.max(0, current);
+
+      const mb = (history.totalBytes / (1024 * 1024)).toFixed(1);
+      infoEl.textContent = position === null || current < 0
+        ? `live · ${timeline.length} snaps · ${mb} MB`
+        : `${describe(timeline[current])} · ${mb} MB`;
+
+      branchSel.replaceChildren(...branches.map(b => new Option(describe(b), b.id)));
+      branchSel.value = history.tip;
+    };
+
+    // Preview while dragging, restore on release
+    slider.addEventListener('input', () => {
+      this.scrubbing = true;
+      const entry = this.simulation.history?.timeline[slider.value];
+      if (entry) infoEl.textContent = `→ ${describe(entry)}`;
+    });
+    slider.addEventListener('change', () => {
+      this.scrubbing = false;
+      const entry = this.simulation.history?.timeline[slider.value];
+      if (entry) this.runHistoryCommand(() => this.simulation.seekHistory(entry.id));
+    });
+
+    branchSel.addEventListener('change', () => {
+      const id = parseInt(branchSel.value, 10);
+      this.runHistoryCommand(() => this.simulation.seekHistory(id));
+    });
+
+    document.getElementById('undoBtn').addEventListener('click', () => {
+      this.runHistoryCommand(() => this.simulation.undo());
+    });
+    document.getElementById('redoBtn').addEventListener('click', () => {
+      this.runHistoryCommand(() => this.simulation.redo());
+    });
+  }
+
+  /**
+   * Run an undo/redo/seek request and report failures
+   * @param {function(): Promise} command
+   */
+  async runHistoryCommand(command) {
+    try {
+      await command();
+    } catch (err) {
+      alert('History operation failed: ' + err.message);
+    }
+  }
+
   /**
    * Initialize keyboard shortcuts
    */
@@ -257,7 +1677,7 @@ export class UIController {
       // Alt+Z: Reseed
       if (e.altKey && e.key.toLowerCase() === 'z') {
         e.preventDefault();
-        this.state.seed();
+        this.simulation.seed();
       }
 
       // Alt+S: Save JSON
@@ -266,18 +1686,73 @@ export class UIController {
         this.settingsManager.downloadJSON(this.renderer);
       }
 
+      // Ctrl+Z: Undo, Ctrl+Y / Ctrl+Shift+Z: Redo (text fields keep their own undo)
+      const editing = ['INPUT', 'TEXTAREA'].includes(e.target.tagName) && e.target.type !== 'range';
+      if ((e.ctrlKey || e.metaKey) && !editing) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.runHistoryCommand(() => this.simulation.undo());
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          this.runHistoryCommand(() => this.simulation.redo());
+        }
+      }
+
       // Space: Run/Pause (only if not focused on input)
       if (e.code === 'Space' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
         e.preventDefault();
-        this.running = !this.running;
-        const runBtn = document.getElementById('runBtn');
-        runBtn.textContent = this.running ? '⏸ Pause' : '▶ Run';
+        this.toggleRunning();
       }
     });
   }
 
+  /**
+   * Initialize brush shape, blend and custom value controls
+   */
+  initializeBrushControls() {
+    const shapeSel = document.getElementById('brushShapeSel');
+    const angleEl = document.getElementById('brushAngle');
+    const blendSel = document.getElementById('brushBlendSel');
+    const brushUEl = document.getElementById('brushU');
+    const brushVEl = document.getElementById('brushV');
+
+    // Initialize with params values
+    shapeSel.value = this.params.brushShape;
+    angleEl.value = this.params.brushAngle;
+    blendSel.value = this.params.brushBlend;
+    brushUEl.value = this.params.brushU;
+    brushVEl.value = this.params.brushV;
+
+    shapeSel.addEventListener('change', () => {
+      this.setParam('brushShape', shapeSel.value);
+    });
+
+    angleEl.addEventListener('change', () => {
+      const angle = parseFloat(angleEl.value);
+      if (isFinite(angle)) this.setParam('brushAngle', angle);
+    });
+
+    blendSel.addEventListener('change', () => {
+      this.setParam('brushBlend', blendSel.value);
+    });
+
+    const updateValues = () => {
+      let u = parseFloat(brushUEl.value);
+      let v = parseFloat(brushVEl.value);
+      if (!isFinite(u)) u = 0.5;
+      if (!isFinite(v)) v = 0.25;
+
+      this.setParam('brushU', clampSetting('brushU', u));
+      this.setParam('brushV', clampSetting('brushV', v));
+    };
+    brushUEl.addEventListener('change', updateValues);
+    brushVEl.addEventListener('change', updateValues);
+  }
+
   /**
    * Initialize mouse painting functionality
+   * Shift+click copies the region under the brush as the stamp
    */
   initializePainting() {
     const canvas = this.renderer.canvas;
@@ -287,40 +1762,25 @@ export class UIController {
       if (this.params.tileMode) return;
 
       const mode = document.getElementById('brushSel').value;
-      const r = this.params.brushRadius;
-      const { U0, V0 } = this.state;
-      const { W, H } = this.state;
-
-      for (let yy = gy - r; yy <= gy + r; yy++) {
-        for (let xx = gx - r; xx <= gx + r; xx++) {
-          const dx = xx - gx;
-          const dy = yy - gy;
-          if (dx * dx + dy * dy > r * r) continue;
-
-          const x = this.state.wrap(xx, W);
-          const y = this.state.wrap(yy, H);
-          const i = this.state.idx(x, y);
-
-          if (mode === 'erase') {
-            U0[i] = 1.0;
-            V0[i] = 0.0;
-          } else if (mode === 'V') {
-            V0[i] = 1.0;
-            U0[i] = 0.0;
-          } else if (mode === 'U') {
-            U0[i] = 1.0;
-            // V0[i] remains unchanged
-          } else if (mode === 'UV') {
-            U0[i] = 0.5;
-            V0[i] = 0.5;
-          }
-        }
-      }
+      this.simulation.paint(gx, gy, mode);
     };
 
     canvas.addEventListener('pointerdown', (e) => {
-      this.painting = true;
+      // In sweep mode a click promotes the tile instead of painting
+      if (this.params.tileMode) {
+        const tile = this.renderer.canvasToTile(e);
+        if (tile) this.promoteTile(tile);
+        return;
+      }
+
       const g = this.renderer.canvasToGrid(e);
+      if (e.shiftKey) {
+        if (g) this.simulation.copyStamp(g.gx, g.gy);
+        return;
+      }
+
+      this.painting = true;
+      this.simulation.beginStroke();
       if (g) paintAt(g.gx, g.gy);
     });
 
@@ -331,7 +1791,9 @@ export class UIController {
     });
 
     window.addEventListener('pointerup', () => {
+      if (!this.painting) return;
       this.painting = false;
+      this.simulation.endStroke();
     });
   }
 
@@ -356,17 +1818,37 @@ export class UIController {
         this.frames = 0;
       }
 
-      // Run simulation steps if running
-      if (this.running) {
-        for (let i = 0; i < this.params.stepsPerFrame; i++) {
-          this.simulation.stepOnce();
+      // The worker steps on its own; ask for the latest fields
+      this.simulation.requestFrame();
+
+      // Render latest frame
+      const frame = this.simulation.frame;
+      if (frame) {
+        const viewMode = this.viewSelElement.value;
+        this.renderer.render(frame, viewMode);
+
+        // Record each new simulation frame once (repeated renders are skipped)
+        if (this.recorder.recording && frame !== this.lastRecordedFrame) {
+          this.lastRecordedFrame = frame;
+          const done = this.recorder.capture(this.renderer.pix, this.renderer.W, this.renderer.H);
+          document.getElementById('recordStatus').textContent = `${this.recorder.frameCount} frames`;
+          if (done) this.stopRecording();
         }
-      }
-      // When paused, don't update energy/dt to prevent visual drift
 
-      // Render current state
-      const viewMode = this.viewSelElement.value;
-      this.renderer.render(this.state, viewMode);
+        if (frame !== this.lastAutomationFrame) {
+          this.lastAutomationFrame = frame;
+          this.updateAutomationStatus(frame);
+          this.updateMultirateWarning(frame);
+          this.updateImexWarning(frame);
+        }
+        this.showStabilityReport(frame);
+
+        // Sample statistics once per new simulation frame
+        if (this.params.showStats && frame !== this.lastStatsFrame) {
+          this.lastStatsFrame = frame;
+          this.sampleStatistics(frame);
+        }
+      }
 
       requestAnimationFrame(tick);
     };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Headless runner - Runs the Gray-Scott simulation in Node without a browser
+ *
+ * Usage:
+ *   node tools/headless.js <settings.json> [options]
+ *
+ * Options:
+ *   --steps <n>         Number of steps to run (default 1000)
+ *   --time <t>          Run until this much simulated time instead of a step count
+ *   --frame-every <n>   Write a PNG frame every n steps (0 = off, default 100)
+ *   --dump-every <n>    Write raw Float32 field dumps every n steps (0 = off)
+ *   --fields <list>     Fields to dump, comma-separated (default U,V)
+ *                       U, V, E, dt, dU, dV, or parameter maps F, K, Du, Dv,
+ *                       anisoAngle, anisoAlong, anisoAcross
+ *   --view <mode>       View mode for PNG frames: V, U, dt, E or a parameter map (default: settings viewMode)
+ *                       Colormap and normalization come from the settings file
+ *   --analyze-every <n> Record a pattern analysis every n steps (0 = final state only, default 0)
+ *   --out <dir>         Output directory (default ./headless-out)
+ *
+ * Raw dumps are little-endian Float32 arrays of W*H values; manifest.json
+ * in the output directory lists the grid size and every written file, plus
+ * the pattern class, wavelength and component statistics of the final state.
+ *
+ * A recorded session file may be given instead of settings: it is replayed
+ * first (and verified against its checksum), then the run continues until
+ * --steps/--time is reached.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { deflateSync } from 'node:zlib';
+
+import { SimulationHost } from '../js/simulation-host.js';
+import { FieldColorizer } from '../js/colorize.js';
+import { encodePNG } from '../js/png.js';
+import { analyzePattern } from '../js/pattern-analysis.js';
+import { SESSION_FORMAT, replaySession } from '../js/session.js';
+import { migrateSettings, validateSettings } from '../js/settings-schema.js';
+import { PARAM_MAP_KEYS } from '../js/param-maps.js';
+
+// Field name → SimulationState buffer
+const DUMP_FIELDS = {
+  U: 'U0',
+  V: 'V0',
+  E: 'Eema',
+  dt: 'dtMap',
+  dU: 'dU',
+  dV: 'dV'
+};
+
+// Parameter maps that can also be dumped (when present)
+const PARAM_MAP_FIELDS = PARAM_MAP_KEYS;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      steps: { type: 'string', default: '1000' },
+      time: { type: 'string' },
+      'frame-every': { type: 'string', default: '100' },
+      'dump-every': { type: 'string', default: '0' },
+      fields: { type: 'string', default: 'U,V' },
+      view: { type: 'string' },
+      'analyze-every': { type: 'string', default: '0' },
+      out: { type: 'string', default: 'headless-out' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log('Usage: node tools/headless.js <settings.json> [--steps n | --time t] ' +
+      '[--frame-every n] [--dump-every n] [--fields U,V] [--view V] [--analyze-every n] [--out dir]');
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const fields = values.fields.split(',').map(f => f.trim()).filter(Boolean);
+  for (const f of fields) {
+    if (!DUMP_FIELDS[f] && !PARAM_MAP_FIELDS.includes(f)) {
+      const known = [...Object.keys(DUMP_FIELDS), ...PARAM_MAP_FIELDS].join(', ');
+      throw new Error(`Unknown field "${f}" (expected one of ${known})`);
+    }
+  }
+
+  return {
+    settingsPath: positionals[0],
+    steps: parseInt(values.steps, 10),
+    time: values.time !== undefined ? parseFloat(values.time) : null,
+    frameEvery: parseInt(values['frame-every'], 10),
+    dumpEvery: parseInt(values['dump-every'], 10),
+    fields,
+    view: values.view,
+    analyzeEvery: parseInt(values['analyze-every'], 10),
+    outDir: values.out
+  };
+}
+
+async function main() {
+  const opts = parseOptions(process.argv.slice(2));
+  const settings = JSON.parse(readFileSync(opts.settingsPath, 'utf8'));
+  const session = settings.format === SESSION_FORMAT ? settings : null;
+
+  // Settings files are migrated and validated like in the browser; sessions
+  // store the exact parameters of the recording
+  let params = session ? session.params : settings;
+  if (!session) {
+    const { values, problems } = validateSettings(migrateSettings(settings).settings);
+    for (const problem of problems) console.warn(`Settings: ${problem}`);
+    params = values;
+  }
+  const host = SimulationHost.fromSettings(params);
+
+  let replay = null;
+  if (session) {
+    replay = await replaySession(host, session);
+    console.log(`Replayed session to step ${host.stepCount}: ` +
+      (replay.verified ? 'final state matches the recording' : 'final state DIFFERS from the recording'));
+  }
+
+  const viewMode = opts.view || host.params.viewMode;
+
+  mkdirSync(opts.outDir, { recursive: true });
+
+  const manifest = {
+    settings: host.params,
+    W: host.state.W,
+    H: host.state.H,
+    frames: [],
+    dumps: [],
+    analysis: [],
+    replay
+  };
+
+  const pix = new Uint8Array(host.state.N * 4);
+  const colorizer = new FieldColorizer(host.params);
+  const tag = () => String(host.stepCount).padStart(8, '0');
+
+  // Pattern analysis of the current state (the previous result measures pattern motion)
+  let previous = null;
+  const analyze = () => {
+    const p = host.params;
+    const frame = host.snapshot();
+    const result = analyzePattern(frame, {
+      threshold: p.statsThreshold,
+      periodicX: p.boundaryLeft === 'periodic' && p.boundaryRight === 'periodic',
+      periodicY: p.boundaryTop === 'periodic' && p.boundaryBottom === 'periodic',
+      previous
+    });
+    previous = { V0: frame.V0, step: frame.step };
+    return { step: host.stepCount, time: host.simTime, ...result };
+  };
+
+  const writeOutputs = () => {
+    const { stepCount: step, simTime: time } = host;
+
+    if (opts.frameEvery > 0 && step % opts.frameEvery === 0) {
+      colorizer.colorize(host.snapshot(), viewMode, pix);
+      const file = `frame-${tag()}.png`;
+      writeFileSync(join(opts.outDir, file), encodePNG(host.state.W, host.state.H, pix, deflateSync));
+      manifest.frames.push({ step, time, file });
+    }
+
+    if (opts.dumpEvery > 0 && step % opts.dumpEvery === 0) {
+      for (const field of opts.fields) {
+        const data = DUMP_FIELDS[field] ? host.state[DUMP_FIELDS[field]] : host.state.paramMaps[field];
+        if (!data) continue;  // uniform parameter, no map to dump
+        const file = `field-${tag()}-${field}.f32`;
+        writeFileSync(join(opts.outDir, file), new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+        manifest.dumps.push({ step, time, field, file });
+      }
+    }
+
+    if (opts.analyzeEvery > 0 && step % opts.analyzeEvery === 0) {
+      manifest.analysis.push(analyze());
+    }
+  };
+
+  const done = () => (opts.time !== null ? host.simTime >= opts.time : host.stepCount >= opts.steps);
+  const started = Date.now();
+
+  writeOutputs();
+  let reported = 0;
+  while (!done()) {
+    host.step(1);
+    const report = host.stabilityReport;
+    if (report.count !== reported) {
+      reported = report.count;
+      console.warn(report.message);
+      if (host.paused) break;
+    }
+    writeOutputs();
+  }
+
+  manifest.steps = host.stepCount;
+  manifest.time = host.simTime;
+  const last = manifest.analysis[manifest.analysis.length - 1];
+  manifest.pattern = last && last.step === host.stepCount ? last : analyze();
+  writeFileSync(join(opts.outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+  const seconds = (Date.now() - started) / 1000;
+  console.log(`Ran ${host.stepCount} steps (t=${host.simTime.toFixed(2)}) in ${seconds.toFixed(1)}s → ${opts.outDir}`);
+  console.log(`Pattern: ${manifest.pattern.patternClass} (λ=${manifest.pattern.wavelength.toFixed(1)})`);
+}
+
+main().catch((err) => {
+  console.error('Headless run failed:', err.message);
+  process.exit(1);
+});